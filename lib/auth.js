@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Accounts, sessions and API keys. Every flow belongs to a workspace; users are
+// members of workspaces with one of these roles, each allowing what the ones before it do:
+//   viewer  read flows, exports, coverage and jobs
+//   editor  upload, edit, translate, import and trash flows
+//   admin   purge flows, manage members and API keys, read redacted values
+// The browser signs in with a session cookie; scripts send an API key, which belongs
+// to one workspace and carries its own role, never more than its creator currently has.
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const SESSION_COOKIE = 'flow_session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) > 0 ? Number(process.env.SESSION_TTL_HOURS) : 24 * 7;
+
+const API_KEY_PREFIX = 'cfk_';
+const MIN_PASSWORD_LENGTH = 10;
+
+const scrypt = promisify(crypto.scrypt);
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasRole(role, required) {
+  return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The less privileged of two roles
+function lowerRole(a, b) {
+  return ROLES[Math.min(ROLES.indexOf(a), ROLES.indexOf(b))];
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Problems with a new password, or null
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// "scrypt$<salt>$<hash>", both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session tokens and API keys are stored as SHA-256 hashes only
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Returns { key, prefix }; the prefix is stored to tell keys apart in listings
+function createApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+function sessionExpiry(now = Date.now()) {
+  return new Date(now + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+function readCookie(req, name) {
+  const header = req.get('Cookie') || '';
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+// API key from "Authorization: Bearer <key>" or X-API-Key
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : (req.get('X-API-Key') || null);
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  isRole,
+  hasRole,
+  lowerRole,
+  normalizeEmail,
+  isEmail,
+  checkPassword,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createSessionToken,
+  createApiKey,
+  sessionExpiry,
+  readCookie,
+  readApiKey
+};
@@ -0,0 +1,129 @@
+const { applyMermaidTheme, getMermaidConfig } = require('./mermaid-theme');
+
+// Server-side Mermaid rendering. Mermaid lays diagrams out with browser text
+// measurement, so this renders in headless Chromium through mermaid-cli. Both
+// packages are optional dependencies; without them rendering fails with
+// error.code RENDERER_UNAVAILABLE and the rest of the API keeps working.
+
+const FORMATS = ['svg', 'png'];
+
+function unavailable(message) {
+  const error = new Error(message);
+  error.code = 'RENDERER_UNAVAILABLE';
+  return error;
+}
+
+// One browser is shared by all renders and started on first use
+let browserPromise = null;
+
+function launchBrowser() {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (error) {
+    throw unavailable('Diagram rendering needs the puppeteer and @mermaid-js/mermaid-cli packages (npm install puppeteer @mermaid-js/mermaid-cli)');
+  }
+
+  // Chromium's sandbox does not work as root, e.g. in most containers
+  const args = process.env.DIAGRAM_RENDERER_NO_SANDBOX === 'true'
+    ? ['--no-sandbox', '--disable-setuid-sandbox']
+    : [];
+
+  return puppeteer.launch({ headless: 'shell', args }).then(browser => {
+    browser.on('disconnected', () => { browserPromise = null; });
+    return browser;
+  });
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = Promise.resolve()
+      .then(launchBrowser)
+      .catch(error => {
+        browserPromise = null;
+        throw error.code === 'RENDERER_UNAVAILABLE'
+          ? error
+          : unavailable(`Could not start the diagram renderer: ${error.message}`);
+      });
+  }
+  return browserPromise;
+}
+
+async function loadMermaidCli() {
+  try {
+    // mermaid-cli is published as an ES module only
+    return await import('@mermaid-js/mermaid-cli');
+  } catch (error) {
+    throw unavailable('Diagram rendering needs the @mermaid-js/mermaid-cli package (npm install @mermaid-js/mermaid-cli)');
+  }
+}
+
+// Largest output side in pixels, to keep huge flows from exhausting memory
+const MAX_SIDE = 16384;
+const DEFAULT_PNG_SCALE = 2;
+
+// Natural size of a rendered diagram, from the root element's viewBox
+function svgSize(svg) {
+  const viewBox = svg.match(/<svg\b[^>]*\bviewBox="([^"]+)"/);
+  const [, , width, height] = viewBox ? viewBox[1].trim().split(/[\s,]+/).map(Number) : [];
+  return { width: width || 1, height: height || 1 };
+}
+
+// Set the root element's width/height so viewers show the diagram at the requested size
+function resizeSvg(svg, { width, height }) {
+  return svg.replace(/<svg\b[^>]*>/, tag => {
+    const stripped = tag.replace(/\s(width|height)="[^"]*"/g, '').replace(/max-width:\s*[^;"]+;?\s*/, '');
+    return stripped.replace(/^<svg\b/, `<svg width="${width}" height="${height}"`);
+  });
+}
+
+// Render a Mermaid definition to an SVG or PNG Buffer.
+// options: theme (see lib/mermaid-theme.js), width (output width in px; height follows
+// the diagram), scale (multiplier on the diagram's natural size, used when width is not
+// given; PNG defaults to 2 for sharp text) and background (CSS color or "transparent").
+async function renderDiagram(definition, { format = 'svg', theme, width, scale, background = 'white' } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported diagram format "${format}". Use ${FORMATS.join(' or ')}`);
+  }
+
+  const { renderMermaid } = await loadMermaidCli();
+  const browser = await getBrowser();
+  const config = getMermaidConfig(theme);
+  const themed = applyMermaidTheme(definition, theme);
+
+  const render = async (outputFormat, deviceScaleFactor = 1) => {
+    const { data } = await renderMermaid(browser, themed, outputFormat, {
+      viewport: { width: 1600, height: 800, deviceScaleFactor },
+      backgroundColor: background,
+      // SVG text instead of HTML labels keeps the output readable outside a browser
+      // (image viewers, PDF embedding); useMaxWidth off keeps the natural size
+      mermaidConfig: {
+        ...config,
+        htmlLabels: false,
+        flowchart: { ...config.flowchart, htmlLabels: false, useMaxWidth: false }
+      }
+    });
+    return Buffer.from(data);
+  };
+
+  if (format === 'png' && !width) {
+    return render('png', scale || DEFAULT_PNG_SCALE);
+  }
+
+  const svg = (await render('svg')).toString('utf8');
+  const size = svgSize(svg);
+  const factor = Math.min(width ? width / size.width : (scale || 1), MAX_SIDE / size.width, MAX_SIDE / size.height);
+
+  if (format === 'png') {
+    return render('png', factor);
+  }
+  return Buffer.from(resizeSvg(svg, {
+    width: Math.round(size.width * factor),
+    height: Math.round(size.height * factor)
+  }));
+}
+
+module.exports = {
+  DIAGRAM_FORMATS: FORMATS,
+  renderDiagram
+};
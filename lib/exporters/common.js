@@ -0,0 +1,212 @@
+const { isTerminalNode } = require('../flow-lint');
+
+// Helpers shared by the platform exporters.
+//
+// Every exporter reports what it could not carry over instead of dropping it
+// silently. Entries are { nodeId?, field, kind: 'dropped' | 'approximated', message }:
+// "dropped" fields are missing from the export, "approximated" ones were folded
+// into something else (usually prompt text) and may need a manual touch-up.
+
+// Node fields added by flow-merge for our own statistics, never exported
+const INTERNAL_NODE_FIELDS = ['sourceCalls', 'mergedFrom', 'callCount'];
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+function createExportReport(targetLabel) {
+  const entries = [];
+
+  // Track one node: mark fields as used, approximated or dropped. finish() reports
+  // every remaining non-empty field as dropped.
+  function trackNode(node) {
+    const handled = new Set(INTERNAL_NODE_FIELDS);
+
+    const tracker = {
+      use(...fields) {
+        fields.forEach(field => handled.add(field));
+        return tracker;
+      },
+      approximate(field, message) {
+        handled.add(field);
+        if (!isEmpty(node[field])) {
+          entries.push({ nodeId: node.id, field, kind: 'approximated', message });
+        }
+        return tracker;
+      },
+      // Report something about a field without marking it handled
+      note(field, kind, message) {
+        entries.push({ nodeId: node.id, field, kind, message });
+        return tracker;
+      },
+      drop(field, message) {
+        handled.add(field);
+        if (!isEmpty(node[field])) {
+          entries.push({ nodeId: node.id, field, kind: 'dropped', message });
+        }
+        return tracker;
+      },
+      finish() {
+        Object.keys(node).forEach(field => {
+          if (!handled.has(field) && !isEmpty(node[field])) {
+            entries.push({ nodeId: node.id, field, kind: 'dropped', message: `${targetLabel} has no equivalent for "${field}"` });
+          }
+        });
+      }
+    };
+
+    return tracker;
+  }
+
+  function flowField(flowData, field, kind, message) {
+    if (!isEmpty(flowData[field])) {
+      entries.push({ field, kind, message });
+    }
+  }
+
+  return {
+    trackNode,
+    flowField,
+    entries
+  };
+}
+
+function startNodeId(flowData) {
+  return (flowData.nodes.find(node => node.id === 'start') || flowData.nodes[0]).id;
+}
+
+// Readable label for a nextActions key ("not_interested" -> "not interested")
+function humanize(key) {
+  return String(key).replace(/[_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().trim();
+}
+
+// Identifier safe for platforms that restrict names to letters, digits and underscores
+function toIdentifier(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'node';
+}
+
+// File name stem for a flow name ("Sales Call" -> "sales-call")
+function slugify(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'conversation-flow';
+}
+
+// Unique identifier per node id; ids that collapse to the same identifier get a suffix
+function uniqueIdentifiers(nodes) {
+  const used = new Set();
+  return new Map(nodes.map(node => {
+    const base = toIdentifier(node.id);
+    let identifier = base;
+    for (let i = 2; used.has(identifier); i++) identifier = `${base}_${i}`;
+    used.add(identifier);
+    return [node.id, identifier];
+  }));
+}
+
+// Outgoing transitions of a node: one per nextActions entry, labelled with the matching
+// edge condition when there is one. Targets that do not exist are skipped.
+function getTransitions(flowData, node) {
+  const nodeIds = new Set(flowData.nodes.map(n => n.id));
+
+  return Object.entries(node.nextActions || {})
+    .filter(([, target]) => nodeIds.has(target))
+    .map(([action, target]) => {
+      const edge = (flowData.edges || []).find(e => e.from === node.id && e.to === target);
+      return {
+        action,
+        target,
+        label: edge?.condition || humanize(action)
+      };
+    });
+}
+
+// Report nextActions entries that getTransitions skipped because their target is missing
+function reportSkippedActions(track, node, transitions) {
+  const skipped = Object.keys(node.nextActions || {}).filter(action => !transitions.some(t => t.action === action));
+  if (skipped.length > 0) {
+    track.note('nextActions', 'dropped', `Routes to unknown nodes were skipped: ${skipped.join(', ')}`);
+  }
+}
+
+// Instructions for platforms where a model runs each node: the step's goal, what to say,
+// example phrasings and, optionally, what to listen for and how to re-prompt
+function buildNodePrompt(node, { listenFor = false, retryPrompt = false } = {}) {
+  const sections = [`Goal: ${node.content}`, `Say: ${node.fullPrompt}`];
+
+  if (node.examples?.length) {
+    sections.push(`Example phrasings:\n${node.examples.map(example => `- ${example}`).join('\n')}`);
+  }
+  if (listenFor && node.listenFor?.length) {
+    sections.push(`Listen for: ${node.listenFor.join(', ')}`);
+  }
+  if (retryPrompt && node.retryPrompt) {
+    sections.push(`If the caller does not respond${node.timeout ? ` within ${node.timeout} seconds` : ''}, say: ${node.retryPrompt}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+function joinInstructions(flowData) {
+  return [flowData.globalInstructions, flowData.errorHandling && `Error handling: ${flowData.errorHandling}`]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Training phrases for a route: its label plus assigned listenFor phrases, without
+// case-insensitive duplicates
+function routePhrases(transition, phrases = []) {
+  const seen = new Set();
+  return [transition.label, ...phrases].filter(phrase => {
+    const key = phrase.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function tokens(text) {
+  return new Set(String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1));
+}
+
+// Split a node's listenFor phrases between its transitions by shared words with the
+// action name or edge label. Phrases that match no transition (or several) are returned
+// as unassigned, since attaching them to the wrong route would change the flow.
+function assignListenFor(node, transitions) {
+  const assigned = new Map(transitions.map(transition => [transition.action, []]));
+  const unassigned = [];
+
+  (node.listenFor || []).forEach(phrase => {
+    const phraseTokens = tokens(phrase);
+    const matches = transitions.filter(transition => {
+      const routeTokens = tokens(`${humanize(transition.action)} ${transition.label}`);
+      return [...phraseTokens].some(token => routeTokens.has(token));
+    });
+
+    if (matches.length === 1) {
+      assigned.get(matches[0].action).push(phrase);
+    } else {
+      unassigned.push(phrase);
+    }
+  });
+
+  return { assigned, unassigned };
+}
+
+module.exports = {
+  createExportReport,
+  startNodeId,
+  humanize,
+  toIdentifier,
+  slugify,
+  uniqueIdentifiers,
+  getTransitions,
+  reportSkippedActions,
+  assignListenFor,
+  routePhrases,
+  buildNodePrompt,
+  joinInstructions,
+  isTerminalNode
+};
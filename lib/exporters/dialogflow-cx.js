@@ -0,0 +1,112 @@
+const {
+  createExportReport,
+  startNodeId,
+  toIdentifier,
+  uniqueIdentifiers,
+  getTransitions,
+  reportSkippedActions,
+  assignListenFor,
+  routePhrases,
+  isTerminalNode
+} = require('./common');
+
+function textMessage(...lines) {
+  return { text: { text: lines } };
+}
+
+// Dialogflow CX-style agent flow: one page per node whose entry fulfillment speaks the
+// prompt, with intent routes to the next pages. listenFor phrases become training
+// phrases, and timeouts and retry prompts map to the page's no-input handling.
+function exportFlow(flowData, { name, description } = {}) {
+  const report = createExportReport('Dialogflow CX');
+  const pageNames = uniqueIdentifiers(flowData.nodes);
+  const intents = [];
+
+  const pages = flowData.nodes.map(node => {
+    const track = report.trackNode(node).use('id', 'type', 'content', 'fullPrompt', 'nextActions', 'listenFor');
+    const transitions = getTransitions(flowData, node);
+    reportSkippedActions(track, node, transitions);
+
+    track.approximate('examples', 'Added as response variants; Dialogflow CX plays one of them at random');
+    if (node.speaker && node.speaker !== 'agent') {
+      track.approximate('speaker', `Exported as an agent response although the speaker is "${node.speaker}"`);
+    } else {
+      track.use('speaker');
+    }
+
+    const pageName = pageNames.get(node.id);
+    const page = {
+      name: pageName,
+      displayName: node.content,
+      entryFulfillment: {
+        messages: [textMessage(node.fullPrompt, ...(node.examples || []))]
+      },
+      transitionRoutes: []
+    };
+
+    if (transitions.length > 0) {
+      const { assigned, unassigned } = assignListenFor(node, transitions);
+      if (unassigned.length > 0) {
+        track.note('listenFor', 'dropped', `Not tied to a single route, add these to the right intent by hand: ${unassigned.join(', ')}`);
+      }
+
+      page.transitionRoutes = transitions.map(transition => {
+        const intentName = `${pageName}.${toIdentifier(transition.action)}`;
+        intents.push({
+          name: intentName,
+          displayName: intentName,
+          trainingPhrases: routePhrases(transition, assigned.get(transition.action)).map(text => ({
+            parts: [{ text }],
+            repeatCount: 1
+          }))
+        });
+        return { intent: intentName, targetPage: pageNames.get(transition.target) };
+      });
+
+      track.use('timeout', 'retryPrompt');
+      if (node.retryPrompt) {
+        page.eventHandlers = [{
+          event: 'sys.no-input-default',
+          triggerFulfillment: { messages: [textMessage(node.retryPrompt)] }
+        }];
+      }
+      if (node.timeout !== undefined) {
+        page.advancedSettings = { speechSettings: { noSpeechTimeout: `${node.timeout}s` } };
+      }
+    } else {
+      track
+        .drop('listenFor', 'The page has no routes, so there is no intent to train')
+        .drop('timeout', 'The page has no routes, so it never waits for input')
+        .drop('retryPrompt', 'The page has no routes, so it never waits for input');
+
+      if (isTerminalNode(node)) {
+        page.transitionRoutes = [{ condition: 'true', targetPage: 'END_SESSION' }];
+      }
+    }
+
+    track.finish();
+    return page;
+  });
+
+  report.flowField(flowData, 'globalInstructions', 'dropped', 'Dialogflow CX flows have no free-text agent instructions');
+  report.flowField(flowData, 'errorHandling', 'dropped', 'Add it as flow-level no-match / no-input event handlers');
+
+  return {
+    content: {
+      flow: {
+        displayName: name || 'Conversation flow',
+        description: description || '',
+        transitionRoutes: [{ condition: 'true', targetPage: pageNames.get(startNodeId(flowData)) }]
+      },
+      pages,
+      intents
+    },
+    unsupported: report.entries
+  };
+}
+
+module.exports = {
+  label: 'Dialogflow CX flow',
+  extension: '.dialogflow-cx.json',
+  exportFlow
+};
@@ -0,0 +1,53 @@
+// Exporters turn a flow into a file another voice-agent platform can import.
+// Each one exposes { label, extension, exportFlow(flowData, { name, description }) }
+// and returns { content, unsupported }, where unsupported lists the fields the target
+// could not express (see common.js). Exporters see one language of the flow at a time.
+const { slugify } = require('./common');
+const { flowLanguages, localizeFlow } = require('../flow-languages');
+
+const exporters = {
+  vapi: require('./vapi'),
+  retell: require('./retell'),
+  voiceflow: require('./voiceflow'),
+  'dialogflow-cx': require('./dialogflow-cx')
+};
+
+function listExportTargets() {
+  return Object.entries(exporters).map(([id, exporter]) => ({
+    id,
+    label: exporter.label,
+    extension: exporter.extension
+  }));
+}
+
+function hasExportTarget(target) {
+  return Object.prototype.hasOwnProperty.call(exporters, target);
+}
+
+// language picks a language variant (see lib/flow-languages.js); defaults to the base language
+function exportFlow(target, flowData, { name, description, language } = {}) {
+  if (!hasExportTarget(target)) {
+    throw new Error(`Unknown export target "${target}". Available: ${Object.keys(exporters).join(', ')}`);
+  }
+
+  const exporter = exporters[target];
+  const localized = localizeFlow(flowData, language);
+  const { content, unsupported } = exporter.exportFlow(localized, { name, description });
+  // Multilingual flows get one file per language, e.g. sales-call.es.vapi.json
+  const suffix = flowLanguages(flowData).length > 1 ? `.${localized.language}` : '';
+
+  return {
+    target,
+    label: exporter.label,
+    language: localized.language,
+    filename: `${slugify(name)}${suffix}${exporter.extension}`,
+    content,
+    unsupported
+  };
+}
+
+module.exports = {
+  listExportTargets,
+  hasExportTarget,
+  exportFlow
+};
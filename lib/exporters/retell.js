@@ -0,0 +1,67 @@
+const {
+  createExportReport,
+  startNodeId,
+  getTransitions,
+  reportSkippedActions,
+  buildNodePrompt,
+  joinInstructions,
+  isTerminalNode
+} = require('./common');
+
+// Retell-style conversation flow: prompt-instructed nodes, each carrying its own edges
+// with prompt transition conditions. Terminal nodes without routes become end nodes.
+// Retell sets silence reminders for the whole agent, so per-node timeouts cannot be kept.
+function exportFlow(flowData, { name } = {}) {
+  const report = createExportReport('Retell');
+
+  const nodes = flowData.nodes.map(node => {
+    const track = report.trackNode(node).use('id', 'type', 'content', 'fullPrompt', 'examples', 'nextActions');
+    const transitions = getTransitions(flowData, node);
+    reportSkippedActions(track, node, transitions);
+
+    track
+      .approximate('listenFor', 'Listed in the node instruction; Retell routes on the transition condition text')
+      .approximate('retryPrompt', 'Written into the node instruction; Retell reminders are configured per agent')
+      .drop('timeout', 'Retell has no per-node silence timeout (use the agent-level reminder settings)');
+    if (node.speaker && node.speaker !== 'agent') {
+      track.approximate('speaker', `Exported as an agent step although the speaker is "${node.speaker}"`);
+    } else {
+      track.use('speaker');
+    }
+    track.finish();
+
+    const isEnd = transitions.length === 0 && isTerminalNode(node);
+
+    return {
+      id: node.id,
+      name: node.content,
+      type: isEnd ? 'end' : 'conversation',
+      instruction: {
+        type: 'prompt',
+        text: buildNodePrompt(node, { listenFor: true, retryPrompt: true })
+      },
+      edges: transitions.map(transition => ({
+        id: `edge_${node.id}_${transition.action}`,
+        destination_node_id: transition.target,
+        transition_condition: { type: 'prompt', prompt: transition.label }
+      }))
+    };
+  });
+
+  return {
+    content: {
+      name: name || 'Conversation flow',
+      global_prompt: joinInstructions(flowData),
+      start_node_id: startNodeId(flowData),
+      start_speaker: 'agent',
+      nodes
+    },
+    unsupported: report.entries
+  };
+}
+
+module.exports = {
+  label: 'Retell conversation flow',
+  extension: '.retell.json',
+  exportFlow
+};
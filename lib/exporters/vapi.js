@@ -0,0 +1,68 @@
+const {
+  createExportReport,
+  startNodeId,
+  getTransitions,
+  reportSkippedActions,
+  buildNodePrompt,
+  joinInstructions
+} = require('./common');
+
+// Vapi-style workflow: conversation nodes with a prompt and an opening line, connected
+// by edges whose conditions are plain-language descriptions the model evaluates.
+// Silence handling maps to each node's idle message and timeout.
+function exportFlow(flowData, { name } = {}) {
+  const report = createExportReport('Vapi');
+  const startId = startNodeId(flowData);
+  const edges = [];
+
+  const nodes = flowData.nodes.map(node => {
+    const track = report.trackNode(node).use('id', 'type', 'content', 'fullPrompt', 'examples', 'nextActions', 'timeout', 'retryPrompt');
+    const transitions = getTransitions(flowData, node);
+    reportSkippedActions(track, node, transitions);
+
+    track.approximate('listenFor', 'Listed in the node prompt; Vapi routes on the edge condition text, not keywords');
+    if (node.speaker && node.speaker !== 'agent') {
+      track.approximate('speaker', `Exported as an assistant step although the speaker is "${node.speaker}"`);
+    } else {
+      track.use('speaker');
+    }
+    track.finish();
+
+    const messagePlan = { firstMessage: node.fullPrompt };
+    if (node.retryPrompt) messagePlan.idleMessages = [node.retryPrompt];
+    if (node.timeout !== undefined) messagePlan.idleTimeoutSeconds = node.timeout;
+
+    transitions.forEach(transition => {
+      edges.push({
+        from: node.id,
+        to: transition.target,
+        condition: { type: 'ai', prompt: transition.label }
+      });
+    });
+
+    return {
+      type: 'conversation',
+      name: node.id,
+      isStart: node.id === startId,
+      prompt: buildNodePrompt(node, { listenFor: true }),
+      messagePlan,
+      metadata: { type: node.type, content: node.content }
+    };
+  });
+
+  return {
+    content: {
+      name: name || 'Conversation flow',
+      globalPrompt: joinInstructions(flowData),
+      nodes,
+      edges
+    },
+    unsupported: report.entries
+  };
+}
+
+module.exports = {
+  label: 'Vapi workflow',
+  extension: '.vapi.json',
+  exportFlow
+};
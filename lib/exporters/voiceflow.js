@@ -0,0 +1,145 @@
+const {
+  createExportReport,
+  startNodeId,
+  toIdentifier,
+  uniqueIdentifiers,
+  getTransitions,
+  reportSkippedActions,
+  assignListenFor,
+  routePhrases
+} = require('./common');
+
+const GRID_COLUMNS = 4;
+
+// Voiceflow-style project file: one block per node holding a speak step (the prompt,
+// with examples as variants) and a choice step whose paths are intents built from the
+// route labels and matching listenFor phrases. Timeouts and retry prompts become the
+// choice step's no-reply settings.
+function exportFlow(flowData, { name, description } = {}) {
+  const report = createExportReport('Voiceflow');
+  const identifiers = uniqueIdentifiers(flowData.nodes);
+  const blockId = nodeId => `block_${identifiers.get(nodeId)}`;
+  const intents = [];
+
+  const diagramNodes = {
+    start: {
+      type: 'start',
+      nodeID: 'start',
+      coords: [0, -200],
+      data: {
+        name: 'Start',
+        steps: [],
+        portsV2: { builtIn: { next: { type: 'next', target: blockId(startNodeId(flowData)) } } }
+      }
+    }
+  };
+
+  flowData.nodes.forEach((node, index) => {
+    const track = report.trackNode(node).use('id', 'type', 'content', 'fullPrompt', 'nextActions', 'listenFor');
+    const transitions = getTransitions(flowData, node);
+    reportSkippedActions(track, node, transitions);
+
+    track.approximate('examples', 'Added as speak variants; Voiceflow plays one of them at random');
+    if (node.speaker && node.speaker !== 'agent') {
+      track.approximate('speaker', `Exported as a speak step although the speaker is "${node.speaker}"`);
+    } else {
+      track.use('speaker');
+    }
+
+    const id = identifiers.get(node.id);
+    const speakId = `speak_${id}`;
+    const steps = [speakId];
+
+    diagramNodes[speakId] = {
+      type: 'speak',
+      nodeID: speakId,
+      data: {
+        randomize: (node.examples || []).length > 0,
+        dialogs: [node.fullPrompt, ...(node.examples || [])].map(content => ({ voice: 'default', content }))
+      }
+    };
+
+    if (transitions.length > 0) {
+      const { assigned, unassigned } = assignListenFor(node, transitions);
+      if (unassigned.length > 0) {
+        track.note('listenFor', 'dropped', `Not tied to a single route, add these to the right intent by hand: ${unassigned.join(', ')}`);
+      }
+
+      const choiceId = `choice_${id}`;
+      steps.push(choiceId);
+      track.use('timeout', 'retryPrompt');
+
+      diagramNodes[choiceId] = {
+        type: 'interaction',
+        nodeID: choiceId,
+        data: {
+          name: node.content,
+          choices: transitions.map(transition => {
+            const key = `${id}_${toIdentifier(transition.action)}`;
+            intents.push({
+              key,
+              name: key,
+              inputs: routePhrases(transition, assigned.get(transition.action)).map(text => ({ text }))
+            });
+            return { intent: key, action: 'PATH' };
+          }),
+          noReply: node.timeout !== undefined || node.retryPrompt
+            ? {
+              timeout: node.timeout ?? 10,
+              reprompts: node.retryPrompt ? [{ voice: 'default', content: node.retryPrompt }] : []
+            }
+            : null,
+          portsV2: {
+            builtIn: {},
+            dynamic: transitions.map(transition => ({ type: 'next', target: blockId(transition.target) }))
+          }
+        }
+      };
+    } else {
+      // Nothing to listen for after the last line, so silence settings have no step to live on
+      track
+        .drop('listenFor', 'The node has no routes, so there is no choice step to attach phrases to')
+        .drop('timeout', 'The node has no routes, so there is no choice step to wait on')
+        .drop('retryPrompt', 'The node has no routes, so there is no choice step to re-prompt from');
+
+      const exitId = `exit_${id}`;
+      steps.push(exitId);
+      diagramNodes[exitId] = { type: 'exit', nodeID: exitId, data: {} };
+    }
+
+    track.finish();
+
+    diagramNodes[blockId(node.id)] = {
+      type: 'block',
+      nodeID: blockId(node.id),
+      coords: [(index % GRID_COLUMNS) * 400, Math.floor(index / GRID_COLUMNS) * 300],
+      data: { name: node.content, steps }
+    };
+  });
+
+  report.flowField(flowData, 'globalInstructions', 'dropped', 'Voiceflow projects have no flow-wide agent instructions');
+  report.flowField(flowData, 'errorHandling', 'dropped', 'Add it as global no-match / no-reply handling in Voiceflow');
+
+  return {
+    content: {
+      project: {
+        name: name || 'Conversation flow',
+        description: description || '',
+        platform: 'voice',
+        type: 'voice'
+      },
+      version: { name: 'Exported flow', rootDiagramID: 'main' },
+      intents,
+      diagrams: {
+        main: { diagramID: 'main', name: 'ROOT', type: 'TOPIC', nodes: diagramNodes }
+      }
+    },
+    unsupported: report.entries
+  };
+}
+
+module.exports = {
+  label: 'Voiceflow project',
+  extension: '.vf',
+  exportFlow
+};
@@ -0,0 +1,237 @@
+const { startNodeId, getTransitions } = require('./exporters/common');
+const { matchKeywords } = require('./flow-simulator');
+const { classifySpeakersHeuristic } = require('./speaker-roles');
+
+// Replay transcripts against a flow to see how well the flow explains them.
+// Each agent utterance is aligned to the node whose prompt it resembles most
+// (preferring the routes out of the previous node), and each customer reply is
+// checked against that node's nextActions. The report lists agent-turn coverage,
+// customer replies that fell through every branch and nodes and edges no call used.
+
+// Minimum similarity for an agent utterance to count as saying a node's prompt
+const MIN_SCORE = 0.2;
+// Bonus for nodes the flow expects next, so repeated phrasings follow the graph
+const ROUTE_BONUS = 0.1;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'are', 'this', 'that', 'with', 'can', 'have', 'has',
+  'was', 'were', 'will', 'would', 'our', 'we', 'is', 'it', 'to', 'of', 'in', 'on', 'a',
+  'an', 'be', 'do', 'i', 'me', 'my', 'at', 'or', 'so', 'if', 'as', 'am', 'by', 'from'
+]);
+
+const AGENT_LABEL = /agent|rep|assistant|bot|operator/i;
+
+function tokens(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/\[[^\]]*\]/g, ' ') // [Customer Name] style placeholders
+      .split(/[^\p{L}\p{N}']+/u)
+      .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  );
+}
+
+// Dice coefficient between two token sets
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let overlap = 0;
+  a.forEach(token => { if (b.has(token)) overlap++; });
+  return (2 * overlap) / (a.size + b.size);
+}
+
+// Role per speaker: the transcription's confirmed or classified speakerRoles, else a
+// speaker labelled as the agent, else the speaker-role heuristic
+function speakerRoleMap(transcription, utterances) {
+  if (transcription.speakerRoles && Object.keys(transcription.speakerRoles).length > 0) {
+    return transcription.speakerRoles;
+  }
+  const labelled = utterances.find(utterance => AGENT_LABEL.test(String(utterance.speaker)));
+  if (labelled) {
+    return { [labelled.speaker]: { role: 'agent' } };
+  }
+  return classifySpeakersHeuristic({ utterances });
+}
+
+// Consecutive utterances by the same side become one turn. IVR prompts are not
+// part of the flow and are left out; third parties reply like the customer.
+function buildTurns(transcription, utterances) {
+  const roles = speakerRoleMap(transcription, utterances);
+  const turns = [];
+
+  utterances.forEach(utterance => {
+    const speakerRole = roles[utterance.speaker]?.role;
+    if (speakerRole === 'ivr') return;
+    const role = speakerRole === 'agent' ? 'agent' : 'customer';
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      last.text += ` ${utterance.text}`;
+    } else {
+      turns.push({ role, text: utterance.text, utteranceIndex: utterance.index });
+    }
+  });
+
+  return turns;
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+}
+
+function replayTranscript(flowData, transcription, { nodePhrases, usage }) {
+  // utteranceIndex in the report points into the original utterances, blank ones included
+  const utterances = (transcription.utterances || [])
+    .map((utterance, index) => ({ ...utterance, index }))
+    .filter(utterance => utterance.text?.trim());
+  const report = {
+    filename: transcription.filename,
+    agentTurns: 0,
+    coveredAgentTurns: 0,
+    coverage: null,
+    fellThrough: [],
+    alignment: []
+  };
+
+  if (new Set(utterances.map(utterance => utterance.speaker)).size < 2) {
+    report.skipped = 'No speaker-separated utterances to replay';
+    return report;
+  }
+
+  // The node the agent last spoke, cleared by an agent line no node explains: replies to
+  // that line say nothing about the flow, and the next node did not follow from the last
+  let current = null;
+  // Set by such a line, so the agent's next line is not steered back to the start node
+  let offScript = false;
+  let pendingReply = null;
+
+  const settleReply = nextNode => {
+    if (!pendingReply) return;
+    const { node, turn } = pendingReply;
+    const transitions = getTransitions(flowData, node);
+    const taken = nextNode && transitions.find(transition => transition.target === nextNode.id);
+    const matched = taken || matchKeywords(node, transitions, turn.text)?.transition;
+
+    if (matched) {
+      usage.edges.add(`${node.id}->${matched.target}`);
+      usage.routes.add(`${node.id}:${matched.action}`);
+    } else {
+      report.fellThrough.push({ nodeId: node.id, utteranceIndex: turn.utteranceIndex, text: turn.text });
+    }
+    pendingReply = null;
+  };
+
+  buildTurns(transcription, utterances).forEach(turn => {
+    if (turn.role === 'customer') {
+      const node = current;
+      // Replies only matter after a node that branches
+      if (node && getTransitions(flowData, node).length > 0) {
+        pendingReply = { node, turn };
+      }
+      report.alignment.push({ role: 'customer', utteranceIndex: turn.utteranceIndex, nodeId: node?.id || null });
+      return;
+    }
+
+    report.agentTurns++;
+    const expected = new Set(current
+      ? [current.id, ...getTransitions(flowData, current).map(transition => transition.target)]
+      : offScript ? [] : [startNodeId(flowData)]);
+    const turnTokens = tokens(turn.text);
+
+    let best = null;
+    flowData.nodes.forEach(node => {
+      const raw = Math.max(...nodePhrases.get(node.id).map(phrase => similarity(turnTokens, phrase)));
+      const score = raw + (expected.has(node.id) ? ROUTE_BONUS : 0);
+      if (raw >= MIN_SCORE && (!best || score > best.score)) {
+        best = { node, score, raw };
+      }
+    });
+
+    if (!best) {
+      settleReply(null);
+      current = null;
+      offScript = true;
+      report.alignment.push({ role: 'agent', utteranceIndex: turn.utteranceIndex, nodeId: null, score: 0 });
+      return;
+    }
+
+    report.coveredAgentTurns++;
+    usage.nodes.set(best.node.id, (usage.nodes.get(best.node.id) || 0) + 1);
+    settleReply(best.node);
+    // An unbranched step into the next node (or back into the same one) still uses that edge
+    const step = current && getTransitions(flowData, current).find(transition => transition.target === best.node.id);
+    if (step) {
+      usage.edges.add(`${current.id}->${best.node.id}`);
+      usage.routes.add(`${current.id}:${step.action}`);
+    }
+    current = best.node;
+    offScript = false;
+    report.alignment.push({
+      role: 'agent',
+      utteranceIndex: turn.utteranceIndex,
+      nodeId: best.node.id,
+      score: Math.round(best.raw * 100) / 100
+    });
+  });
+
+  settleReply(null);
+  report.coverage = percent(report.coveredAgentTurns, report.agentTurns);
+  return report;
+}
+
+// Token sets of everything a node may say, per node id
+function buildNodePhrases(flowData) {
+  return new Map(flowData.nodes.map(node => [
+    node.id,
+    [node.fullPrompt, node.content, node.retryPrompt, ...(node.examples || [])].filter(Boolean).map(tokens)
+  ]));
+}
+
+function createUsage() {
+  // nodes: id -> agent turns; edges: "from->to"; routes: "from:action" (nextActions key)
+  return { nodes: new Map(), edges: new Set(), routes: new Set() };
+}
+
+// Returns { coverage, agentTurns, coveredAgentTurns, transcripts, fellThrough,
+// unusedNodes, unusedEdges, nodeUsage }. coverage is a percentage (null when no
+// transcript had agent turns to replay).
+function computeCoverage(flowData, transcriptions = []) {
+  const nodePhrases = buildNodePhrases(flowData);
+  const usage = createUsage();
+
+  const transcripts = transcriptions.map(transcription => replayTranscript(flowData, transcription, { nodePhrases, usage }));
+  const agentTurns = transcripts.reduce((sum, transcript) => sum + transcript.agentTurns, 0);
+  const coveredAgentTurns = transcripts.reduce((sum, transcript) => sum + transcript.coveredAgentTurns, 0);
+
+  const routes = flowData.nodes.flatMap(node => getTransitions(flowData, node).map(transition => ({
+    from: node.id,
+    to: transition.target,
+    action: transition.action,
+    label: transition.label
+  })));
+
+  return {
+    coverage: percent(coveredAgentTurns, agentTurns),
+    agentTurns,
+    coveredAgentTurns,
+    transcripts,
+    fellThrough: transcripts.flatMap(transcript => transcript.fellThrough.map(entry => ({ filename: transcript.filename, ...entry }))),
+    unusedNodes: flowData.nodes
+      .filter(node => !usage.nodes.has(node.id))
+      .map(node => ({ id: node.id, content: node.content })),
+    unusedEdges: routes.filter(route => !usage.edges.has(`${route.from}->${route.to}`)),
+    nodeUsage: Object.fromEntries(usage.nodes)
+  };
+}
+
+// The path one transcript took through a flow: { edges, routes } as in createUsage, or
+// null when it cannot be traced (no speaker-separated utterances, or no agent turn
+// resembles any node)
+function replayPath(flowData, transcription) {
+  const usage = createUsage();
+  const report = replayTranscript(flowData, transcription, { nodePhrases: buildNodePhrases(flowData), usage });
+  return report.skipped || report.coveredAgentTurns === 0 ? null : { edges: usage.edges, routes: usage.routes };
+}
+
+module.exports = {
+  computeCoverage,
+  replayPath
+};
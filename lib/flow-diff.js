@@ -0,0 +1,70 @@
+// Node- and edge-level differences between two versions of a flow's data
+
+const NODE_FIELDS = ['type', 'speaker', 'content', 'fullPrompt', 'examples', 'listenFor', 'nextActions', 'timeout', 'retryPrompt', 'translations'];
+const FLOW_FIELDS = ['globalInstructions', 'errorHandling', 'language', 'translations'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+function edgeKey(edge) {
+  return `${edge.from}->${edge.to}`;
+}
+
+// Returns { nodes: { added, removed, changed }, edges: { added, removed, changed }, flow: [...] }.
+// changed nodes list each differing field with its before/after value, so prompt
+// edits show up as a change to fullPrompt (or examples, retryPrompt, ...).
+function diffFlows(beforeFlow = {}, afterFlow = {}) {
+  const beforeNodes = new Map((beforeFlow.nodes || []).map(node => [node.id, node]));
+  const afterNodes = new Map((afterFlow.nodes || []).map(node => [node.id, node]));
+
+  const nodes = { added: [], removed: [], changed: [] };
+  afterNodes.forEach((node, id) => {
+    if (!beforeNodes.has(id)) {
+      nodes.added.push(node);
+      return;
+    }
+    const changes = fieldChanges(beforeNodes.get(id), node, NODE_FIELDS);
+    if (changes.length > 0) {
+      nodes.changed.push({ id, changes });
+    }
+  });
+  beforeNodes.forEach((node, id) => {
+    if (!afterNodes.has(id)) nodes.removed.push(node);
+  });
+
+  const beforeEdges = new Map((beforeFlow.edges || []).map(edge => [edgeKey(edge), edge]));
+  const afterEdges = new Map((afterFlow.edges || []).map(edge => [edgeKey(edge), edge]));
+
+  const edges = { added: [], removed: [], changed: [] };
+  afterEdges.forEach((edge, key) => {
+    if (!beforeEdges.has(key)) {
+      edges.added.push(edge);
+    } else if (!isEqual(beforeEdges.get(key).condition, edge.condition)) {
+      edges.changed.push({
+        from: edge.from,
+        to: edge.to,
+        changes: [{ field: 'condition', before: beforeEdges.get(key).condition ?? null, after: edge.condition ?? null }]
+      });
+    }
+  });
+  beforeEdges.forEach((edge, key) => {
+    if (!afterEdges.has(key)) edges.removed.push(edge);
+  });
+
+  return {
+    nodes,
+    edges,
+    flow: fieldChanges(beforeFlow, afterFlow, FLOW_FIELDS)
+  };
+}
+
+module.exports = {
+  diffFlows
+};
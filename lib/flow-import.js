@@ -0,0 +1,362 @@
+// Turn an edited Mermaid flowchart or exported flow JSON back into flow data.
+// Both parsers return { flowData, warnings } or { errors }; the result still has to
+// pass validateFlow before it is stored.
+
+// Node shapes by opening bracket, longest first so "([" wins over "("
+const SHAPES = [
+  ['(((', [')))'], 'circle'],
+  ['([', ['])'], 'stadium'],
+  ['[[', [']]'], 'subroutine'],
+  ['[(', [')]'], 'cylinder'],
+  ['((', ['))'], 'circle'],
+  ['{{', ['}}'], 'hexagon'],
+  ['[/', ['/]', '\\]'], 'trapezoid'],
+  ['[\\', ['\\]', '/]'], 'trapezoid'],
+  ['>', [']'], 'asymmetric'],
+  ['{', ['}'], 'rhombus'],
+  ['[', [']'], 'rectangle'],
+  ['(', [')'], 'round']
+];
+
+const SKIPPED_STATEMENTS = /^(classDef|style|linkStyle|click|subgraph|end|direction)\b/;
+const NODE_ID = /^[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*/u;
+// "-- label -->", "== label ==>" and "-. label .->"
+const TEXT_ARROW = /^(--|==|-\.)\s+(.+?)\s+(-{2,}>|={2,}>|\.-+>|-{3,}|={3,}|\.-)/;
+const ARROW = /^<?(-\.+-|-{2,}|={2,}|~{3,})(>|x|o)?/;
+// Our own diagrams prefix labels with a type icon and suffix edges with "2/3" call counts
+const LABEL_ICON = /^[\p{Extended_Pictographic}\u2713\ufe0f\s]+/u;
+const CALL_COUNT = /\s*\d+\/\d+$/;
+// Mermaid ids from generateMermaidDiagram (N0, N1, ...) carry no meaning
+const GENERATED_ID = /^N\d+$/;
+
+const CLASS_TYPES = ['greeting', 'verification', 'decision', 'success', 'failure', 'farewell', 'main'];
+
+function cleanLabel(text) {
+  return String(text)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/#quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function toSnakeCase(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+function uniqueKey(base, used) {
+  let key = base;
+  for (let i = 2; used.has(key); i++) key = `${base}_${i}`;
+  used.add(key);
+  return key;
+}
+
+// Split on newlines and on semicolons outside quotes and brackets
+function splitStatements(text) {
+  const statements = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && '[({'.includes(char)) depth++;
+    if (!quoted && '])}'.includes(char)) depth = Math.max(0, depth - 1);
+
+    if (char === '\n' || (char === ';' && !quoted && depth === 0)) {
+      statements.push(current.trim());
+      current = '';
+      depth = 0;
+      quoted = false;
+    } else {
+      current += char;
+    }
+  }
+  statements.push(current.trim());
+
+  return statements.filter(statement => statement && !statement.startsWith('%%'));
+}
+
+// Read "id", "id[label]", "id{label}:::class", ... starting at pos
+function readNode(statement, pos) {
+  const idMatch = statement.slice(pos).match(NODE_ID);
+  if (!idMatch) return null;
+
+  const node = { id: idMatch[0] };
+  pos += idMatch[0].length;
+
+  const shape = SHAPES.find(([open]) => statement.startsWith(open, pos));
+  if (shape) {
+    const [open, closers, shapeName] = shape;
+    let labelStart = pos + open.length;
+    let labelEnd;
+
+    if (statement[labelStart] === '"') {
+      const closingQuote = statement.indexOf('"', labelStart + 1);
+      if (closingQuote === -1) return null;
+      node.label = statement.slice(labelStart + 1, closingQuote);
+      labelEnd = closingQuote + 1;
+    } else {
+      const ends = closers.map(close => statement.indexOf(close, labelStart)).filter(index => index !== -1);
+      if (ends.length === 0) return null;
+      labelEnd = Math.min(...ends);
+      node.label = statement.slice(labelStart, labelEnd);
+    }
+
+    const closer = closers.find(close => statement.startsWith(close, labelEnd));
+    if (!closer) return null;
+    node.shape = shapeName;
+    pos = labelEnd + closer.length;
+  }
+
+  const classMatch = statement.slice(pos).match(/^:::([\w-]+)/);
+  if (classMatch) {
+    node.className = classMatch[1];
+    pos += classMatch[0].length;
+  }
+
+  return { node, pos };
+}
+
+// One or more nodes joined with "&"
+function readNodeGroup(statement, pos) {
+  const nodes = [];
+
+  while (true) {
+    pos = skipSpaces(statement, pos);
+    const read = readNode(statement, pos);
+    if (!read) return null;
+    nodes.push(read.node);
+    pos = skipSpaces(statement, read.pos);
+    if (statement[pos] !== '&') return { nodes, pos };
+    pos++;
+  }
+}
+
+function readArrow(statement, pos) {
+  const rest = statement.slice(pos);
+
+  const textArrow = rest.match(TEXT_ARROW);
+  if (textArrow) {
+    return { label: textArrow[2], pos: pos + textArrow[0].length };
+  }
+
+  const arrow = rest.match(ARROW);
+  if (!arrow) return null;
+  pos += arrow[0].length;
+
+  const labelMatch = statement.slice(pos).match(/^\s*\|([^|]*)\|/);
+  if (labelMatch) {
+    return { label: labelMatch[1], pos: pos + labelMatch[0].length };
+  }
+  return { label: '', pos };
+}
+
+function skipSpaces(statement, pos) {
+  while (pos < statement.length && /\s/.test(statement[pos])) pos++;
+  return pos;
+}
+
+// "A[Start] -->|yes| B & C --> D" -> node definitions and edges A->B, A->C, B->D, C->D
+function parseStatement(statement) {
+  let group = readNodeGroup(statement, 0);
+  if (!group) return null;
+
+  const nodes = [...group.nodes];
+  const edges = [];
+  let pos = group.pos;
+
+  while (pos < statement.length) {
+    const arrow = readArrow(statement, pos);
+    if (!arrow) return null;
+
+    const next = readNodeGroup(statement, arrow.pos);
+    if (!next) return null;
+
+    group.nodes.forEach(from => {
+      next.nodes.forEach(to => edges.push({ from: from.id, to: to.id, label: arrow.label }));
+    });
+    nodes.push(...next.nodes);
+    group = next;
+    pos = next.pos;
+  }
+
+  return { nodes, edges };
+}
+
+function inferType(node, isEntry) {
+  if (node.className && CLASS_TYPES.includes(node.className)) return node.className;
+
+  switch (node.shape) {
+    case 'rhombus':
+    case 'hexagon':
+      return 'decision';
+    case 'trapezoid':
+      return 'verification';
+    case 'stadium':
+      return isEntry ? 'greeting' : 'farewell';
+    case 'circle':
+      return 'end';
+    default:
+      return isEntry ? 'greeting' : 'message';
+  }
+}
+
+function parseMermaidFlowchart(text) {
+  const statements = splitStatements(String(text).replace(/%%\{[\s\S]*?\}%%/g, ''));
+
+  if (!statements.length || !/^(flowchart|graph)\b/i.test(statements[0])) {
+    return { errors: ['Not a Mermaid flowchart: the diagram must start with "flowchart" or "graph"'] };
+  }
+
+  const mermaidNodes = new Map();
+  const mermaidEdges = [];
+  const errors = [];
+
+  const defineNode = node => {
+    const existing = mermaidNodes.get(node.id) || { id: node.id };
+    mermaidNodes.set(node.id, {
+      ...existing,
+      ...(node.label !== undefined && { label: node.label, shape: node.shape }),
+      ...(node.className && { className: node.className })
+    });
+  };
+
+  statements.slice(1).forEach(statement => {
+    if (SKIPPED_STATEMENTS.test(statement)) return;
+
+    const classMatch = statement.match(/^class\s+([^\s]+)\s+([\w-]+)$/);
+    if (classMatch) {
+      classMatch[1].split(',').forEach(id => defineNode({ id: id.trim(), className: classMatch[2] }));
+      return;
+    }
+
+    const parsed = parseStatement(statement);
+    if (!parsed) {
+      errors.push(`Could not parse: ${statement}`);
+      return;
+    }
+    parsed.nodes.forEach(defineNode);
+    mermaidEdges.push(...parsed.edges);
+  });
+
+  if (errors.length > 0) return { errors };
+
+  // class statements can name nodes that are never drawn
+  const drawn = new Set(mermaidEdges.flatMap(edge => [edge.from, edge.to]));
+  const nodes = [...mermaidNodes.values()].filter(node => node.label !== undefined || drawn.has(node.id));
+  if (nodes.length === 0) {
+    return { errors: ['The flowchart has no nodes'] };
+  }
+
+  // Entry point: the first node nothing points to, else the first node
+  const targets = new Set(mermaidEdges.map(edge => edge.to));
+  const entry = nodes.find(node => !targets.has(node.id)) || nodes[0];
+
+  const usedIds = new Set();
+  const ids = new Map();
+  const hasStart = nodes.some(node => node.id === 'start');
+  [entry, ...nodes.filter(node => node !== entry)].forEach(node => {
+    const label = cleanLabel(node.label ?? node.id).replace(LABEL_ICON, '');
+    const base = node === entry && !hasStart
+      ? 'start'
+      : GENERATED_ID.test(node.id) ? toSnakeCase(label) || 'node' : node.id;
+    ids.set(node.id, uniqueKey(base, usedIds));
+  });
+
+  const flowNodes = nodes.map(node => {
+    const content = cleanLabel(node.label ?? node.id).replace(LABEL_ICON, '') || node.id;
+    return {
+      id: ids.get(node.id),
+      type: inferType(node, node === entry),
+      speaker: 'agent',
+      content,
+      fullPrompt: content,
+      nextActions: {}
+    };
+  });
+  const byId = new Map(flowNodes.map(node => [node.id, node]));
+
+  const usedActions = new Map();
+  const edges = mermaidEdges.map(edge => {
+    const from = ids.get(edge.from);
+    const to = ids.get(edge.to);
+    const condition = cleanLabel(edge.label).replace(/^"|"$/g, '').replace(CALL_COUNT, '');
+
+    if (!usedActions.has(from)) usedActions.set(from, new Set());
+    const action = uniqueKey(toSnakeCase(condition) || to, usedActions.get(from));
+    byId.get(from).nextActions[action] = to;
+
+    return condition ? { from, to, condition } : { from, to };
+  });
+
+  return {
+    flowData: {
+      nodes: flowNodes,
+      edges,
+      globalInstructions: '',
+      errorHandling: ''
+    },
+    warnings: ['Mermaid diagrams carry no prompt text, so node labels were used as prompts. Edit the prompts before using the flow.']
+  };
+}
+
+// Accepts flow data itself, the "Export as JSON" prompts file ({ nodes, prompts, edges }),
+// an upload job result ({ flowData }) or a saved flow ({ flow: { flow_data } })
+function parseFlowJson(text) {
+  let parsed;
+  try {
+    parsed = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    return { errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const source = parsed?.flowData || parsed?.flow?.flow_data || parsed?.flow_data || parsed;
+  if (!source || typeof source !== 'object' || !Array.isArray(source.nodes)) {
+    return { errors: ['(root): expected an object with a "nodes" array'] };
+  }
+
+  const warnings = [];
+  const { mermaidDiagram: _diagram, ...flowData } = source;
+
+  // The prompts export keeps each node's prompt in a separate map
+  flowData.nodes = flowData.nodes.map(node => (
+    node && !node.fullPrompt && flowData.prompts?.[node.id]
+      ? { ...node, fullPrompt: flowData.prompts[node.id] }
+      : node
+  ));
+
+  if (!Array.isArray(flowData.edges)) {
+    flowData.edges = [];
+  }
+  ['globalInstructions', 'errorHandling'].forEach(field => {
+    if (flowData[field] === undefined) {
+      flowData[field] = '';
+      warnings.push(`No ${field} in the file, left empty`);
+    }
+  });
+
+  return { flowData, warnings };
+}
+
+function detectFormat(content, filename = '') {
+  if (/\.(mmd|mermaid)$/i.test(filename)) return 'mermaid';
+  if (/\.json$/i.test(filename)) return 'json';
+  return /^\s*[{[]/.test(content) ? 'json' : 'mermaid';
+}
+
+// Parse an import in the given format ('mermaid' | 'json'), or detect it from
+// the file name and content
+function parseFlowImport(content, { format, filename } = {}) {
+  const resolved = format || detectFormat(content, filename);
+
+  if (resolved === 'mermaid') return { format: resolved, ...parseMermaidFlowchart(content) };
+  if (resolved === 'json') return { format: resolved, ...parseFlowJson(content) };
+  return { format: resolved, errors: [`Unknown import format "${resolved}". Use mermaid or json`] };
+}
+
+module.exports = {
+  parseMermaidFlowchart,
+  parseFlowJson,
+  parseFlowImport
+};
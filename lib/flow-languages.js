@@ -0,0 +1,129 @@
+// Multilingual flows. A node's own fields are in the flow's base language
+// (flowData.language); other languages sit next to them:
+//   node.translations[language] = { fullPrompt, examples, retryPrompt, listenFor }
+//   flowData.translations[language] = { globalInstructions, errorHandling }
+// Node IDs, types, nextActions and edges are shared by every language, so a
+// language variant can never change the branching.
+
+const NODE_FIELDS = ['fullPrompt', 'examples', 'retryPrompt', 'listenFor'];
+const FLOW_FIELDS = ['globalInstructions', 'errorHandling'];
+
+// Flows saved before they recorded a language, with no transcript language either
+const DEFAULT_LANGUAGE = 'en';
+
+// ISO 639 code with an optional region or script ("es", "pt-BR", "zh-Hant")
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+function isLanguageCode(value) {
+  return typeof value === 'string' && LANGUAGE_CODE.test(value);
+}
+
+// English name of a language code ("es" -> "Spanish"), or the code itself
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// Most common language of a set of transcriptions ("en_us" style codes become "en-us")
+function transcriptLanguage(transcriptions, fallback = DEFAULT_LANGUAGE) {
+  const counts = new Map();
+  transcriptions.forEach(transcription => {
+    const code = String(transcription.language || '').replace('_', '-');
+    if (isLanguageCode(code)) counts.set(code, (counts.get(code) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || fallback;
+}
+
+function baseLanguage(flowData) {
+  return flowData.language || DEFAULT_LANGUAGE;
+}
+
+// Base language first, then every language any node or the flow has a variant for
+function flowLanguages(flowData) {
+  const languages = new Set([baseLanguage(flowData)]);
+  Object.keys(flowData.translations || {}).forEach(language => languages.add(language));
+  (flowData.nodes || []).forEach(node => {
+    Object.keys(node.translations || {}).forEach(language => languages.add(language));
+  });
+  return [...languages];
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields
+    .filter(field => source?.[field] !== undefined)
+    .map(field => [field, source[field]]));
+}
+
+// The flow in one language, without any translations: translated fields replace the
+// base ones, and base text stays wherever a variant lacks a field. Exporters and the
+// prompt compiler work on this single-language view.
+function localizeFlow(flowData, language = baseLanguage(flowData)) {
+  const { translations = {}, ...flow } = flowData;
+  const isBase = language === baseLanguage(flowData);
+
+  return {
+    ...flow,
+    ...(isBase ? {} : pickFields(translations[language], FLOW_FIELDS)),
+    language,
+    nodes: flowData.nodes.map(({ translations: nodeTranslations = {}, ...node }) => (
+      isBase ? node : { ...node, ...pickFields(nodeTranslations[language], NODE_FIELDS) }
+    ))
+  };
+}
+
+// The text a translation starts from: { nodes: { [id]: fields }, globalInstructions, errorHandling }
+function translatableText(flowData) {
+  return {
+    nodes: Object.fromEntries(flowData.nodes.map(node => [node.id, pickFields(node, NODE_FIELDS)])),
+    ...pickFields(flowData, FLOW_FIELDS)
+  };
+}
+
+// Keep the parts of a translation (e.g. a model's answer) that `source` has, with the
+// same types: strings for strings, lists of strings for lists
+function matchTranslatableText(source, text) {
+  const matchFields = (from, to) => Object.fromEntries(Object.keys(from)
+    .filter(field => Array.isArray(from[field])
+      ? Array.isArray(to?.[field]) && to[field].every(item => typeof item === 'string')
+      : typeof to?.[field] === 'string')
+    .map(field => [field, to[field]]));
+
+  return {
+    nodes: Object.fromEntries(Object.entries(source.nodes).map(([id, fields]) => [id, matchFields(fields, text?.nodes?.[id])])),
+    ...matchFields(pickFields(source, FLOW_FIELDS), text)
+  };
+}
+
+// Copy of the flow with `text` (shaped like translatableText) stored as the variant
+// for `language`, replacing an earlier variant of that language
+function setFlowTranslation(flowData, language, text) {
+  const flowText = pickFields(text, FLOW_FIELDS);
+
+  return {
+    ...flowData,
+    language: baseLanguage(flowData),
+    ...(Object.keys(flowText).length > 0
+      ? { translations: { ...flowData.translations, [language]: flowText } }
+      : {}),
+    nodes: flowData.nodes.map(node => {
+      const nodeText = pickFields(text.nodes?.[node.id], NODE_FIELDS);
+      if (Object.keys(nodeText).length === 0) return node;
+      return { ...node, translations: { ...node.translations, [language]: nodeText } };
+    })
+  };
+}
+
+module.exports = {
+  isLanguageCode,
+  languageName,
+  transcriptLanguage,
+  baseLanguage,
+  flowLanguages,
+  localizeFlow,
+  translatableText,
+  matchTranslatableText,
+  setFlowTranslation
+};
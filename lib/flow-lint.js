@@ -0,0 +1,138 @@
+// Structural checks for flow graphs: dangling references, edges that disagree
+// with nextActions, unreachable nodes, dead ends and gaps in language variants.
+// Each diagnostic is { severity: 'error' | 'warning', code, message, nodeId?, edge? }.
+const { baseLanguage, flowLanguages, languageName } = require('./flow-languages');
+
+const TERMINAL_TYPES = ['farewell', 'success', 'failure', 'end', 'closing', 'transfer'];
+
+// Nodes that are allowed to end the conversation
+function isTerminalNode(node) {
+  const id = (node.id || '').toLowerCase();
+  return TERMINAL_TYPES.includes((node.type || '').toLowerCase()) ||
+    id.includes('end') ||
+    id.includes('close');
+}
+
+function findStartNode(nodes) {
+  return nodes.find(node => node.id === 'start') || nodes[0];
+}
+
+function lintFlow(flowData) {
+  const diagnostics = [];
+  const report = (severity, code, message, extra = {}) => {
+    diagnostics.push({ severity, code, message, ...extra });
+  };
+
+  const nodes = Array.isArray(flowData?.nodes) ? flowData.nodes.filter(node => node && node.id) : [];
+  const edges = Array.isArray(flowData?.edges) ? flowData.edges.filter(edge => edge) : [];
+
+  if (nodes.length === 0) {
+    report('error', 'no-nodes', 'Flow has no nodes');
+    return summarize(diagnostics);
+  }
+
+  // Duplicate IDs make every other reference ambiguous
+  const nodeIds = new Set();
+  nodes.forEach(node => {
+    if (nodeIds.has(node.id)) {
+      report('error', 'duplicate-node-id', `Node ID "${node.id}" is used more than once`, { nodeId: node.id });
+    }
+    nodeIds.add(node.id);
+  });
+
+  if (!nodeIds.has('start')) {
+    report('warning', 'missing-start', `No node with ID "start", treating "${nodes[0].id}" as the entry point`, { nodeId: nodes[0].id });
+  }
+
+  // nextActions targets must exist
+  const actionPairs = new Set();
+  nodes.forEach(node => {
+    Object.entries(node.nextActions || {}).forEach(([condition, target]) => {
+      if (!nodeIds.has(target)) {
+        report('error', 'unknown-next-action-target', `Node "${node.id}" routes "${condition}" to unknown node "${target}"`, { nodeId: node.id });
+        return;
+      }
+      actionPairs.add(`${node.id}->${target}`);
+    });
+  });
+
+  // Edge endpoints must exist (generateMermaidDiagram drops these edges)
+  const edgePairs = new Set();
+  edges.forEach(edge => {
+    const missing = [edge.from, edge.to].filter(id => !nodeIds.has(id));
+    if (missing.length > 0) {
+      report('error', 'unknown-edge-endpoint', `Edge ${edge.from} → ${edge.to} references unknown node(s): ${missing.join(', ')}`, { edge });
+      return;
+    }
+    edgePairs.add(`${edge.from}->${edge.to}`);
+  });
+
+  // Edges and nextActions should describe the same transitions
+  edgePairs.forEach(pair => {
+    if (!actionPairs.has(pair)) {
+      const [from, to] = pair.split('->');
+      report('warning', 'edge-without-next-action', `Edge ${from} → ${to} has no matching nextActions entry on "${from}"`, { nodeId: from, edge: { from, to } });
+    }
+  });
+  actionPairs.forEach(pair => {
+    if (!edgePairs.has(pair)) {
+      const [from, to] = pair.split('->');
+      report('warning', 'next-action-without-edge', `nextActions on "${from}" routes to "${to}" but there is no matching edge`, { nodeId: from, edge: { from, to } });
+    }
+  });
+
+  // Reachability from the start node over both edges and nextActions
+  const outgoing = new Map(nodes.map(node => [node.id, new Set()]));
+  [...actionPairs, ...edgePairs].forEach(pair => {
+    const [from, to] = pair.split('->');
+    outgoing.get(from).add(to);
+  });
+
+  const start = findStartNode(nodes);
+  const reachable = new Set([start.id]);
+  const queue = [start.id];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    outgoing.get(current).forEach(next => {
+      if (!reachable.has(next)) {
+        reachable.add(next);
+        queue.push(next);
+      }
+    });
+  }
+
+  nodes.forEach(node => {
+    if (!reachable.has(node.id)) {
+      report('warning', 'unreachable-node', `Node "${node.id}" cannot be reached from "${start.id}"`, { nodeId: node.id });
+    }
+
+    if (outgoing.get(node.id).size === 0 && !isTerminalNode(node)) {
+      report('error', 'dead-end', `Node "${node.id}" is not a terminal node but has no way out`, { nodeId: node.id });
+    }
+  });
+
+  // Nodes without a prompt in one of the flow's languages fall back to the base text
+  const base = baseLanguage(flowData);
+  flowLanguages({ ...flowData, nodes }).filter(language => language !== base).forEach(language => {
+    nodes.filter(node => !node.translations?.[language]?.fullPrompt).forEach(node => {
+      report('warning', 'missing-translation', `Node "${node.id}" has no ${languageName(language)} prompt, the ${languageName(base)} one is used`, { nodeId: node.id });
+    });
+  });
+
+  return summarize(diagnostics);
+}
+
+function summarize(diagnostics) {
+  const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: diagnostics.length - errorCount,
+    diagnostics
+  };
+}
+
+module.exports = {
+  lintFlow,
+  isTerminalNode
+};
@@ -0,0 +1,216 @@
+const { slugify } = require('./exporters/common');
+const { replayPath } = require('./flow-coverage');
+
+// Consolidate per-call flows into one flow. Nodes that play the same role in
+// different calls are unified, and every edge records how many calls took it.
+// A per-call flow lists every branch the agent offered, not only the one taken,
+// so each call's transcript is replayed against its own flow to find its path.
+
+const SIMILARITY_THRESHOLD = 0.45;
+
+function tokenize(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 2)
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// How alike two nodes are, from 0 to 1 (content weighs more than the full prompt)
+function nodeSimilarity(a, b) {
+  if ((a.type || '') !== (b.type || '')) return 0;
+
+  let score = 0.6 * jaccard(a.contentTokens, b.contentTokens) +
+    0.4 * jaccard(a.promptTokens, b.promptTokens);
+
+  if (a.id === b.id) score += 0.3;
+  return Math.min(score, 1);
+}
+
+function unique(values) {
+  return [...new Set((values || []).filter(value => value !== undefined && value !== null && value !== ''))];
+}
+
+function startNodeId(flow) {
+  return (flow.nodes.find(node => node.id === 'start') || flow.nodes[0]).id;
+}
+
+// Transitions of one flow as { from, to, condition, action }: one per nextActions
+// entry, so two actions into the same node stay apart, labelled by the edges between
+// the same nodes in order. Edges no nextActions entry backs have no action.
+function collectTransitions(flow) {
+  const transitions = flow.nodes.flatMap(node => Object.entries(node.nextActions || {})
+    .map(([action, target]) => ({ from: node.id, to: target, action })));
+
+  (flow.edges || []).forEach(edge => {
+    if (!edge?.from || !edge?.to) return;
+    const sameNodes = transitions.filter(transition => transition.from === edge.from && transition.to === edge.to);
+    const unlabelled = sameNodes.find(transition => transition.condition === undefined);
+    if (unlabelled) {
+      unlabelled.condition = edge.condition;
+    } else if (sameNodes.length === 0) {
+      transitions.push({ from: edge.from, to: edge.to, condition: edge.condition });
+    }
+  });
+
+  return transitions;
+}
+
+// Whether a call took a transition. Calls whose path cannot be traced, and edges without
+// a nextActions entry (which the replay does not follow), count wherever they appear.
+function tookTransition(path, { from, action }) {
+  if (!path || !action) return true;
+  return path.routes.has(`${from}:${action}`);
+}
+
+// calls: [{ filename, flow, transcription? }] where each flow passed schema validation
+function mergeFlows(calls) {
+  const totalCalls = calls.length;
+  const merged = [];   // consolidated nodes with bookkeeping fields
+  const usedIds = new Set();
+  const idMaps = calls.map(() => new Map());
+  let mergedStart = null;
+
+  const uniqueId = (id) => {
+    let candidate = id;
+    let suffix = 2;
+    while (usedIds.has(candidate)) {
+      candidate = `${id}_${suffix++}`;
+    }
+    usedIds.add(candidate);
+    return candidate;
+  };
+
+  calls.forEach(({ filename, flow }, callIndex) => {
+    const startId = startNodeId(flow);
+    const matchedInThisCall = new Set();
+
+    flow.nodes.forEach(node => {
+      const candidate = {
+        ...node,
+        contentTokens: tokenize(node.content),
+        promptTokens: tokenize(node.fullPrompt)
+      };
+
+      const isStart = node.id === startId;
+      let match = null;
+      if (isStart) {
+        // Every call starts in the same place
+        match = mergedStart;
+      } else {
+        let bestScore = SIMILARITY_THRESHOLD;
+        merged.forEach(existing => {
+          if (matchedInThisCall.has(existing)) return;
+          const score = nodeSimilarity(existing, candidate);
+          if (score >= bestScore) {
+            bestScore = score;
+            match = existing;
+          }
+        });
+      }
+
+      if (match) {
+        match.examples = unique([...(match.examples || []), ...(node.examples || [])]);
+        match.listenFor = unique([...(match.listenFor || []), ...(node.listenFor || [])]);
+        match.sourceCalls = unique([...match.sourceCalls, filename]);
+        match.mergedFrom.push({ filename, nodeId: node.id });
+      } else {
+        match = {
+          ...candidate,
+          id: uniqueId(isStart ? 'start' : node.id),
+          examples: unique(node.examples),
+          listenFor: unique(node.listenFor),
+          sourceCalls: [filename],
+          mergedFrom: [{ filename, nodeId: node.id }]
+        };
+        merged.push(match);
+        if (isStart) mergedStart = match;
+      }
+
+      matchedInThisCall.add(match);
+      idMaps[callIndex].set(node.id, match.id);
+    });
+  });
+
+  // Count, per consolidated transition, how many calls took it
+  const edgeCounts = new Map();
+  calls.forEach(({ flow, transcription }, callIndex) => {
+    const idMap = idMaps[callIndex];
+    const path = transcription ? replayPath(flow, transcription) : null;
+    const seen = new Set();
+
+    collectTransitions(flow).forEach(transition => {
+      const { from, to, condition } = transition;
+      const mappedFrom = idMap.get(from);
+      const mappedTo = idMap.get(to);
+      // A call maps at most one node onto each consolidated node, so a transition from a
+      // node to itself is a self-loop (a retry, say) in the call's own flow
+      if (!mappedFrom || !mappedTo) return;
+
+      const action = transition.action || (condition ? slugify(condition) : mappedTo);
+      const key = `${mappedFrom}->${mappedTo}:${action}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      if (!edgeCounts.has(key)) {
+        edgeCounts.set(key, {
+          from: mappedFrom,
+          to: mappedTo,
+          condition: condition || transition.action || '',
+          action,
+          callCount: 0
+        });
+      }
+      if (tookTransition(path, transition)) edgeCounts.get(key).callCount++;
+    });
+  });
+
+  const transitions = [...edgeCounts.values()];
+  const edges = transitions.map(({ action, ...edge }) => ({
+    ...edge,
+    frequency: Number((edge.callCount / totalCalls).toFixed(2))
+  }));
+
+  // Rebuild nextActions from the consolidated transitions, keeping keys unique per node
+  const nodes = merged.map(({ contentTokens, promptTokens, nextActions, ...node }) => {
+    const actions = {};
+    transitions.filter(transition => transition.from === node.id).forEach(transition => {
+      let key = transition.action;
+      let suffix = 2;
+      while (actions[key]) {
+        key = `${transition.action}_${suffix++}`;
+      }
+      actions[key] = transition.to;
+    });
+
+    return {
+      ...node,
+      nextActions: actions,
+      callCount: node.sourceCalls.length
+    };
+  });
+
+  const flows = calls.map(call => call.flow);
+
+  return {
+    nodes,
+    edges,
+    globalInstructions: unique(flows.map(flow => flow.globalInstructions)).join('\n'),
+    errorHandling: unique(flows.map(flow => flow.errorHandling)).join('\n'),
+    callCount: totalCalls
+  };
+}
+
+module.exports = {
+  mergeFlows
+};
@@ -0,0 +1,113 @@
+const Ajv = require('ajv');
+
+// JSON Schema for the conversation flow produced by analyzeConversationFlow
+// and stored in conversation_flows.flow_data
+
+// Language codes as accepted by lib/flow-languages.js
+const languageCode = { type: 'string', pattern: '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$' };
+
+// Per-language variants of a node's wording (see lib/flow-languages.js)
+const nodeTranslationsSchema = {
+  type: 'object',
+  propertyNames: languageCode,
+  additionalProperties: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      fullPrompt: { type: 'string', minLength: 1 },
+      examples: { type: 'array', items: { type: 'string' } },
+      retryPrompt: { type: 'string' },
+      listenFor: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const nodeSchema = {
+  type: 'object',
+  required: ['id', 'type', 'speaker', 'content', 'fullPrompt', 'nextActions'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    speaker: { type: 'string', enum: ['agent', 'customer', 'system'] },
+    content: { type: 'string', minLength: 1 },
+    fullPrompt: { type: 'string', minLength: 1 },
+    examples: { type: 'array', items: { type: 'string' } },
+    listenFor: { type: 'array', items: { type: 'string' } },
+    nextActions: {
+      type: 'object',
+      additionalProperties: { type: 'string', minLength: 1 }
+    },
+    timeout: { type: 'number', minimum: 0 },
+    retryPrompt: { type: 'string' },
+    translations: nodeTranslationsSchema
+  }
+};
+
+const edgeSchema = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    from: { type: 'string', minLength: 1 },
+    to: { type: 'string', minLength: 1 },
+    condition: { type: 'string' }
+  }
+};
+
+const flowSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'ConversationFlow',
+  type: 'object',
+  required: ['nodes', 'edges', 'globalInstructions', 'errorHandling'],
+  properties: {
+    nodes: { type: 'array', minItems: 1, items: nodeSchema },
+    edges: { type: 'array', items: edgeSchema },
+    prompts: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    globalInstructions: { type: 'string' },
+    errorHandling: { type: 'string' },
+    // Language of the node fields above; variants are in translations
+    language: languageCode,
+    translations: {
+      type: 'object',
+      propertyNames: languageCode,
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          globalInstructions: { type: 'string' },
+          errorHandling: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(flowSchema);
+
+const MAX_REPORTED_ERRORS = 20;
+
+// Validate flow data against the schema.
+// Returns { valid, errors } with errors as readable "path: message" strings.
+function validateFlow(flowData) {
+  const valid = validate(flowData);
+
+  if (valid) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = validate.errors.slice(0, MAX_REPORTED_ERRORS).map(error => {
+    const location = error.instancePath || '(root)';
+    const detail = error.params?.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '';
+    return `${location}: ${error.message}${detail}`;
+  });
+
+  return { valid: false, errors };
+}
+
+module.exports = {
+  flowSchema,
+  validateFlow
+};
@@ -0,0 +1,189 @@
+const {
+  startNodeId,
+  getTransitions,
+  assignListenFor,
+  routePhrases,
+  humanize
+} = require('./exporters/common');
+
+// Text simulator that walks a flow the way a deployed agent would: speak the
+// current node's fullPrompt, match the caller's reply against listenFor and
+// route through nextActions, re-prompting when nothing matches.
+//
+// Simulations are stateless on the server. Each step takes the state returned by
+// the previous one ({ nodeId, attempts, ended }) and returns
+// { state, messages, match }, where messages are { speaker, text, nodeId? }.
+
+// Unmatched replies or silences allowed on one node before error handling takes over
+const MAX_ATTEMPTS = 3;
+const DEFAULT_TIMEOUT = 5;
+
+// Routes taken when the caller says nothing, by action name
+const SILENCE_ACTIONS = /no[_\s-]?(response|reply|answer|input)|silen|timeout|timed[_\s-]?out/i;
+
+// Fallback for yes/no answers, which rarely share words with route names
+// ("yes, speaking" -> "confirmed"): reply words and the routes they point to
+const POLARITIES = [
+  {
+    reply: /\b(yes|yeah|yep|yup|sure|ok|okay|correct|right|speaking|that's me|absolutely|of course)\b/,
+    route: /confirm|agree|accept|yes|correct|interested|positive|verified|success/
+  },
+  {
+    reply: /\b(no|nope|nah|not|never|wrong|don't|can't|won't)\b/,
+    route: /deni|deny|declin|reject|refus|\bno\b|not|wrong|negative|fail/
+  }
+];
+
+function normalize(text) {
+  return ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}']+/gu, ' ').trim()} `;
+}
+
+function containsPhrase(reply, phrase) {
+  const normalized = normalize(phrase);
+  return normalized.trim() !== '' && reply.includes(normalized);
+}
+
+function nodeMessage(node) {
+  return { speaker: node.speaker || 'agent', text: node.fullPrompt, nodeId: node.id };
+}
+
+function findNode(flowData, nodeId) {
+  return flowData.nodes.find(node => node.id === nodeId);
+}
+
+function matchPolarity(transitions, text) {
+  const [positive, negative] = POLARITIES;
+  const routeText = transition => `${humanize(transition.action)} ${transition.label}`.toLowerCase();
+  const isNegative = transition => negative.route.test(routeText(transition));
+  const hits = POLARITIES.filter(polarity => polarity.reply.test(text));
+  if (hits.length !== 1) return null;
+
+  const candidates = hits[0] === negative
+    ? transitions.filter(isNegative)
+    : transitions.filter(transition => positive.route.test(routeText(transition)) && !isNegative(transition));
+  return candidates.length === 1
+    ? { transition: candidates[0], phrase: text.match(hits[0].reply)[0] }
+    : null;
+}
+
+// Keyword matching: a route wins when the reply contains more of its phrases (its
+// label, action name and the listenFor phrases tied to it) than any other route.
+// A node with a single route takes it on any listenFor phrase, or on any reply at
+// all when it has no listenFor. Plain yes/no answers fall back to matchPolarity.
+// Silence routes (no_response, timeout, ...) are only taken by stepSimulation.
+function matchKeywords(node, allTransitions, reply) {
+  const text = normalize(reply);
+  const transitions = allTransitions.filter(transition => !SILENCE_ACTIONS.test(transition.action));
+  const { assigned } = assignListenFor(node, transitions);
+
+  const scored = transitions.map(transition => {
+    const phrases = [...routePhrases(transition, assigned.get(transition.action)), humanize(transition.action)];
+    const matched = phrases.filter(phrase => containsPhrase(text, phrase));
+    return { transition, matched };
+  }).filter(candidate => candidate.matched.length > 0)
+    .sort((a, b) => b.matched.length - a.matched.length);
+
+  if (scored.length > 0 && (scored.length === 1 || scored[0].matched.length > scored[1].matched.length)) {
+    return { transition: scored[0].transition, phrase: scored[0].matched[0] };
+  }
+
+  if (transitions.length === 1 && scored.length === 0) {
+    const listenFor = node.listenFor || [];
+    const phrase = listenFor.find(candidate => containsPhrase(text, candidate));
+    if (phrase || listenFor.length === 0) {
+      return { transition: transitions[0], phrase: phrase || null };
+    }
+  }
+
+  return scored.length === 0 ? matchPolarity(transitions, text) : null;
+}
+
+function startSimulation(flowData) {
+  const node = findNode(flowData, startNodeId(flowData));
+  const ended = getTransitions(flowData, node).length === 0;
+
+  return {
+    state: { nodeId: node.id, attempts: 0, ended },
+    messages: [nodeMessage(node)],
+    match: null
+  };
+}
+
+// Move to a transition's target and speak it
+function advance(flowData, transition, match) {
+  const next = findNode(flowData, transition.target);
+
+  return {
+    state: { nodeId: next.id, attempts: 0, ended: getTransitions(flowData, next).length === 0 },
+    messages: [nodeMessage(next)],
+    match: { action: transition.action, target: transition.target, label: transition.label, ...match }
+  };
+}
+
+// Nothing matched (or the caller stayed silent): re-prompt, or hand over to the
+// flow's error handling once MAX_ATTEMPTS is reached
+function retry(flowData, node, state) {
+  const attempts = state.attempts + 1;
+
+  if (attempts >= MAX_ATTEMPTS) {
+    return {
+      state: { nodeId: node.id, attempts, ended: true },
+      messages: [{
+        speaker: 'system',
+        text: `No route matched after ${attempts} attempts. ${flowData.errorHandling ? `Error handling: ${flowData.errorHandling}` : 'The flow has no error handling, so the call ends here.'}`
+      }],
+      match: null
+    };
+  }
+
+  return {
+    state: { nodeId: node.id, attempts, ended: false },
+    messages: [{ speaker: node.speaker || 'agent', text: node.retryPrompt || node.fullPrompt, nodeId: node.id }],
+    match: null
+  };
+}
+
+// One caller turn: { reply } for a typed reply or { silence: true } for no answer.
+// options.classify(node, transitions, reply) may resolve to a transition action (or
+// null) to replace keyword matching, e.g. with an LLM intent classifier.
+async function stepSimulation(flowData, state, { reply, silence } = {}, { classify } = {}) {
+  const node = findNode(flowData, state?.nodeId);
+  if (!node) {
+    throw new Error(`Unknown node "${state?.nodeId}" in simulation state`);
+  }
+  if (state.ended) {
+    return { state, messages: [], match: null };
+  }
+
+  const current = { nodeId: node.id, attempts: Number(state.attempts) || 0, ended: false };
+  const transitions = getTransitions(flowData, node);
+
+  if (silence || !String(reply || '').trim()) {
+    const timeout = node.timeout ?? DEFAULT_TIMEOUT;
+    const notice = { speaker: 'system', text: `No reply for ${timeout} seconds` };
+    const silenceRoute = transitions.find(transition => SILENCE_ACTIONS.test(transition.action));
+
+    const result = silenceRoute
+      ? advance(flowData, silenceRoute, { by: 'silence' })
+      : retry(flowData, node, current);
+    return { ...result, messages: [notice, ...result.messages] };
+  }
+
+  if (classify) {
+    const action = await classify(node, transitions, reply);
+    const transition = transitions.find(candidate => candidate.action === action);
+    return transition ? advance(flowData, transition, { by: 'llm' }) : retry(flowData, node, current);
+  }
+
+  const matched = matchKeywords(node, transitions, reply);
+  return matched
+    ? advance(flowData, matched.transition, { by: 'keyword', phrase: matched.phrase })
+    : retry(flowData, node, current);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  matchKeywords,
+  startSimulation,
+  stepSimulation
+};
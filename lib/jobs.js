@@ -0,0 +1,232 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// In-memory registry for background upload jobs. Jobs live in this process only, so
+// following a job needs a long-lived server (see RUN_JOBS_INLINE in server.js for
+// serverless hosts). Jobs are kept for an hour after they finish so clients can fetch the result.
+const JOB_TTL_MS = 60 * 60 * 1000;
+// A job waiting for the client (see waitForJobInput) carries on without an answer after this
+const INPUT_TIMEOUT_MS = 30 * 60 * 1000;
+// A job still unfinished this long after it was created (a stuck transcription or model
+// call) fails with errorCode JOB_EXPIRED, which also starts its JOB_TTL_MS cleanup
+const JOB_MAX_RUNTIME_MS = 2 * 60 * 60 * 1000;
+
+const jobs = new Map();
+// Resolvers of jobs paused in waitForJobInput, by job id
+const pendingInputs = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Public view of a job (no internal fields, safe to JSON encode)
+function snapshot(job) {
+  return {
+    id: job.id,
+    workspaceId: job.workspaceId,
+    status: job.status,
+    stage: job.stage,
+    stageProgress: job.stageProgress,
+    progress: job.progress,
+    files: job.files.map(file => ({ ...file })),
+    input: job.input,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    errorDetails: job.errorDetails,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Overall progress: transcription of all files takes the first 70%,
+// analysis the next 20% and storing the last 10%
+function computeProgress(job) {
+  if (job.status === 'completed') return 100;
+
+  const fileWeight = job.files.length > 0 ? 70 / job.files.length : 0;
+  let progress = job.files.reduce((sum, file) => {
+    if (file.status === 'completed') return sum + fileWeight;
+    if (file.stage === 'transcribing') return sum + fileWeight / 2;
+    return sum;
+  }, 0);
+
+  if (job.stage === 'analyzing') {
+    const { current = 1, total = 1 } = job.stageProgress || {};
+    progress = 70 + (20 * (current - 1)) / total;
+  }
+  if (job.stage === 'storing') progress = 90;
+
+  return Math.floor(progress);
+}
+
+function emitUpdate(job) {
+  job.updatedAt = new Date().toISOString();
+  job.progress = computeProgress(job);
+  events.emit(job.id, snapshot(job));
+}
+
+function scheduleCleanup(job) {
+  const timer = setTimeout(() => jobs.delete(job.id), JOB_TTL_MS);
+  if (timer.unref) timer.unref();
+}
+
+// Create a queued job for the given uploaded files, in the workspace that started it
+function createJob(files, { workspaceId = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    workspaceId,
+    status: 'queued',
+    stage: null,
+    stageProgress: null,
+    progress: 0,
+    files: files.map(file => ({
+      filename: file.originalname,
+      stage: null,
+      status: 'pending'
+    })),
+    input: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    errorDetails: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+
+  const expiry = setTimeout(() => expireJob(job.id), JOB_MAX_RUNTIME_MS);
+  if (expiry.unref) expiry.unref();
+
+  return snapshot(job);
+}
+
+function expireJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || isFinished(job)) return;
+
+  // Let a paused job go, so it does not resume after failing
+  pendingInputs.delete(jobId);
+  job.input = null;
+  const error = new Error(`Job did not finish within ${JOB_MAX_RUNTIME_MS / 60000} minutes`);
+  error.code = 'JOB_EXPIRED';
+  failJob(jobId, error);
+}
+
+function getJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? snapshot(job) : null;
+}
+
+// Move the whole job into a stage (uploading, transcribing, analyzing, storing),
+// optionally with { current, total } progress within that stage
+function setJobStage(jobId, stage, stageProgress = null) {
+  const job = jobs.get(jobId);
+  // An expired job's work may still be running; it no longer moves the job
+  if (!job || isFinished(job)) return;
+
+  job.status = 'processing';
+  job.stage = stage;
+  job.stageProgress = stageProgress;
+  emitUpdate(job);
+}
+
+// Update the stage or status of a single file within the job
+function setFileStage(jobId, fileIndex, stage, status = 'processing') {
+  const job = jobs.get(jobId);
+  if (!job || isFinished(job) || !job.files[fileIndex]) return;
+
+  job.status = 'processing';
+  job.stage = stage;
+  job.stageProgress = null;
+  job.files[fileIndex].stage = stage;
+  job.files[fileIndex].status = status;
+  emitUpdate(job);
+}
+
+// Pause a job until the client answers a question about it, such as confirming
+// speaker roles. The job reports status "awaiting_input" with `input` describing
+// the question. Resolves with the answer passed to provideJobInput, or null when
+// none arrives within INPUT_TIMEOUT_MS.
+function waitForJobInput(jobId, input, timeoutMs = INPUT_TIMEOUT_MS) {
+  const job = jobs.get(jobId);
+  if (!job) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const finish = answer => {
+      clearTimeout(timer);
+      pendingInputs.delete(jobId);
+      if (!isFinished(job)) {
+        job.status = 'processing';
+        job.input = null;
+        emitUpdate(job);
+      }
+      resolve(answer);
+    };
+    const timer = setTimeout(() => finish(null), timeoutMs);
+
+    pendingInputs.set(jobId, finish);
+    job.status = 'awaiting_input';
+    job.input = input;
+    emitUpdate(job);
+  });
+}
+
+// Answer a paused job. Returns false when the job is not waiting for input.
+function provideJobInput(jobId, answer) {
+  const finish = pendingInputs.get(jobId);
+  if (!finish) return false;
+
+  finish(answer);
+  return true;
+}
+
+function completeJob(jobId, result) {
+  const job = jobs.get(jobId);
+  if (!job || isFinished(job)) return;
+
+  job.status = 'completed';
+  job.stage = null;
+  job.stageProgress = null;
+  job.result = result;
+  emitUpdate(job);
+  scheduleCleanup(job);
+}
+
+function failJob(jobId, error) {
+  const job = jobs.get(jobId);
+  if (!job || isFinished(job)) return;
+
+  job.status = 'failed';
+  job.error = error.message || String(error);
+  job.errorCode = error.code || null;
+  job.errorDetails = error.details || null;
+  job.files.forEach(file => {
+    if (file.status !== 'completed') file.status = 'failed';
+  });
+  emitUpdate(job);
+  scheduleCleanup(job);
+}
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+// Listen for updates to a job, returns an unsubscribe function
+function subscribeToJob(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  setJobStage,
+  setFileStage,
+  waitForJobInput,
+  provideJobInput,
+  completeJob,
+  failJob,
+  isFinished,
+  subscribeToJob
+};
@@ -0,0 +1,250 @@
+const OpenAI = require('openai');
+
+// LLM access for flow analysis through any OpenAI-compatible chat completions API
+// (OpenAI, llama.cpp server, vLLM, Ollama, ...). Requests walk a chain of models:
+// the primary model first, then each fallback until one succeeds.
+
+const DEFAULT_MODEL = 'gpt-4-0125-preview';
+const DEFAULT_FALLBACK_MODELS = ['gpt-3.5-turbo'];
+const JSON_MODES = ['json_schema', 'json_object', 'none'];
+
+const clients = new Map();
+
+function getClient(baseUrl, apiKey) {
+  const key = `${baseUrl || 'default'}|${apiKey || ''}`;
+
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({
+      apiKey: apiKey || 'dummy_key_for_development',
+      baseURL: baseUrl || undefined
+    }));
+  }
+
+  return clients.get(key);
+}
+
+function parseNumber(value, parser) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parser(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+// Bad per-request settings; routes answer these with 400
+function invalidConfig(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_LLM_CONFIG';
+  return error;
+}
+
+// temperature, maxTokens and jsonMode of `source`, validated; unset ones are left out
+function parseModelSettings(source, label = '') {
+  const settings = {};
+
+  const temperature = parseNumber(source.temperature, parseFloat);
+  if (temperature !== undefined) {
+    if (temperature < 0 || temperature > 2) {
+      throw invalidConfig(`${label}temperature must be between 0 and 2`);
+    }
+    settings.temperature = temperature;
+  }
+
+  const maxTokens = parseNumber(source.maxTokens, v => parseInt(v, 10));
+  if (maxTokens !== undefined) {
+    if (maxTokens <= 0) {
+      throw invalidConfig(`${label}maxTokens must be a positive integer`);
+    }
+    settings.maxTokens = maxTokens;
+  }
+
+  if (source.jsonMode) {
+    if (!JSON_MODES.includes(source.jsonMode)) {
+      throw invalidConfig(`${label}jsonMode must be one of: ${JSON_MODES.join(', ')}`);
+    }
+    settings.jsonMode = source.jsonMode;
+  }
+
+  return settings;
+}
+
+// Fallbacks may be a comma-separated list of model names, a JSON array, or an array of
+// model names / { model, temperature, maxTokens, jsonMode } entries. Only `trusted`
+// lists (the environment) may give an entry its own baseUrl and apiKey: fallbacks use
+// the server's key, so a request must not be able to point them at another host.
+function parseFallbacks(value, { trusted = false } = {}) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  let entries = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        entries = JSON.parse(trimmed);
+      } catch (error) {
+        throw invalidConfig(`fallbackModels is not valid JSON: ${error.message}`);
+      }
+    } else {
+      entries = trimmed.split(',').map(model => model.trim()).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    throw invalidConfig('fallbackModels must be a comma-separated list or an array');
+  }
+
+  return entries
+    .map(entry => (typeof entry === 'string' ? { model: entry.trim() } : entry))
+    .filter(entry => entry && typeof entry === 'object' && typeof entry.model === 'string' && entry.model)
+    .map(entry => ({
+      model: entry.model,
+      ...parseModelSettings(entry, `fallbackModels (${entry.model}): `),
+      ...(trusted && entry.baseUrl ? { baseUrl: entry.baseUrl } : {}),
+      ...(trusted && entry.apiKey ? { apiKey: entry.apiKey } : {})
+    }));
+}
+
+// Default LLM settings from the environment
+function getDefaultLlmConfig() {
+  return {
+    baseUrl: process.env.LLM_BASE_URL || process.env.OPENAI_BASE_URL || undefined,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    fallbackModels: parseFallbacks(process.env.LLM_FALLBACK_MODELS, { trusted: true })
+      || DEFAULT_FALLBACK_MODELS.map(model => ({ model })),
+    temperature: parseNumber(process.env.LLM_TEMPERATURE, parseFloat) ?? 0.3,
+    maxTokens: parseNumber(process.env.LLM_MAX_TOKENS, v => parseInt(v, 10)) ?? 4000,
+    jsonMode: process.env.LLM_JSON_MODE || 'json_object'
+  };
+}
+
+// Merge per-request overrides (upload form fields or a JSON body) onto the defaults.
+// Requests can pick models and their settings, never endpoints or keys. Throws
+// error.code INVALID_LLM_CONFIG for bad values.
+function resolveLlmConfig(overrides = {}) {
+  const config = getDefaultLlmConfig();
+
+  if (overrides.model) config.model = String(overrides.model).trim();
+  Object.assign(config, parseModelSettings(overrides));
+
+  const fallbacks = parseFallbacks(overrides.fallbackModels);
+  if (fallbacks) config.fallbackModels = fallbacks;
+
+  return config;
+}
+
+// Whether the primary endpoint can be called (local servers don't need a key)
+function isLlmConfigured(config = getDefaultLlmConfig()) {
+  return !!config.baseUrl || (!!config.apiKey && config.apiKey !== 'your_openai_api_key_here');
+}
+
+function buildModelChain(config) {
+  const primary = {
+    model: config.model,
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    jsonMode: config.jsonMode
+  };
+
+  const fallbacks = (config.fallbackModels || [])
+    .filter(entry => entry.model !== config.model || entry.baseUrl)
+    .map(entry => ({ ...primary, ...entry }));
+
+  return [primary, ...fallbacks];
+}
+
+function buildResponseFormat(jsonMode, schema) {
+  if (jsonMode === 'json_schema' && schema) {
+    return {
+      type: 'json_schema',
+      json_schema: { name: 'conversation_flow', schema, strict: false }
+    };
+  }
+  if (jsonMode === 'json_object' || jsonMode === 'json_schema') {
+    return { type: 'json_object' };
+  }
+  return undefined;
+}
+
+// Whether a 400 is about response_format, from the parameter the API names or its
+// message (backends word it as "response_format", "json mode", "json_schema"...)
+function rejectsResponseFormat(error) {
+  if (error.status !== 400) return false;
+  if (error.param === 'response_format') return true;
+  const message = [error.message, error.error?.message].filter(Boolean).join(' ');
+  return /response_format|json[ _-]?(mode|object|schema)/i.test(message);
+}
+
+async function requestCompletion(attempt, messages, schema) {
+  const client = getClient(attempt.baseUrl, attempt.apiKey);
+  const body = {
+    model: attempt.model,
+    messages,
+    temperature: attempt.temperature,
+    max_tokens: attempt.maxTokens
+  };
+
+  const responseFormat = buildResponseFormat(attempt.jsonMode, schema);
+  if (responseFormat) body.response_format = responseFormat;
+
+  try {
+    return await client.chat.completions.create(body);
+  } catch (error) {
+    // Not every backend understands response_format, retry once in plain mode. Other
+    // 400s (a bad model name, too many tokens) would fail the same way again.
+    if (body.response_format && rejectsResponseFormat(error)) {
+      console.warn(`${attempt.model} rejected response_format ${responseFormat.type}, retrying without it:`, error.message);
+      delete body.response_format;
+      return client.chat.completions.create(body);
+    }
+    throw error;
+  }
+}
+
+// Run a chat completion that must answer with JSON, walking the model chain.
+// Resolves to { content, generation } where generation records which model answered.
+async function completeJson(messages, config = resolveLlmConfig(), { schema } = {}) {
+  const chain = buildModelChain(config);
+  const failures = [];
+
+  for (const attempt of chain) {
+    try {
+      console.log(`Sending request to ${attempt.model}${attempt.baseUrl ? ` at ${attempt.baseUrl}` : ''}...`);
+      const response = await requestCompletion(attempt, messages, schema);
+
+      // Check if we got a valid response
+      if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
+        console.error('Invalid LLM response structure:', response);
+        throw new Error('Invalid response from LLM API');
+      }
+
+      console.log(`${attempt.model} response received successfully`);
+
+      return {
+        content: response.choices[0].message.content,
+        generation: {
+          model: response.model || attempt.model,
+          requestedModel: attempt.model,
+          baseUrl: attempt.baseUrl || 'https://api.openai.com/v1',
+          temperature: attempt.temperature,
+          maxTokens: attempt.maxTokens,
+          fallback: attempt !== chain[0],
+          usage: response.usage || null
+        }
+      };
+    } catch (error) {
+      console.error(`${attempt.model} failed:`, error.message);
+      console.error('Error status:', error.status);
+      failures.push(`${attempt.model}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All models failed. ${failures.join('; ')}`);
+}
+
+module.exports = {
+  getDefaultLlmConfig,
+  resolveLlmConfig,
+  isLlmConfigured,
+  completeJson
+};
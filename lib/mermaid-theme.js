@@ -0,0 +1,134 @@
+// Mermaid theme shared by the diagrams generateMermaidDiagram writes, the page
+// (served from /api/mermaid-config) and server-side SVG/PNG rendering, so a
+// diagram looks the same wherever it is drawn.
+
+const DEFAULT_THEME = 'default';
+
+const FLOWCHART = {
+  useMaxWidth: true,
+  htmlLabels: true,
+  curve: 'basis',
+  rankSpacing: 80,
+  nodeSpacing: 80,
+  padding: 20
+};
+
+const FONT_FAMILY = 'Inter, -apple-system, BlinkMacSystemFont, sans-serif';
+
+// classDefs are keyed by the classes generateMermaidDiagram assigns to node types
+const THEMES = {
+  default: {
+    label: 'Color',
+    themeVariables: {
+      darkMode: false,
+      background: '#ffffff',
+      fontFamily: FONT_FAMILY,
+      fontSize: '14px',
+      primaryColor: '#ffffff',
+      primaryTextColor: '#1e293b',
+      primaryBorderColor: '#2563eb',
+      secondaryColor: '#dbeafe',
+      tertiaryColor: '#fef3c7',
+      mainBkg: '#ffffff',
+      textColor: '#1e293b',
+      lineColor: '#6b7280',
+      nodeBorder: '#2563eb',
+      defaultLinkColor: '#6b7280',
+      edgeLabelBackground: '#ffffff',
+      nodeTextColor: '#1e293b'
+    },
+    classDefs: {
+      default: 'fill:#ffffff,stroke:#2563eb,stroke-width:2px,color:#1e293b',
+      greeting: 'fill:#dbeafe,stroke:#2563eb,stroke-width:3px,color:#1e40af,font-weight:bold',
+      verification: 'fill:#fef3c7,stroke:#f59e0b,stroke-width:2px,color:#92400e',
+      main: 'fill:#ffffff,stroke:#2563eb,stroke-width:2px,color:#1e293b',
+      decision: 'fill:#f3e8ff,stroke:#9333ea,stroke-width:3px,color:#581c87,font-weight:bold',
+      success: 'fill:#d1fae5,stroke:#10b981,stroke-width:3px,color:#14532d,font-weight:bold',
+      failure: 'fill:#fee2e2,stroke:#ef4444,stroke-width:3px,color:#7f1d1d,font-weight:bold',
+      farewell: 'fill:#e0e7ff,stroke:#6366f1,stroke-width:2px,color:#312e81'
+    }
+  },
+  // Grayscale, for print and documents; node types differ by fill and stroke weight
+  monochrome: {
+    label: 'Monochrome',
+    themeVariables: {
+      darkMode: false,
+      background: '#ffffff',
+      fontFamily: FONT_FAMILY,
+      fontSize: '14px',
+      primaryColor: '#ffffff',
+      primaryTextColor: '#000000',
+      primaryBorderColor: '#000000',
+      secondaryColor: '#f5f5f5',
+      tertiaryColor: '#eeeeee',
+      mainBkg: '#ffffff',
+      textColor: '#000000',
+      lineColor: '#333333',
+      nodeBorder: '#000000',
+      defaultLinkColor: '#333333',
+      edgeLabelBackground: '#ffffff',
+      nodeTextColor: '#000000'
+    },
+    classDefs: {
+      default: 'fill:#ffffff,stroke:#000000,stroke-width:2px,color:#000000',
+      greeting: 'fill:#eeeeee,stroke:#000000,stroke-width:3px,color:#000000,font-weight:bold',
+      verification: 'fill:#f5f5f5,stroke:#555555,stroke-width:2px,color:#000000',
+      main: 'fill:#ffffff,stroke:#000000,stroke-width:2px,color:#000000',
+      decision: 'fill:#ffffff,stroke:#000000,stroke-width:3px,color:#000000,font-weight:bold',
+      success: 'fill:#e0e0e0,stroke:#000000,stroke-width:3px,color:#000000,font-weight:bold',
+      failure: 'fill:#ffffff,stroke:#000000,stroke-width:3px,stroke-dasharray:5 3,color:#000000,font-weight:bold',
+      farewell: 'fill:#eeeeee,stroke:#555555,stroke-width:2px,color:#000000'
+    }
+  }
+};
+
+function hasMermaidTheme(name) {
+  return Object.hasOwn(THEMES, name);
+}
+
+function listMermaidThemes() {
+  return Object.entries(THEMES).map(([id, theme]) => ({ id, label: theme.label }));
+}
+
+// Settings for mermaid.initialize()
+function getMermaidConfig(name = DEFAULT_THEME) {
+  const theme = THEMES[name] || THEMES[DEFAULT_THEME];
+  return {
+    theme: 'base',
+    themeVariables: { ...theme.themeVariables },
+    flowchart: { ...FLOWCHART }
+  };
+}
+
+// The %%{init}%% line at the top of a diagram, so exported .mmd files keep the theme
+function mermaidInitDirective(name = DEFAULT_THEME) {
+  const { theme, themeVariables } = getMermaidConfig(name);
+  return `%%{init: ${JSON.stringify({ theme, themeVariables })}}%%`;
+}
+
+function mermaidClassDefs(name = DEFAULT_THEME) {
+  const theme = THEMES[name] || THEMES[DEFAULT_THEME];
+  return Object.entries(theme.classDefs).map(([className, style]) => `classDef ${className} ${style}`);
+}
+
+// Swap the init directive and classDefs of a generated (or stored) diagram for another theme's
+function applyMermaidTheme(diagram, name = DEFAULT_THEME) {
+  const lines = String(diagram).split('\n')
+    .filter(line => !/^\s*%%\{init/.test(line) && !/^\s*classDef\s/.test(line));
+  const headerIndex = lines.findIndex(line => /^\s*(flowchart|graph)\b/.test(line));
+
+  if (headerIndex !== -1) {
+    lines.splice(headerIndex + 1, 0, ...mermaidClassDefs(name).map(line => `    ${line}`));
+  }
+  return [mermaidInitDirective(name), ...lines].join('\n');
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  hasMermaidTheme,
+  listMermaidThemes,
+  getMermaidConfig,
+  mermaidInitDirective,
+  mermaidClassDefs,
+  applyMermaidTheme
+};
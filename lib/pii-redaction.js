@@ -0,0 +1,241 @@
+// PII redaction for transcripts. Detected entities are replaced with typed
+// placeholders ("[CARD_NUMBER]") before a transcript reaches the model, the job
+// result or storage. Detection is pattern based (English and Spanish), so it is
+// tuned to miss little at the cost of the odd extra placeholder: any long run of
+// digits is treated as an account or phone number.
+//
+// Redacted values can be kept for audits; each is recorded as
+// { type, value, utteranceIndex, offset }, where offset is the position of its
+// placeholder in the redacted utterance (or in the full text when utteranceIndex is null).
+
+const PII_ENTITY_TYPES = [
+  'PERSON_NAME',
+  'EMAIL',
+  'CARD_NUMBER',
+  'ACCOUNT_NUMBER',
+  'PHONE_NUMBER',
+  'NATIONAL_ID',
+  'DATE_OF_BIRTH',
+  'ADDRESS'
+];
+
+// One to three capitalised words ("Maria", "John Smith", "María José Pérez")
+const NAME = /\p{Lu}[\p{L}'’-]+(?:[ \t]+\p{Lu}[\p{L}'’-]+){0,2}/uy;
+
+const DATE = new RegExp([
+  '\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}',
+  '\\d{4}-\\d{2}-\\d{2}',
+  '\\p{L}+ \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}',
+  '\\d{1,2}(?:st|nd|rd|th)? (?:of )?\\p{L}+,? \\d{4}',
+  '\\d{1,2} de \\p{L}+ (?:de|del) \\d{4}'
+].join('|'), 'uy');
+
+// Words that introduce a value of each type. The value itself is matched right after.
+const NAME_CONTEXT = new RegExp([
+  '\\bmy name is', '\\bname\'s', '\\bthis is', '\\bi am', '\\bi\'m',
+  '\\b(?:speak|speaking|talk|talking) (?:with|to)',
+  '\\b(?:mr|mrs|ms|miss|dr)\\.?',
+  '\\bme llamo', '\\bmi nombre es', '\\bhablo con', '\\b(?:le )?habla', '\\bsoy',
+  '\\bse[ñn]or(?:a|ita)?', '\\bsra?\\.', '\\bsrta\\.', '\\bdon', '\\bdoña'
+].map(context => `${context}[ \\t,:]+`).join('|'), 'giu');
+
+const BIRTH_CONTEXT = /\b(?:date of birth|birth ?date|birthday|dob|born(?: on)?|fecha de nacimiento|nac[ií](?: el)?)(?: is| es)?[ \t,:]*/giu;
+
+// A run of digits, spaced or punctuated the way people read numbers out
+const DIGIT_RUN = /\+?\(?\d(?:[\d \t().-]*\d)?/g;
+
+// Just before a number (allowing "number is", "ending in", ...)
+const ACCOUNT_CONTEXT = /\b(?:account|acct|cuenta|contract|contrato|policy|p[óo]liza|reference|referencia|invoice|factura|loan|pr[ée]stamo|customer|member|cliente|socio)(?: number| no\.?| #| n[úu]mero| n[º°o]\.?)?(?: is| es| de)?(?: ending in| termina(?:da)? en)?[ \t:#]*$/iu;
+const ID_CONTEXT = /\b(?:ssn|social security(?: number)?|dni|rut|nif|nie|curp|rfc|c[ée]dula|passport|pasaporte|(?:id|identification|identificaci[óo]n|documento) (?:number|n[úu]mero))(?: is| es)?[ \t:#]*$/iu;
+const PHONE_CONTEXT = /\b(?:phone|number|cell|mobile|reach (?:me|you)|call (?:me|you)(?: back)?|tel[ée]fono|celular|m[óo]vil|n[úu]mero)\b(?: is| es| at| al)?[ \t:#]*$/iu;
+const MONEY_BEFORE = /(?:[$€£¥]|\b(?:usd|eur|mxn|cop|clp|ars|pen))[ \t]*$/iu;
+const DECIMAL_AMOUNT = /^\d+\.\d{2}$/;
+const MONEY_AFTER = /^[ \t]*(?:dollars?|d[óo]lares|pesos|euros?|soles|cents?|centavos)\b/iu;
+
+const EMAIL = /[\p{L}\d._%+-]+@[\p{L}\d-]+(?:\.[\p{L}\d-]+)+/gu;
+const SSN = /\b\d{3}-\d{2}-\d{4}\b/g;
+const STREET_ADDRESS = /\b\d{1,6}[ \t]+(?:[\p{L}\d.'’-]+[ \t]+){0,4}?(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|parkway|pkwy|highway|hwy|circle|cir)\b\.?(?:,?[ \t]*(?:apt|apartment|suite|unit|#)[ \t.]*[\p{L}\d-]+)?/giu;
+const SPANISH_ADDRESS = /\b(?:calle|avenida|avda\.?|av\.|carrera|cra\.?|diagonal|transversal|pasaje|jir[óo]n|camino|paseo)[ \t]+(?:[\p{L}\d.'’-]+[ \t]+){0,4}?(?:#|n[úu]mero|n[º°o]\.?)?[ \t]*\d+[\p{L}]?(?:[ \t]*-[ \t]*\d+)?/giu;
+
+// Capitalised words that are not names ("this is Sorry", "speaking with Mr. ...")
+const NOT_NAMES = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'sr', 'sra', 'srta', 'señor', 'señora', 'señorita', 'don', 'doña',
+  'i', 'yes', 'no', 'okay', 'ok', 'sure', 'sorry', 'calling', 'speaking', 'here', 'fine',
+  'good', 'great', 'correct', 'right', 'the', 'a', 'an', 'it', 'that', 'this', 'just',
+  'sí', 'si', 'yo', 'el', 'la', 'de', 'un', 'una', 'bien', 'claro', 'correcto', 'usted'
+]);
+
+function digitsOf(text) {
+  return text.replace(/\D/g, '');
+}
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function patternMatches(type, pattern) {
+  return text => [...text.matchAll(pattern)].map(match => ({
+    type,
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Values matched by `value` right after each match of `context`
+function contextMatches(type, context, value, accept = () => true) {
+  return text => {
+    const found = [];
+    for (const match of text.matchAll(context)) {
+      value.lastIndex = match.index + match[0].length;
+      const hit = value.exec(text);
+      if (hit && accept(hit[0])) {
+        found.push({ type, start: hit.index, end: hit.index + hit[0].length });
+      }
+    }
+    return found;
+  };
+}
+
+function isName(candidate) {
+  return !NOT_NAMES.has(candidate.split(/\s+/)[0].toLowerCase());
+}
+
+// Type a run of digits from its length and the words in front of it
+function classifyNumber(text, start, end) {
+  const run = text.slice(start, end);
+  const digits = digitsOf(run);
+  const before = text.slice(Math.max(0, start - 40), start);
+  const after = text.slice(end, end + 15);
+
+  if (MONEY_BEFORE.test(before) || MONEY_AFTER.test(after) || DECIMAL_AMOUNT.test(run)) return null;
+  if (digits.length >= 13 && digits.length <= 19 && passesLuhn(digits)) return 'CARD_NUMBER';
+  if (digits.length >= 4 && ID_CONTEXT.test(before)) return 'NATIONAL_ID';
+  if (digits.length >= 4 && ACCOUNT_CONTEXT.test(before)) return 'ACCOUNT_NUMBER';
+  if (digits.length >= 7 && digits.length <= 15 && PHONE_CONTEXT.test(before)) return 'PHONE_NUMBER';
+  if (digits.length >= 7 && digits.length <= 12) return 'PHONE_NUMBER';
+  if (digits.length > 12) return 'ACCOUNT_NUMBER';
+  return null;
+}
+
+function numberMatches(text) {
+  return [...text.matchAll(DIGIT_RUN)].flatMap(match => {
+    // Trim separators picked up at the edges, and a parenthesis without its pair
+    let start = match.index + (match[0].length - match[0].replace(/^[\s.-]+/, '').length);
+    let end = match.index + match[0].replace(/[\s(.-]+$/, '').length;
+    if (text[start] === '(' && !text.slice(start, end).includes(')')) start++;
+    if (text[end - 1] === ')' && !text.slice(start, end).includes('(')) end--;
+    const type = classifyNumber(text, start, end);
+    return type ? [{ type, start, end }] : [];
+  });
+}
+
+// In priority order: where two detections overlap, the earlier detector wins
+const DETECTORS = [
+  patternMatches('EMAIL', EMAIL),
+  contextMatches('DATE_OF_BIRTH', BIRTH_CONTEXT, DATE),
+  patternMatches('NATIONAL_ID', SSN),
+  patternMatches('ADDRESS', STREET_ADDRESS),
+  patternMatches('ADDRESS', SPANISH_ADDRESS),
+  numberMatches,
+  contextMatches('PERSON_NAME', NAME_CONTEXT, NAME, isName)
+];
+
+function redactionEnabled(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return !['false', '0', 'off', 'no'].includes(String(value).trim().toLowerCase());
+}
+
+// PII_REDACTION (on unless "false"), PII_ENTITIES (comma-separated types, default all)
+// and PII_KEEP_ORIGINALS (off unless "true")
+function getRedactionConfig(env = process.env) {
+  const requested = String(env.PII_ENTITIES || '')
+    .split(',')
+    .map(type => type.trim().toUpperCase())
+    .filter(Boolean);
+  const unknown = requested.filter(type => !PII_ENTITY_TYPES.includes(type));
+  if (unknown.length > 0) {
+    console.warn(`Ignoring unknown PII_ENTITIES: ${unknown.join(', ')}`);
+  }
+  const entities = requested.filter(type => PII_ENTITY_TYPES.includes(type));
+
+  return {
+    enabled: redactionEnabled(env.PII_REDACTION, true),
+    entities: entities.length > 0 ? entities : [...PII_ENTITY_TYPES],
+    keepOriginals: redactionEnabled(env.PII_KEEP_ORIGINALS, false)
+  };
+}
+
+// Returns { text, entities: [{ type, value, offset }] }; offset is the placeholder's
+// position in the redacted text
+function redactText(text, { entities = PII_ENTITY_TYPES } = {}) {
+  const source = String(text ?? '');
+  const accepted = [];
+
+  DETECTORS.forEach(detect => {
+    detect(source)
+      .filter(match => entities.includes(match.type) && match.end > match.start)
+      .forEach(match => {
+        if (!accepted.some(other => match.start < other.end && other.start < match.end)) {
+          accepted.push(match);
+        }
+      });
+  });
+  accepted.sort((a, b) => a.start - b.start);
+
+  let redacted = '';
+  let cursor = 0;
+  const found = accepted.map(match => {
+    redacted += source.slice(cursor, match.start);
+    const entity = { type: match.type, value: source.slice(match.start, match.end), offset: redacted.length };
+    redacted += `[${match.type}]`;
+    cursor = match.end;
+    return entity;
+  });
+
+  return { text: redacted + source.slice(cursor), entities: found };
+}
+
+// Redact a transcription's text and utterances. Word-level timings are dropped since
+// they hold the same words unredacted. Returns { transcription, entities }, with each
+// entity's utteranceIndex (null for matches in the full text of an undiarized transcript).
+function redactTranscription(transcription, options = {}) {
+  const full = redactText(transcription.text, options);
+  const hasUtterances = Array.isArray(transcription.utterances) && transcription.utterances.length > 0;
+  const entities = hasUtterances ? [] : full.entities.map(entity => ({ ...entity, utteranceIndex: null }));
+
+  const utterances = (transcription.utterances || []).map((utterance, utteranceIndex) => {
+    const { words, ...rest } = utterance;
+    const result = redactText(utterance.text, options);
+    result.entities.forEach(entity => entities.push({ ...entity, utteranceIndex }));
+    return { ...rest, text: result.text };
+  });
+
+  const counts = {};
+  entities.forEach(entity => { counts[entity.type] = (counts[entity.type] || 0) + 1; });
+
+  return {
+    transcription: {
+      ...transcription,
+      text: full.text,
+      ...(transcription.utterances ? { utterances } : {}),
+      redaction: { entities: counts }
+    },
+    entities
+  };
+}
+
+module.exports = {
+  PII_ENTITY_TYPES,
+  getRedactionConfig,
+  redactText,
+  redactTranscription
+};
@@ -0,0 +1,136 @@
+const { getTransitions, startNodeId, isTerminalNode, slugify } = require('./exporters/common');
+const { flowLanguages, localizeFlow } = require('./flow-languages');
+
+// Compile a flow into one system prompt for agents that run on a single realtime
+// LLM prompt instead of a node graph. Nodes become named states with what to
+// say, what to listen for and where to go next.
+//
+// With a token budget the compiler tries each detail level in turn and returns
+// the most detailed prompt that fits:
+//   full     everything, including example phrasings and re-prompts
+//   compact  no example phrasings, at most MAX_COMPACT_PHRASES listenFor phrases
+//   minimal  what to say and the transitions only
+
+const DETAIL_LEVELS = ['full', 'compact', 'minimal'];
+const MAX_COMPACT_PHRASES = 5;
+
+// Rough token count (about four characters per token for English text). Good enough
+// for budgeting without pulling in a model-specific tokenizer.
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Start node first, then breadth-first along nextActions so states read in
+// conversation order. Unreachable nodes go last.
+function orderNodes(flowData) {
+  const byId = new Map(flowData.nodes.map(node => [node.id, node]));
+  const ordered = [];
+  const seen = new Set();
+  const queue = [startNodeId(flowData)];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (seen.has(id) || !byId.has(id)) continue;
+    seen.add(id);
+    ordered.push(byId.get(id));
+    Object.values(byId.get(id).nextActions || {}).forEach(target => queue.push(target));
+  }
+
+  return [...ordered, ...flowData.nodes.filter(node => !seen.has(node.id))];
+}
+
+function quote(text) {
+  return `"${String(text).trim()}"`;
+}
+
+function compileState(flowData, node, detail) {
+  const lines = [`## State \`${node.id}\`: ${node.content}`];
+  const isAgent = !node.speaker || node.speaker === 'agent';
+
+  lines.push(isAgent ? `Say: ${quote(node.fullPrompt)}` : `The caller is expected to say something like: ${quote(node.fullPrompt)}`);
+
+  if (detail === 'full' && node.examples?.length) {
+    lines.push(`Other ways to say it: ${node.examples.map(quote).join('; ')}`);
+  }
+
+  if (detail !== 'minimal' && node.listenFor?.length) {
+    const phrases = detail === 'compact' ? node.listenFor.slice(0, MAX_COMPACT_PHRASES) : node.listenFor;
+    lines.push(`Listen for: ${phrases.join(', ')}`);
+  }
+
+  if (detail === 'full' && node.retryPrompt) {
+    const wait = node.timeout ? `${node.timeout} seconds` : 'a few seconds';
+    lines.push(`If the caller says nothing for ${wait}, say: ${quote(node.retryPrompt)}`);
+  }
+
+  const transitions = getTransitions(flowData, node);
+  if (transitions.length > 0) {
+    lines.push('Next:');
+    transitions.forEach(transition => {
+      lines.push(`- If ${transition.label}: go to state \`${transition.target}\``);
+    });
+  } else if (isTerminalNode(node)) {
+    lines.push('This state ends the conversation. Close politely and do not ask further questions.');
+  } else {
+    lines.push(flowData.errorHandling
+      ? 'No transitions are defined from this state. Follow the error handling rules below.'
+      : 'No transitions are defined from this state. Wrap up the call politely.');
+  }
+
+  return lines.join('\n');
+}
+
+function compileAtLevel(flowData, { name, detail }) {
+  const nodes = orderNodes(flowData);
+  const sections = [];
+
+  sections.push(name ? `# ${name}` : '# Conversation flow');
+
+  if (flowData.globalInstructions) {
+    sections.push(`# Role and rules\n${flowData.globalInstructions.trim()}`);
+  }
+
+  sections.push([
+    '# How to run this conversation',
+    `The conversation is a state machine. Start in state \`${nodes[0].id}\` and handle one state at a time:`,
+    'say the state\'s line in your own words, wait for the caller, then follow the first matching transition.',
+    'Stay in the current state until a transition applies. Never mention state names to the caller.'
+  ].join('\n'));
+
+  sections.push(`# States\n\n${nodes.map(node => compileState(flowData, node, detail)).join('\n\n')}`);
+
+  if (flowData.errorHandling) {
+    sections.push(`# Error handling\n${flowData.errorHandling.trim()}`);
+  }
+
+  return sections.join('\n\n');
+}
+
+// Returns { prompt, tokens, detail, maxTokens, withinBudget, language, filename }.
+// Without maxTokens the prompt is always compiled at full detail. language picks a
+// language variant of the flow (see lib/flow-languages.js).
+function compileSystemPrompt(flowData, { name, maxTokens, language } = {}) {
+  const localized = localizeFlow(flowData, language);
+  const suffix = flowLanguages(flowData).length > 1 ? `.${localized.language}` : '';
+  let result;
+
+  for (const detail of DETAIL_LEVELS) {
+    const prompt = compileAtLevel(localized, { name, detail });
+    result = { prompt, tokens: estimateTokens(prompt), detail };
+    if (!maxTokens || result.tokens <= maxTokens) break;
+  }
+
+  return {
+    ...result,
+    maxTokens: maxTokens || null,
+    withinBudget: !maxTokens || result.tokens <= maxTokens,
+    language: localized.language,
+    filename: `${slugify(name)}${suffix}.prompt.txt`
+  };
+}
+
+module.exports = {
+  DETAIL_LEVELS,
+  estimateTokens,
+  compileSystemPrompt
+};
@@ -0,0 +1,206 @@
+// Speaker role assignment. Diarization labels speakers A, B, C...; before analysis
+// each one is labelled agent, customer, IVR (recorded menus and messages) or third
+// party (someone answering for the customer), with a confidence between 0 and 1.
+//
+// Roles are stored on the transcription as
+// speakerRoles: { A: { role, confidence, source: 'llm' | 'heuristic' | 'user', confirmed? } }
+
+const SPEAKER_ROLES = ['agent', 'customer', 'ivr', 'third_party'];
+
+const ROLE_LABELS = {
+  agent: 'Agent',
+  customer: 'Customer',
+  ivr: 'IVR',
+  third_party: 'Third party'
+};
+
+// Phrases typical of each role, English and Spanish
+const ROLE_PATTERNS = {
+  agent: [
+    /hablo de parte de/i,
+    /me comunico con/i,
+    /le llamo por/i,
+    /dejar[ée] registro/i,
+    /necesita ayuda/i,
+    /puede realizar/i,
+    /calling from/i,
+    /this is .{1,40} from/i,
+    /can help you/i,
+    /how (can|may) i help/i,
+    /calling (about|regarding)/i,
+    /(may|can) i speak (with|to)/i,
+    /am i speaking (with|to)/i,
+    /(your|su) (account|balance|payment|cuenta|saldo|pago)/i,
+    /thank you for your time|gracias por su tiempo/i
+  ],
+  customer: [
+    /s[íi],? se[ñn]orita/i,
+    /s[íi],? se[ñn]or/i,
+    /un gusto/i,
+    /\b(yes|yeah|yep),? (speaking|this is)/i,
+    /\bspeaking\b/i,
+    /\bi already paid\b|\bya pagu[ée]\b/i,
+    /\bmy (account|bill|payment)\b|\bmi (cuenta|pago)\b/i,
+    /\bno problem\b/i,
+    /^(okay|ok|yes|yeah)\b/i
+  ],
+  ivr: [
+    /\bpress (\d|one|two|three|star|pound)\b/i,
+    /\b(marque|oprima|presione)\b/i,
+    /please (hold|stay on the line)/i,
+    /your call (is important|may be (recorded|monitored))/i,
+    /su llamada (es importante|puede ser grabada)/i,
+    /leave (a|your) message after the (tone|beep)/i,
+    /deje (su|un) mensaje/i,
+    /the (person|number) you (are calling|have dialed)/i
+  ],
+  third_party: [
+    /\b(he|she)('s| is) not (here|home|available)\b/i,
+    /\blet me get (him|her)\b/i,
+    /\bwho('s| is) calling\b/i,
+    /\bcan i take a message\b/i,
+    /\bno (est[áa]|se encuentra)\b/i,
+    /\bde parte de qui[ée]n\b/i
+  ]
+};
+
+// Evidence weight of a first turn or of doing most of the talking, both typical of agents
+const AGENT_PRIOR = 0.5;
+
+function isSpeakerRole(role) {
+  return SPEAKER_ROLES.includes(role);
+}
+
+function roleLabel(role) {
+  return ROLE_LABELS[role] || role;
+}
+
+function emptyScores() {
+  return Object.fromEntries(SPEAKER_ROLES.map(role => [role, 0]));
+}
+
+// Pattern hits per role in one piece of text
+function scoreText(text) {
+  const scores = emptyScores();
+  SPEAKER_ROLES.forEach(role => {
+    scores[role] = ROLE_PATTERNS[role].filter(pattern => pattern.test(text)).length;
+  });
+  return scores;
+}
+
+function bestRole(scores, allowed = SPEAKER_ROLES) {
+  return allowed.reduce((best, role) => (scores[role] > scores[best] ? role : best), allowed[0]);
+}
+
+function confidenceOf(scores, role) {
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) return 0.25;
+  return Math.round(Math.min(0.95, Math.max(0.25, scores[role] / (total + 0.5))) * 100) / 100;
+}
+
+function speakersOf(transcription) {
+  return [...new Set((transcription.utterances || []).map(utterance => utterance.speaker))];
+}
+
+// Label each diarized speaker from phrase patterns, who speaks first and who talks
+// most. Exactly one speaker is made the agent; of the rest, the one who talks most
+// defaults to customer and any others to third party, unless their words say otherwise.
+// Returns { [speaker]: { role, confidence, source: 'heuristic' } }.
+function classifySpeakersHeuristic(transcription) {
+  const utterances = (transcription.utterances || []).filter(utterance => utterance.text?.trim());
+  const speakers = speakersOf({ utterances });
+  if (speakers.length === 0) return {};
+
+  const stats = new Map(speakers.map(speaker => [speaker, { scores: emptyScores(), words: 0 }]));
+  utterances.forEach(utterance => {
+    const entry = stats.get(utterance.speaker);
+    const scores = scoreText(utterance.text);
+    SPEAKER_ROLES.forEach(role => { entry.scores[role] += scores[role]; });
+    entry.words += utterance.text.split(/\s+/).length;
+  });
+
+  stats.get(utterances[0].speaker).scores.agent += AGENT_PRIOR;
+  const byWords = [...speakers].sort((a, b) => stats.get(b).words - stats.get(a).words);
+  stats.get(byWords[0]).scores.agent += AGENT_PRIOR;
+
+  // An IVR speaker is never the agent; otherwise the strongest agent evidence wins
+  const candidates = speakers.filter(speaker => bestRole(stats.get(speaker).scores) !== 'ivr');
+  const agent = (candidates.length > 0 ? candidates : speakers)
+    .reduce((best, speaker) => (stats.get(speaker).scores.agent > stats.get(best).scores.agent ? speaker : best));
+
+  const roles = {};
+  const others = byWords.filter(speaker => speaker !== agent);
+  speakers.forEach(speaker => {
+    const { scores } = stats.get(speaker);
+    let role = 'agent';
+    if (speaker !== agent) {
+      const evidence = bestRole(scores, ['customer', 'ivr', 'third_party']);
+      const fallback = speaker === others[0] ? 'customer' : 'third_party';
+      role = scores[evidence] > 0 ? evidence : fallback;
+    }
+    roles[speaker] = { role, confidence: confidenceOf(scores, role), source: 'heuristic' };
+  });
+
+  return roles;
+}
+
+// Check roles from the model or the client against a transcription's speakers.
+// Missing or invalid entries are taken from `fallback`.
+function normalizeSpeakerRoles(transcription, roles, fallback = {}, source = 'llm') {
+  const normalized = {};
+
+  speakersOf(transcription).forEach(speaker => {
+    const entry = roles?.[speaker];
+    const role = typeof entry === 'string' ? entry : entry?.role;
+    if (isSpeakerRole(role)) {
+      const confidence = Number(entry?.confidence);
+      normalized[speaker] = {
+        role,
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 1,
+        source
+      };
+    } else if (fallback[speaker]) {
+      normalized[speaker] = fallback[speaker];
+    }
+  });
+
+  return normalized;
+}
+
+// Transcript lines for analysis, e.g. "Agent (speaker A): ..."
+function formatTranscriptWithRoles(transcription) {
+  const roles = transcription.speakerRoles || {};
+  return (transcription.utterances || []).map(utterance => {
+    const role = roles[utterance.speaker]?.role;
+    return role
+      ? `${roleLabel(role)} (speaker ${utterance.speaker}): ${utterance.text}`
+      : `Speaker ${utterance.speaker}: ${utterance.text}`;
+  }).join('\n');
+}
+
+// Without diarization, label each sentence of a transcript instead. Sentences with no
+// clear evidence alternate, starting with the agent.
+function inferSentenceRoles(text) {
+  const sentences = String(text || '')
+    .split(/[.?!]+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+
+  return sentences.map((sentence, index) => {
+    const scores = scoreText(sentence);
+    const role = Object.values(scores).some(score => score > 0)
+      ? bestRole(scores)
+      : (index % 2 === 0 ? 'agent' : 'customer');
+    return { role, text: sentence };
+  });
+}
+
+module.exports = {
+  SPEAKER_ROLES,
+  isSpeakerRole,
+  roleLabel,
+  classifySpeakersHeuristic,
+  normalizeSpeakerRoles,
+  formatTranscriptWithRoles,
+  inferSentenceRoles
+};
@@ -0,0 +1,130 @@
+// Options for listing saved flows: search, filters, sorting and cursor pagination.
+// Both storage backends page with a keyset cursor over (sort column, id), so pages
+// stay stable while new flows are being added.
+
+const SORT_COLUMNS = {
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  deleted_at: 'deleted_at',
+  name: 'name',
+  node_count: 'node_count',
+  language: 'languages'
+};
+
+const DEFAULT_LIMIT = 20;
+// Flow ids are UUIDs in both backends
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_LIMIT = 100;
+
+// Cursors record the sort they were issued for, the last row's sort value and its id
+function encodeCursor({ sort, order }, value, id) {
+  return Buffer.from(JSON.stringify([`${sort}:${order}`, value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 3
+      || typeof decoded[2] !== 'string' || !UUID.test(decoded[2])) return null;
+    return { sortKey: decoded[0], value: decoded[1], id: decoded[2] };
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+}
+
+// ISO timestamp for a date or datetime. A bare "to" date covers that whole day.
+function parseDate(value, endOfDay) {
+  const text = String(value).trim();
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const date = new Date(isDateOnly && endOfDay ? `${text}T23:59:59.999Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseCount(value) {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+// Turn GET /api/flows query parameters into list options.
+// Returns { options } or { error } with a message for a 400 response.
+function parseFlowListQuery(query = {}) {
+  const deleted = query.deleted === 'true' || query.deleted === true;
+  const options = {
+    deleted,
+    limit: DEFAULT_LIMIT,
+    search: query.q ? String(query.q).trim() : '',
+    language: query.language ? String(query.language).trim().toLowerCase() : null,
+    campaign: query.campaign ? String(query.campaign).trim() : null,
+    tags: parseList(query.tags),
+    minNodes: null,
+    maxNodes: null,
+    createdFrom: null,
+    createdTo: null,
+    sort: deleted ? 'deleted_at' : 'created_at',
+    order: 'desc',
+    cursor: null
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    options.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  for (const [param, key] of [['minNodes', 'minNodes'], ['maxNodes', 'maxNodes']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    options[key] = parseCount(query[param]);
+    if (options[key] === null) {
+      return { error: `${param} must be a non-negative integer` };
+    }
+  }
+  if (options.minNodes !== null && options.maxNodes !== null && options.minNodes > options.maxNodes) {
+    return { error: 'minNodes cannot be greater than maxNodes' };
+  }
+
+  for (const [param, key, endOfDay] of [['from', 'createdFrom', false], ['to', 'createdTo', true]]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    options[key] = parseDate(query[param], endOfDay);
+    if (!options[key]) {
+      return { error: `${param} must be a date (YYYY-MM-DD) or ISO timestamp` };
+    }
+  }
+
+  if (query.sort) {
+    if (!SORT_COLUMNS[query.sort]) {
+      return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}` };
+    }
+    options.sort = query.sort;
+  }
+
+  if (query.order) {
+    if (!['asc', 'desc'].includes(query.order)) {
+      return { error: 'order must be asc or desc' };
+    }
+    options.order = query.order;
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor));
+    if (!options.cursor || options.cursor.sortKey !== `${options.sort}:${options.order}`) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+  }
+
+  return { options };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  DEFAULT_LIMIT,
+  encodeCursor,
+  parseFlowListQuery
+};
@@ -0,0 +1,27 @@
+// Every backend exposes the same async functions (storeConversationFlow,
+// getConversationFlows, uploadAudioFile, ...) resolving to { success, ... }
+// result objects. Backends are required lazily so a Supabase deployment never
+// loads SQLite and a local install never needs Supabase credentials.
+const backends = {
+  supabase: () => require('./supabase').createSupabaseStorage,
+  local: () => require('./local').createLocalStorage
+};
+
+// Supabase when it is configured, otherwise the local SQLite database
+function defaultBackend() {
+  return process.env.SUPABASE_URL ? 'supabase' : 'local';
+}
+
+function createStorage(name = process.env.STORAGE_BACKEND || defaultBackend(), options = {}) {
+  const loadFactory = backends[name.toLowerCase()];
+
+  if (!loadFactory) {
+    throw new Error(`Unknown storage backend "${name}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return loadFactory()(options);
+}
+
+module.exports = {
+  createStorage
+};
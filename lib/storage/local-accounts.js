@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+
+// Users, workspaces, sessions and API keys for the local backend. The tables are in
+// the SCHEMA of lib/storage/local.js; the row helpers come from its createLocalStorage.
+
+const MEMBER_COLUMNS = `workspace_members.user_id, workspace_members.role, workspace_members.created_at,
+  users.email, users.name`;
+
+function createLocalAccounts({ getDb, insertRow, getRow }) {
+  // Run a synchronous query, turning thrown errors into { success: false, error }
+  function attempt(label, fn) {
+    try {
+      return fn();
+    } catch (error) {
+      if (String(error.code).startsWith('SQLITE_CONSTRAINT_UNIQUE')) {
+        return { success: false, conflict: true, error: error.message };
+      }
+      console.error(`Error ${label}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function countUsers() {
+    return attempt('counting users', () => ({
+      success: true,
+      count: getDb().prepare('SELECT COUNT(*) AS count FROM users').get().count
+    }));
+  }
+
+  async function createUser({ email, name, passwordHash }) {
+    return attempt('creating user', () => {
+      const user = insertRow('users', { email, name: name || null, password_hash: passwordHash });
+      return { success: true, user: { id: user.id, email: user.email, name: user.name } };
+    });
+  }
+
+  // Create a user only if there are none yet (first-run setup), in one transaction;
+  // conflict: true when another user exists
+  async function createFirstUser({ email, name, passwordHash }) {
+    return attempt('creating first user', () => getDb().transaction(() => {
+      if (getDb().prepare('SELECT 1 FROM users LIMIT 1').get()) {
+        return { success: false, conflict: true, error: 'A user already exists' };
+      }
+      const user = insertRow('users', { email, name: name || null, password_hash: passwordHash });
+      return { success: true, user: { id: user.id, email: user.email, name: user.name } };
+    }).immediate());
+  }
+
+  // Includes password_hash, for sign-in
+  async function getUserByEmail(email) {
+    return attempt('fetching user', () => {
+      const user = getDb().prepare('SELECT * FROM users WHERE email = ?').get(email);
+      return user ? { success: true, user } : { success: false, notFound: true, error: 'User not found' };
+    });
+  }
+
+  async function updateUserPassword(userId, passwordHash) {
+    return attempt('updating password', () => {
+      getDb().prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, userId);
+      // Signing in again is required everywhere else
+      getDb().prepare('DELETE FROM sessions WHERE user_id = ?').run(userId);
+      return { success: true };
+    });
+  }
+
+  // A new workspace with `userId` as its admin
+  async function createWorkspace(name, userId) {
+    return attempt('creating workspace', () => getDb().transaction(() => {
+      const workspace = insertRow('workspaces', { name });
+      insertRow('workspace_members', { workspace_id: workspace.id, user_id: userId, role: 'admin' });
+      return { success: true, workspace: { ...workspace, role: 'admin' } };
+    })());
+  }
+
+  // [{ id, name, role }], oldest membership first
+  async function getUserWorkspaces(userId) {
+    return attempt('fetching workspaces', () => ({
+      success: true,
+      workspaces: getDb()
+        .prepare(`SELECT workspaces.id, workspaces.name, workspace_members.role FROM workspace_members
+          JOIN workspaces ON workspaces.id = workspace_members.workspace_id
+          WHERE workspace_members.user_id = ? ORDER BY workspace_members.created_at, workspaces.id`)
+        .all(userId)
+    }));
+  }
+
+  async function getWorkspaceMembers(workspaceId) {
+    return attempt('fetching members', () => ({
+      success: true,
+      members: getDb()
+        .prepare(`SELECT ${MEMBER_COLUMNS} FROM workspace_members
+          JOIN users ON users.id = workspace_members.user_id
+          WHERE workspace_members.workspace_id = ? ORDER BY workspace_members.created_at`)
+        .all(workspaceId)
+    }));
+  }
+
+  // Add a member or change their role
+  async function setWorkspaceMember(workspaceId, userId, role) {
+    return attempt('saving member', () => {
+      getDb()
+        .prepare(`INSERT INTO workspace_members (id, created_at, workspace_id, user_id, role)
+          VALUES (@id, @createdAt, @workspaceId, @userId, @role)
+          ON CONFLICT(workspace_id, user_id) DO UPDATE SET role = excluded.role`)
+        .run({ id: crypto.randomUUID(), createdAt: new Date().toISOString(), workspaceId, userId, role });
+      return { success: true };
+    });
+  }
+
+  // Also revokes the API keys the member created in the workspace
+  async function removeWorkspaceMember(workspaceId, userId) {
+    return attempt('removing member', () => getDb().transaction(() => {
+      const { changes } = getDb()
+        .prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+        .run(workspaceId, userId);
+      if (changes === 0) return { success: false, notFound: true, error: 'Member not found' };
+
+      getDb()
+        .prepare('UPDATE api_keys SET revoked_at = ? WHERE workspace_id = ? AND created_by = ? AND revoked_at IS NULL')
+        .run(new Date().toISOString(), workspaceId, userId);
+      return { success: true };
+    })());
+  }
+
+  async function createSession({ userId, workspaceId, tokenHash, expiresAt }) {
+    return attempt('creating session', () => ({
+      success: true,
+      session: insertRow('sessions', { user_id: userId, workspace_id: workspaceId || null, token_hash: tokenHash, expires_at: expiresAt })
+    }));
+  }
+
+  // An unexpired session with its user: { id, user_id, workspace_id, expires_at, user }
+  async function getSession(tokenHash) {
+    return attempt('fetching session', () => {
+      const row = getDb()
+        .prepare(`SELECT sessions.id, sessions.user_id, sessions.workspace_id, sessions.expires_at,
+            users.email, users.name
+          FROM sessions JOIN users ON users.id = sessions.user_id
+          WHERE sessions.token_hash = ? AND sessions.expires_at > ?`)
+        .get(tokenHash, new Date().toISOString());
+      if (!row) return { success: false, notFound: true, error: 'Session not found' };
+
+      const { email, name, ...session } = row;
+      return { success: true, session: { ...session, user: { id: row.user_id, email, name } } };
+    });
+  }
+
+  async function updateSessionWorkspace(sessionId, workspaceId) {
+    return attempt('updating session', () => {
+      getDb().prepare('UPDATE sessions SET workspace_id = ? WHERE id = ?').run(workspaceId, sessionId);
+      return { success: true };
+    });
+  }
+
+  async function deleteSession(tokenHash) {
+    return attempt('deleting session', () => {
+      getDb().prepare('DELETE FROM sessions WHERE token_hash = ? OR expires_at <= ?').run(tokenHash, new Date().toISOString());
+      return { success: true };
+    });
+  }
+
+  async function createApiKey({ workspaceId, userId, name, role, keyPrefix, keyHash }) {
+    return attempt('creating API key', () => {
+      const { key_hash: keyHashColumn, ...apiKey } = insertRow('api_keys', {
+        workspace_id: workspaceId,
+        created_by: userId,
+        name,
+        role,
+        key_prefix: keyPrefix,
+        key_hash: keyHash
+      });
+      return { success: true, apiKey };
+    });
+  }
+
+  // An unrevoked key whose creator is still a member, marked as used:
+  // { id, workspace_id, name, role, created_by, member_role }
+  async function getApiKey(keyHash) {
+    return attempt('fetching API key', () => {
+      const apiKey = getDb()
+        .prepare(`SELECT api_keys.id, api_keys.workspace_id, api_keys.name, api_keys.role, api_keys.created_by,
+            workspace_members.role AS member_role
+          FROM api_keys JOIN workspace_members
+            ON workspace_members.workspace_id = api_keys.workspace_id AND workspace_members.user_id = api_keys.created_by
+          WHERE api_keys.key_hash = ? AND api_keys.revoked_at IS NULL`)
+        .get(keyHash);
+      if (!apiKey) return { success: false, notFound: true, error: 'API key not found' };
+
+      getDb().prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), apiKey.id);
+      return { success: true, apiKey };
+    });
+  }
+
+  async function getApiKeys(workspaceId) {
+    return attempt('fetching API keys', () => ({
+      success: true,
+      apiKeys: getDb()
+        .prepare(`SELECT id, created_at, workspace_id, created_by, name, role, key_prefix, last_used_at, revoked_at
+          FROM api_keys WHERE workspace_id = ? ORDER BY created_at DESC`)
+        .all(workspaceId)
+    }));
+  }
+
+  async function revokeApiKey(workspaceId, keyId) {
+    return attempt('revoking API key', () => {
+      const { changes } = getDb()
+        .prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND workspace_id = ? AND revoked_at IS NULL')
+        .run(new Date().toISOString(), keyId, workspaceId);
+      return changes > 0 ? { success: true } : { success: false, notFound: true, error: 'API key not found' };
+    });
+  }
+
+  // Workspace of a flow, trashed or not: { success, workspaceId }
+  async function getFlowWorkspace(flowId) {
+    return attempt('fetching flow workspace', () => {
+      const flow = getRow('conversation_flows', flowId);
+      return flow
+        ? { success: true, workspaceId: flow.workspace_id }
+        : { success: false, notFound: true, error: 'Flow not found' };
+    });
+  }
+
+  // Give flows stored before workspaces existed to `workspaceId`
+  async function assignUnownedFlows(workspaceId) {
+    return attempt('assigning flows', () => ({
+      success: true,
+      count: getDb().prepare('UPDATE conversation_flows SET workspace_id = ? WHERE workspace_id IS NULL').run(workspaceId).changes
+    }));
+  }
+
+  return {
+    countUsers,
+    createUser,
+    createFirstUser,
+    getUserByEmail,
+    updateUserPassword,
+    createWorkspace,
+    getUserWorkspaces,
+    getWorkspaceMembers,
+    setWorkspaceMember,
+    removeWorkspaceMember,
+    createSession,
+    getSession,
+    updateSessionWorkspace,
+    deleteSession,
+    createApiKey,
+    getApiKey,
+    getApiKeys,
+    revokeApiKey,
+    getFlowWorkspace,
+    assignUnownedFlows
+  };
+}
+
+module.exports = {
+  createLocalAccounts
+};
@@ -0,0 +1,707 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { buildPromptRows, buildFlowMetadata, buildFlowDetails, buildFlowIndexColumns, normalizeTags } = require('./rows');
+const { SORT_COLUMNS, encodeCursor } = require('./flow-query');
+const { createLocalAccounts } = require('./local-accounts');
+
+// Self-hosted storage: a SQLite database with the same tables as supabase-schema.sql
+// and audio files in a local directory. JSON columns are stored as text and decoded
+// on read, so callers get the same row shapes as from Supabase.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+  UNIQUE(workspace_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id TEXT REFERENCES workspaces(id) ON DELETE SET NULL,
+  expires_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS conversation_flows (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  audio_files TEXT,
+  transcriptions TEXT,
+  flow_data TEXT,
+  mermaid_diagram TEXT,
+  metadata TEXT,
+  deleted_at TEXT,
+  campaign TEXT,
+  node_count INTEGER NOT NULL DEFAULT 0,
+  languages TEXT NOT NULL DEFAULT '[]',
+  tags TEXT NOT NULL DEFAULT '[]',
+  search_text TEXT NOT NULL DEFAULT '',
+  workspace_id TEXT REFERENCES workspaces(id)
+);
+
+CREATE TABLE IF NOT EXISTS audio_files (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  flow_id TEXT REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  file_name TEXT NOT NULL,
+  file_url TEXT NOT NULL,
+  file_size INTEGER,
+  duration REAL,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS prompts (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  flow_id TEXT REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  node_id TEXT NOT NULL,
+  node_type TEXT,
+  prompt_text TEXT,
+  examples TEXT,
+  listen_for TEXT,
+  next_actions TEXT,
+  metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS flow_versions (
+  id TEXT PRIMARY KEY,
+  flow_id TEXT NOT NULL REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  author TEXT NOT NULL DEFAULT 'anonymous',
+  change_note TEXT,
+  name TEXT NOT NULL,
+  description TEXT,
+  campaign TEXT,
+  tags TEXT,
+  flow_data TEXT NOT NULL,
+  mermaid_diagram TEXT,
+  UNIQUE(flow_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS pii_originals (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  flow_id TEXT NOT NULL REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  transcript_index INTEGER NOT NULL,
+  filename TEXT,
+  entities TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_created_at ON conversation_flows(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_deleted_at ON conversation_flows(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_audio_files_flow_id ON audio_files(flow_id);
+CREATE INDEX IF NOT EXISTS idx_prompts_flow_id ON prompts(flow_id);
+CREATE INDEX IF NOT EXISTS idx_flow_versions_flow_id ON flow_versions(flow_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_pii_originals_flow_id ON pii_originals(flow_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_workspace_id ON api_keys(workspace_id);
+`;
+
+// Columns added to existing databases, by table
+const COLUMN_MIGRATIONS = {
+  conversation_flows: {
+    campaign: 'TEXT',
+    node_count: 'INTEGER NOT NULL DEFAULT 0',
+    languages: "TEXT NOT NULL DEFAULT '[]'",
+    tags: "TEXT NOT NULL DEFAULT '[]'",
+    search_text: "TEXT NOT NULL DEFAULT ''",
+    workspace_id: 'TEXT REFERENCES workspaces(id)'
+  },
+  // NULL tags mark versions saved before campaign and tags were versioned
+  flow_versions: {
+    campaign: 'TEXT',
+    tags: 'TEXT'
+  }
+};
+
+// Full-text index over conversation_flows.search_text, kept in sync by triggers
+const SEARCH_SCHEMA = `
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_updated_at ON conversation_flows(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_name ON conversation_flows(name);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_node_count ON conversation_flows(node_count);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_campaign ON conversation_flows(campaign COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_workspace_id ON conversation_flows(workspace_id);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS flow_search USING fts5(
+  flow_id UNINDEXED,
+  search_text,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS conversation_flows_search_insert AFTER INSERT ON conversation_flows BEGIN
+  INSERT INTO flow_search (flow_id, search_text) VALUES (new.id, new.search_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversation_flows_search_update AFTER UPDATE OF search_text ON conversation_flows BEGIN
+  DELETE FROM flow_search WHERE flow_id = old.id;
+  INSERT INTO flow_search (flow_id, search_text) VALUES (new.id, new.search_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS conversation_flows_search_delete AFTER DELETE ON conversation_flows BEGIN
+  DELETE FROM flow_search WHERE flow_id = old.id;
+END;
+`;
+
+// Columns returned by the flow list (everything but the large JSON payloads)
+const LIST_COLUMNS = 'id, created_at, updated_at, name, description, campaign, tags, metadata, deleted_at, node_count, languages';
+
+const JSON_COLUMNS = {
+  conversation_flows: ['audio_files', 'transcriptions', 'flow_data', 'metadata', 'languages', 'tags'],
+  audio_files: ['metadata'],
+  prompts: ['examples', 'listen_for', 'next_actions', 'metadata'],
+  flow_versions: ['flow_data', 'tags'],
+  pii_originals: ['entities']
+};
+
+function openDatabase(dbPath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The local storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fsSync.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  const migrated = migrateColumns(db);
+  db.exec(SEARCH_SCHEMA);
+  if (migrated) backfillSearchColumns(db);
+  return db;
+}
+
+// Add columns missing from databases created by an older version. Returns whether any were added.
+function migrateColumns(db) {
+  let migrated = false;
+
+  Object.entries(COLUMN_MIGRATIONS).forEach(([table, columns]) => {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+    Object.entries(columns).forEach(([column, definition]) => {
+      if (existing.has(column)) return;
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      migrated = true;
+    });
+  });
+
+  return migrated;
+}
+
+function backfillSearchColumns(db) {
+  const update = db.prepare(`UPDATE conversation_flows
+    SET node_count = @node_count, languages = @languages, search_text = @search_text WHERE id = @id`);
+
+  db.transaction(() => {
+    db.prepare('SELECT id, name, description, campaign, tags, flow_data, metadata FROM conversation_flows').all().forEach(row => {
+      const columns = buildFlowIndexColumns({
+        ...row,
+        tags: JSON.parse(row.tags),
+        flow_data: row.flow_data ? JSON.parse(row.flow_data) : null,
+        metadata: row.metadata ? JSON.parse(row.metadata) : null
+      });
+      update.run({ ...columns, languages: JSON.stringify(columns.languages), id: row.id });
+    });
+  })();
+}
+
+// FTS5 query matching every word of the search as a prefix
+function toMatchQuery(search) {
+  return search
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean)
+    .map(word => `"${word}"*`)
+    .join(' ');
+}
+
+function createLocalStorage(options = {}) {
+  const dataDir = options.dataDir || process.env.LOCAL_DATA_DIR || path.join(process.cwd(), 'data');
+  const dbPath = options.dbPath || process.env.LOCAL_DB_PATH || path.join(dataDir, 'flows.db');
+  const audioDir = options.audioDir || process.env.LOCAL_AUDIO_DIR || path.join(dataDir, 'audio');
+  // URL prefix the server mounts audioDir under
+  const audioUrlPrefix = options.audioUrlPrefix || '/api/audio';
+
+  let db = null;
+  function getDb() {
+    if (!db) db = openDatabase(dbPath);
+    return db;
+  }
+
+  function encodeRow(table, row) {
+    const encoded = { ...row };
+    (JSON_COLUMNS[table] || []).forEach(column => {
+      if (encoded[column] !== undefined) {
+        encoded[column] = encoded[column] === null ? null : JSON.stringify(encoded[column]);
+      }
+    });
+    return encoded;
+  }
+
+  function decodeRow(table, row) {
+    if (!row) return row;
+    const decoded = { ...row };
+    (JSON_COLUMNS[table] || []).forEach(column => {
+      if (typeof decoded[column] === 'string') {
+        decoded[column] = JSON.parse(decoded[column]);
+      }
+    });
+    return decoded;
+  }
+
+  function insertRow(table, row) {
+    const encoded = encodeRow(table, {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...row
+    });
+    const columns = Object.keys(encoded).filter(column => encoded[column] !== undefined);
+    getDb()
+      .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+      .run(Object.fromEntries(columns.map(column => [column, encoded[column]])));
+    return getRow(table, encoded.id);
+  }
+
+  function getRow(table, id) {
+    return decodeRow(table, getDb().prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+  }
+
+  function updateRow(table, id, changes) {
+    const encoded = encodeRow(table, changes);
+    const columns = Object.keys(encoded).filter(column => encoded[column] !== undefined);
+    getDb()
+      .prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+      .run({ ...Object.fromEntries(columns.map(column => [column, encoded[column]])), id });
+    return getRow(table, id);
+  }
+
+  function replacePrompts(flowId, flowData) {
+    getDb().prepare('DELETE FROM prompts WHERE flow_id = ?').run(flowId);
+    buildPromptRows(flowId, flowData).forEach(row => insertRow('prompts', row));
+  }
+
+  // Save an immutable snapshot of a conversation_flows row as its next version
+  function createFlowVersion(flow, { author, changeNote } = {}) {
+    const latest = getDb()
+      .prepare('SELECT MAX(version) AS version FROM flow_versions WHERE flow_id = ?')
+      .get(flow.id);
+
+    return insertRow('flow_versions', {
+      flow_id: flow.id,
+      version: (latest?.version || 0) + 1,
+      author: author || 'anonymous',
+      change_note: changeNote || null,
+      name: flow.name,
+      description: flow.description,
+      campaign: flow.campaign || null,
+      tags: flow.tags || [],
+      flow_data: flow.flow_data,
+      mermaid_diagram: flow.mermaid_diagram
+    });
+  }
+
+  async function storeConversationFlow(flowData, transcriptions, mermaidDiagram, metadata = {}, details = {}) {
+    try {
+      const now = new Date().toISOString();
+      const values = {
+        created_at: now,
+        updated_at: now,
+        ...buildFlowDetails(details, transcriptions),
+        workspace_id: details.workspaceId || null,
+        audio_files: [],
+        transcriptions,
+        flow_data: flowData,
+        mermaid_diagram: mermaidDiagram,
+        metadata: buildFlowMetadata(flowData, transcriptions, metadata)
+      };
+
+      const flow = getDb().transaction(() => {
+        const row = insertRow('conversation_flows', { ...values, ...buildFlowIndexColumns(values) });
+        replacePrompts(row.id, flowData);
+        createFlowVersion(row, { author: 'system', changeNote: 'Generated from upload' });
+        return row;
+      })();
+
+      return {
+        success: true,
+        flowId: flow.id,
+        details: { name: flow.name, description: flow.description, campaign: flow.campaign, tags: flow.tags }
+      };
+    } catch (error) {
+      console.error('Error storing conversation flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Copy an uploaded audio file into audioDir/<flowId>/
+  async function uploadAudioFile(file, flowId) {
+    try {
+      const storedName = `${Date.now()}-${path.basename(file.originalname)}`;
+      const uploadPath = `${flowId}/${storedName}`;
+
+      await fs.mkdir(path.join(audioDir, flowId), { recursive: true });
+      await fs.copyFile(file.path, path.join(audioDir, flowId, storedName));
+
+      const url = `${audioUrlPrefix}/${encodeURIComponent(flowId)}/${encodeURIComponent(storedName)}`;
+
+      insertRow('audio_files', {
+        flow_id: flowId,
+        file_name: file.originalname,
+        file_url: url,
+        file_size: file.size,
+        metadata: {
+          mimetype: file.mimetype,
+          upload_path: uploadPath
+        }
+      });
+
+      return { success: true, url };
+    } catch (error) {
+      console.error('Error uploading audio file:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Same options and result as the Supabase backend (see lib/storage/flow-query.js)
+  async function getConversationFlows(options = {}) {
+    try {
+      const { workspaceId, limit = 20, deleted = false, search, language, campaign, tags = [], minNodes, maxNodes, createdFrom, createdTo, sort, order = 'desc', cursor } = options;
+      const sortName = sort || (deleted ? 'deleted_at' : 'created_at');
+      const column = SORT_COLUMNS[sortName];
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+      const where = [deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+      const params = { limit: limit + 1 };
+
+      if (workspaceId) {
+        where.push('workspace_id = @workspaceId');
+        params.workspaceId = workspaceId;
+      }
+
+      const match = search ? toMatchQuery(search) : '';
+      if (match) {
+        where.push('id IN (SELECT flow_id FROM flow_search WHERE flow_search MATCH @match)');
+        params.match = match;
+      }
+      if (language) {
+        // lower() also matches rows indexed before languages were lowercased
+        where.push('EXISTS (SELECT 1 FROM json_each(languages) WHERE lower(value) = @language)');
+        params.language = language;
+      }
+      if (campaign) {
+        where.push('campaign = @campaign COLLATE NOCASE');
+        params.campaign = campaign;
+      }
+      tags.forEach((tag, index) => {
+        where.push(`EXISTS (SELECT 1 FROM json_each(tags) WHERE value = @tag${index})`);
+        params[`tag${index}`] = tag;
+      });
+      if (minNodes !== null && minNodes !== undefined) {
+        where.push('node_count >= @minNodes');
+        params.minNodes = minNodes;
+      }
+      if (maxNodes !== null && maxNodes !== undefined) {
+        where.push('node_count <= @maxNodes');
+        params.maxNodes = maxNodes;
+      }
+      if (createdFrom) {
+        where.push('created_at >= @createdFrom');
+        params.createdFrom = createdFrom;
+      }
+      if (createdTo) {
+        where.push('created_at <= @createdTo');
+        params.createdTo = createdTo;
+      }
+
+      // Keyset pagination: rows after the cursor in (sort column, id) order
+      if (cursor) {
+        const op = order === 'asc' ? '>' : '<';
+        where.push(`(${column} ${op} @cursorValue OR (${column} = @cursorValue AND id ${op} @cursorId))`);
+        params.cursorValue = Array.isArray(cursor.value) ? JSON.stringify(cursor.value) : cursor.value;
+        params.cursorId = cursor.id;
+      }
+
+      const rows = getDb()
+        .prepare(`SELECT ${LIST_COLUMNS} FROM conversation_flows
+          WHERE ${where.join(' AND ')}
+          ORDER BY ${column} ${direction}, id ${direction}
+          LIMIT @limit`)
+        .all(params)
+        .map(row => decodeRow('conversation_flows', row));
+
+      const flows = rows.slice(0, limit);
+      const last = flows[flows.length - 1];
+      const nextCursor = rows.length > limit ? encodeCursor({ sort: sortName, order }, last[column], last.id) : null;
+
+      return { success: true, flows, nextCursor };
+    } catch (error) {
+      console.error('Error fetching conversation flows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getConversationFlow(flowId) {
+    try {
+      const flow = getRow('conversation_flows', flowId);
+      if (!flow) {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+
+      const prompts = getDb()
+        .prepare('SELECT * FROM prompts WHERE flow_id = ? ORDER BY rowid')
+        .all(flowId)
+        .map(row => decodeRow('prompts', row));
+      const audioFiles = getDb()
+        .prepare('SELECT * FROM audio_files WHERE flow_id = ? ORDER BY rowid')
+        .all(flowId)
+        .map(row => decodeRow('audio_files', row));
+
+      return { success: true, flow: { ...flow, prompts, audioFiles } };
+    } catch (error) {
+      console.error('Error fetching conversation flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function updateConversationFlow(flowId, { name, description, campaign, tags, flowData, mermaidDiagram, author, changeNote } = {}) {
+    try {
+      const result = getDb().transaction(() => {
+        const existing = getRow('conversation_flows', flowId);
+        if (!existing) return null;
+        // Trashed flows can only be restored or purged
+        if (existing.deleted_at) return { trashed: true };
+
+        // Flows created before versioning get their current state as version 1
+        const { count } = getDb()
+          .prepare('SELECT COUNT(*) AS count FROM flow_versions WHERE flow_id = ?')
+          .get(flowId);
+        if (!count) {
+          createFlowVersion(existing, { author: 'system', changeNote: 'State before first edit' });
+        }
+
+        const changes = { updated_at: new Date().toISOString() };
+        if (name !== undefined) changes.name = name;
+        if (description !== undefined) changes.description = description;
+        if (campaign !== undefined) changes.campaign = campaign?.trim() || null;
+        if (tags !== undefined) changes.tags = normalizeTags(tags);
+
+        if (flowData) {
+          changes.flow_data = flowData;
+          changes.mermaid_diagram = mermaidDiagram;
+          changes.metadata = {
+            ...existing.metadata,
+            node_count: flowData.nodes?.length || 0,
+            edge_count: flowData.edges?.length || 0
+          };
+        }
+        Object.assign(changes, buildFlowIndexColumns({ ...existing, ...changes }));
+
+        const flow = updateRow('conversation_flows', flowId, changes);
+        if (flowData) replacePrompts(flowId, flowData);
+
+        const version = createFlowVersion(flow, { author, changeNote });
+        return { flow, version };
+      })();
+
+      if (!result) {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+      if (result.trashed) {
+        return { success: false, trashed: true, error: 'Flow is in the trash; restore it first' };
+      }
+      return { success: true, flow: result.flow, version: result.version.version };
+    } catch (error) {
+      console.error('Error updating conversation flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getFlowVersions(flowId) {
+    try {
+      const versions = getDb()
+        .prepare(`SELECT id, flow_id, version, created_at, author, change_note, name, description, campaign, tags
+          FROM flow_versions WHERE flow_id = ? ORDER BY version DESC`)
+        .all(flowId)
+        .map(row => decodeRow('flow_versions', row));
+      return { success: true, versions };
+    } catch (error) {
+      console.error('Error fetching flow versions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Values redacted from a flow's transcriptions, one row per transcription:
+  // [{ transcriptIndex, filename, entities: [{ type, value, utteranceIndex, offset }] }]
+  async function storePiiOriginals(flowId, transcripts) {
+    try {
+      getDb().transaction(() => {
+        transcripts.forEach(transcript => insertRow('pii_originals', {
+          flow_id: flowId,
+          transcript_index: transcript.transcriptIndex,
+          filename: transcript.filename || null,
+          entities: transcript.entities
+        }));
+      })();
+      return { success: true };
+    } catch (error) {
+      console.error('Error storing redacted values:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getPiiOriginals(flowId) {
+    try {
+      const rows = getDb()
+        .prepare('SELECT * FROM pii_originals WHERE flow_id = ? ORDER BY transcript_index')
+        .all(flowId)
+        .map(row => decodeRow('pii_originals', row));
+      return { success: true, originals: rows };
+    } catch (error) {
+      console.error('Error fetching redacted values:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function getFlowVersion(flowId, version) {
+    try {
+      const row = getDb()
+        .prepare('SELECT * FROM flow_versions WHERE flow_id = ? AND version = ?')
+        .get(flowId, version);
+
+      if (!row) {
+        return { success: false, notFound: true, error: `Version ${version} not found` };
+      }
+      return { success: true, version: decodeRow('flow_versions', row) };
+    } catch (error) {
+      console.error('Error fetching flow version:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function setFlowDeleted(flowId, deleted) {
+    try {
+      if (!getRow('conversation_flows', flowId)) {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+
+      const { id, name, deleted_at } = updateRow('conversation_flows', flowId, {
+        deleted_at: deleted ? new Date().toISOString() : null
+      });
+      return { success: true, flow: { id, name, deleted_at } };
+    } catch (error) {
+      console.error(`Error ${deleted ? 'deleting' : 'restoring'} conversation flow:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async function softDeleteConversationFlow(flowId) {
+    return setFlowDeleted(flowId, true);
+  }
+
+  async function restoreConversationFlow(flowId) {
+    return setFlowDeleted(flowId, false);
+  }
+
+  async function purgeConversationFlow(flowId) {
+    try {
+      if (!getRow('conversation_flows', flowId)) {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+
+      // Flow IDs come from the database, but never let one point outside audioDir
+      const flowDir = path.resolve(audioDir, flowId);
+      let removedObjects = 0;
+      if (path.dirname(flowDir) === path.resolve(audioDir)) {
+        const entries = await fs.readdir(flowDir).catch(() => []);
+        removedObjects = entries.length;
+        await fs.rm(flowDir, { recursive: true, force: true });
+      }
+
+      getDb().transaction(() => {
+        for (const table of ['prompts', 'audio_files', 'flow_versions', 'pii_originals']) {
+          getDb().prepare(`DELETE FROM ${table} WHERE flow_id = ?`).run(flowId);
+        }
+        getDb().prepare('DELETE FROM conversation_flows WHERE id = ?').run(flowId);
+      })();
+
+      return { success: true, removedObjects };
+    } catch (error) {
+      console.error('Error purging conversation flow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The local "bucket" is just the audio directory
+  async function ensureStorageBucket() {
+    try {
+      await fs.mkdir(audioDir, { recursive: true });
+      getDb();
+      return true;
+    } catch (error) {
+      console.error('Error ensuring storage bucket:', error);
+      return false;
+    }
+  }
+
+  return {
+    name: 'local',
+    audioDir,
+    audioUrlPrefix,
+    storeConversationFlow,
+    uploadAudioFile,
+    getConversationFlows,
+    getConversationFlow,
+    updateConversationFlow,
+    getFlowVersions,
+    getFlowVersion,
+    softDeleteConversationFlow,
+    restoreConversationFlow,
+    purgeConversationFlow,
+    storePiiOriginals,
+    getPiiOriginals,
+    ensureStorageBucket,
+    ...createLocalAccounts({ getDb, insertRow, getRow })
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
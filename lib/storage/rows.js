@@ -0,0 +1,73 @@
+// Row builders shared by the storage backends so both store the same shapes
+const { flowLanguages } = require('../flow-languages');
+
+// Rows for the prompts table, one per flow node
+function buildPromptRows(flowId, flowData) {
+  return (flowData.nodes || []).map(node => ({
+    flow_id: flowId,
+    node_id: node.id,
+    node_type: node.type,
+    prompt_text: node.fullPrompt || flowData.prompts?.[node.id],
+    examples: node.examples,
+    listen_for: node.listenFor,
+    next_actions: node.nextActions,
+    metadata: {
+      speaker: node.speaker,
+      content: node.content
+    }
+  }));
+}
+
+// conversation_flows.metadata for a newly generated flow
+function buildFlowMetadata(flowData, transcriptions, metadata = {}) {
+  return {
+    node_count: flowData.nodes?.length || 0,
+    edge_count: flowData.edges?.length || 0,
+    languages: [...new Set(transcriptions.map(t => t.language))],
+    created_at: new Date().toISOString(),
+    ...metadata
+  };
+}
+
+// Free-form tags are stored lowercase and without duplicates.
+// Accepts an array or a comma-separated string.
+function normalizeTags(tags) {
+  const values = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(values.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Name, description, campaign and tags of a new flow, with defaults for what is missing
+function buildFlowDetails(details, transcriptions) {
+  return {
+    name: details.name?.trim() || `Flow ${new Date().toISOString()}`,
+    description: details.description?.trim() || `Conversation flow with ${transcriptions.length} audio file(s)`,
+    campaign: details.campaign?.trim() || null,
+    tags: normalizeTags(details.tags)
+  };
+}
+
+// Columns the flow list searches, filters and sorts on, derived from the rest of the row.
+// Recomputed whenever the name, description or flow data changes. languages covers the
+// transcripts' languages and every language variant of the flow, lowercased like the
+// list's language filter ("pt-BR" is indexed as "pt-br").
+function buildFlowIndexColumns({ name, description, campaign, tags, flow_data: flowData, metadata }) {
+  const nodeText = (flowData?.nodes || []).flatMap(node => [node.content, node.fullPrompt]);
+  // Flows saved before they recorded a language only have their transcripts' languages
+  const variants = flowData?.language ? flowLanguages(flowData) : [];
+
+  return {
+    node_count: flowData?.nodes?.length || 0,
+    languages: [...new Set([...(metadata?.languages || []), ...variants]
+      .filter(Boolean)
+      .map(language => String(language).toLowerCase()))],
+    search_text: [name, description, campaign, ...(tags || []), ...nodeText].filter(Boolean).join('\n')
+  };
+}
+
+module.exports = {
+  buildPromptRows,
+  buildFlowMetadata,
+  buildFlowDetails,
+  buildFlowIndexColumns,
+  normalizeTags
+};
@@ -0,0 +1,317 @@
+// Users, workspaces, sessions and API keys for the Supabase backend (tables in
+// supabase-schema.sql). Same functions and results as lib/storage/local-accounts.js.
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+// Postgres invalid_text_representation, e.g. an id that is not a UUID
+const INVALID_TEXT = '22P02';
+
+function createSupabaseAccounts(supabase) {
+  // Await a query, turning errors into { success: false, error }
+  async function attempt(label, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { success: false, conflict: true, error: error.message };
+      }
+      // Every id here is a UUID, so one that does not parse names no row
+      if (error.code === INVALID_TEXT) {
+        return { success: false, notFound: true, error: 'Not found' };
+      }
+      console.error(`Error ${label}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  function check({ data, error, count }) {
+    if (error) throw error;
+    return count !== undefined && count !== null ? count : data;
+  }
+
+  function countUsers() {
+    return attempt('counting users', async () => ({
+      success: true,
+      count: check(await supabase.from('users').select('id', { count: 'exact', head: true }))
+    }));
+  }
+
+  function createUser({ email, name, passwordHash }) {
+    return attempt('creating user', async () => ({
+      success: true,
+      user: check(await supabase
+        .from('users')
+        .insert({ email, name: name || null, password_hash: passwordHash })
+        .select('id, email, name')
+        .single())
+    }));
+  }
+
+  // Create a user only if there are none yet (first-run setup), atomically in
+  // create_first_user; conflict: true when another user exists
+  function createFirstUser({ email, name, passwordHash }) {
+    return attempt('creating first user', async () => {
+      const rows = check(await supabase.rpc('create_first_user', {
+        user_email: email,
+        user_name: name || null,
+        user_password_hash: passwordHash
+      }));
+      if (!rows || rows.length === 0) {
+        return { success: false, conflict: true, error: 'A user already exists' };
+      }
+      const [{ id, email: userEmail, name: userName }] = rows;
+      return { success: true, user: { id, email: userEmail, name: userName } };
+    });
+  }
+
+  // Includes password_hash, for sign-in
+  function getUserByEmail(email) {
+    return attempt('fetching user', async () => {
+      const user = check(await supabase.from('users').select('*').eq('email', email).maybeSingle());
+      return user ? { success: true, user } : { success: false, notFound: true, error: 'User not found' };
+    });
+  }
+
+  function updateUserPassword(userId, passwordHash) {
+    return attempt('updating password', async () => {
+      check(await supabase.from('users').update({ password_hash: passwordHash }).eq('id', userId));
+      // Signing in again is required everywhere else
+      check(await supabase.from('sessions').delete().eq('user_id', userId));
+      return { success: true };
+    });
+  }
+
+  // A new workspace with `userId` as its admin
+  function createWorkspace(name, userId) {
+    return attempt('creating workspace', async () => {
+      const workspace = check(await supabase.from('workspaces').insert({ name }).select().single());
+      const { error } = await supabase
+        .from('workspace_members')
+        .insert({ workspace_id: workspace.id, user_id: userId, role: 'admin' });
+
+      if (error) {
+        await supabase.from('workspaces').delete().eq('id', workspace.id);
+        throw error;
+      }
+      return { success: true, workspace: { ...workspace, role: 'admin' } };
+    });
+  }
+
+  // [{ id, name, role }], oldest membership first
+  function getUserWorkspaces(userId) {
+    return attempt('fetching workspaces', async () => {
+      const rows = check(await supabase
+        .from('workspace_members')
+        .select('role, created_at, workspaces(id, name)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }));
+      return {
+        success: true,
+        workspaces: rows.map(row => ({ id: row.workspaces.id, name: row.workspaces.name, role: row.role }))
+      };
+    });
+  }
+
+  function getWorkspaceMembers(workspaceId) {
+    return attempt('fetching members', async () => {
+      const rows = check(await supabase
+        .from('workspace_members')
+        .select('user_id, role, created_at, users(email, name)')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: true }));
+      return {
+        success: true,
+        members: rows.map(({ users, ...member }) => ({ ...member, email: users.email, name: users.name }))
+      };
+    });
+  }
+
+  // Add a member or change their role
+  function setWorkspaceMember(workspaceId, userId, role) {
+    return attempt('saving member', async () => {
+      check(await supabase
+        .from('workspace_members')
+        .upsert({ workspace_id: workspaceId, user_id: userId, role }, { onConflict: 'workspace_id,user_id' }));
+      return { success: true };
+    });
+  }
+
+  // Also revokes the API keys the member created in the workspace
+  function removeWorkspaceMember(workspaceId, userId) {
+    return attempt('removing member', async () => {
+      const removed = check(await supabase
+        .from('workspace_members')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('user_id'));
+      if (removed.length === 0) return { success: false, notFound: true, error: 'Member not found' };
+
+      check(await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('workspace_id', workspaceId)
+        .eq('created_by', userId)
+        .is('revoked_at', null));
+      return { success: true };
+    });
+  }
+
+  function createSession({ userId, workspaceId, tokenHash, expiresAt }) {
+    return attempt('creating session', async () => ({
+      success: true,
+      session: check(await supabase
+        .from('sessions')
+        .insert({ user_id: userId, workspace_id: workspaceId || null, token_hash: tokenHash, expires_at: expiresAt })
+        .select()
+        .single())
+    }));
+  }
+
+  // An unexpired session with its user: { id, user_id, workspace_id, expires_at, user }
+  function getSession(tokenHash) {
+    return attempt('fetching session', async () => {
+      const row = check(await supabase
+        .from('sessions')
+        .select('id, user_id, workspace_id, expires_at, users(email, name)')
+        .eq('token_hash', tokenHash)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle());
+      if (!row) return { success: false, notFound: true, error: 'Session not found' };
+
+      const { users, ...session } = row;
+      return { success: true, session: { ...session, user: { id: row.user_id, email: users.email, name: users.name } } };
+    });
+  }
+
+  function updateSessionWorkspace(sessionId, workspaceId) {
+    return attempt('updating session', async () => {
+      check(await supabase.from('sessions').update({ workspace_id: workspaceId }).eq('id', sessionId));
+      return { success: true };
+    });
+  }
+
+  function deleteSession(tokenHash) {
+    return attempt('deleting session', async () => {
+      check(await supabase
+        .from('sessions')
+        .delete()
+        .or(`token_hash.eq.${tokenHash},expires_at.lte.${new Date().toISOString()}`));
+      return { success: true };
+    });
+  }
+
+  function createApiKey({ workspaceId, userId, name, role, keyPrefix, keyHash }) {
+    return attempt('creating API key', async () => ({
+      success: true,
+      apiKey: check(await supabase
+        .from('api_keys')
+        .insert({ workspace_id: workspaceId, created_by: userId, name, role, key_prefix: keyPrefix, key_hash: keyHash })
+        .select('id, created_at, workspace_id, created_by, name, role, key_prefix, last_used_at, revoked_at')
+        .single())
+    }));
+  }
+
+  // An unrevoked key whose creator is still a member, marked as used:
+  // { id, workspace_id, name, role, created_by, member_role }
+  function getApiKey(keyHash) {
+    return attempt('fetching API key', async () => {
+      const apiKey = check(await supabase
+        .from('api_keys')
+        .select('id, workspace_id, name, role, created_by')
+        .eq('key_hash', keyHash)
+        .is('revoked_at', null)
+        .maybeSingle());
+      if (!apiKey) return { success: false, notFound: true, error: 'API key not found' };
+
+      const member = check(await supabase
+        .from('workspace_members')
+        .select('role')
+        .eq('workspace_id', apiKey.workspace_id)
+        .eq('user_id', apiKey.created_by)
+        .maybeSingle());
+      if (!member) return { success: false, notFound: true, error: 'API key not found' };
+      apiKey.member_role = member.role;
+
+      check(await supabase.from('api_keys').update({ last_used_at: new Date().toISOString() }).eq('id', apiKey.id));
+      return { success: true, apiKey };
+    });
+  }
+
+  function getApiKeys(workspaceId) {
+    return attempt('fetching API keys', async () => ({
+      success: true,
+      apiKeys: check(await supabase
+        .from('api_keys')
+        .select('id, created_at, workspace_id, created_by, name, role, key_prefix, last_used_at, revoked_at')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false }))
+    }));
+  }
+
+  function revokeApiKey(workspaceId, keyId) {
+    return attempt('revoking API key', async () => {
+      const revoked = check(await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', keyId)
+        .eq('workspace_id', workspaceId)
+        .is('revoked_at', null)
+        .select('id'));
+      return revoked.length > 0 ? { success: true } : { success: false, notFound: true, error: 'API key not found' };
+    });
+  }
+
+  // Workspace of a flow, trashed or not: { success, workspaceId }
+  function getFlowWorkspace(flowId) {
+    return attempt('fetching flow workspace', async () => {
+      const flow = check(await supabase
+        .from('conversation_flows')
+        .select('workspace_id')
+        .eq('id', flowId)
+        .maybeSingle());
+      return flow
+        ? { success: true, workspaceId: flow.workspace_id }
+        : { success: false, notFound: true, error: 'Flow not found' };
+    });
+  }
+
+  // Give flows stored before workspaces existed to `workspaceId`
+  function assignUnownedFlows(workspaceId) {
+    return attempt('assigning flows', async () => ({
+      success: true,
+      count: check(await supabase
+        .from('conversation_flows')
+        .update({ workspace_id: workspaceId })
+        .is('workspace_id', null)
+        .select('id')).length
+    }));
+  }
+
+  return {
+    countUsers,
+    createUser,
+    createFirstUser,
+    getUserByEmail,
+    updateUserPassword,
+    createWorkspace,
+    getUserWorkspaces,
+    getWorkspaceMembers,
+    setWorkspaceMember,
+    removeWorkspaceMember,
+    createSession,
+    getSession,
+    updateSessionWorkspace,
+    deleteSession,
+    createApiKey,
+    getApiKey,
+    getApiKeys,
+    revokeApiKey,
+    getFlowWorkspace,
+    assignUnownedFlows
+  };
+}
+
+module.exports = {
+  createSupabaseAccounts
+};
@@ -0,0 +1,559 @@
+const fs = require('fs').promises;
+const { createClient } = require('@supabase/supabase-js');
+const { buildPromptRows, buildFlowMetadata, buildFlowDetails, buildFlowIndexColumns, normalizeTags } = require('./rows');
+const { SORT_COLUMNS, encodeCursor } = require('./flow-query');
+const { createSupabaseAccounts } = require('./supabase-accounts');
+
+// Supabase client, created by createSupabaseStorage
+let supabase = null;
+
+// Store conversation flow in database
+async function storeConversationFlow(flowData, transcriptions, mermaidDiagram, metadata = {}, details = {}) {
+  try {
+    const row = {
+      ...buildFlowDetails(details, transcriptions),
+      workspace_id: details.workspaceId || null,
+      transcriptions,
+      flow_data: flowData,
+      mermaid_diagram: mermaidDiagram,
+      metadata: buildFlowMetadata(flowData, transcriptions, metadata)
+    };
+
+    const { data, error } = await supabase
+      .from('conversation_flows')
+      .insert({ ...row, ...buildFlowIndexColumns(row) })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Store individual prompts
+    if (data && flowData.nodes) {
+      await supabase.from('prompts').insert(buildPromptRows(data.id, flowData));
+    }
+
+    try {
+      await createFlowVersion(data, { author: 'system', changeNote: 'Generated from upload' });
+    } catch (versionError) {
+      console.error('Error recording initial flow version:', versionError);
+    }
+
+    return {
+      success: true,
+      flowId: data?.id,
+      details: { name: data.name, description: data.description, campaign: data.campaign, tags: data.tags }
+    };
+  } catch (error) {
+    console.error('Error storing conversation flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Upload audio file to Supabase Storage
+async function uploadAudioFile(file, flowId) {
+  try {
+    const fileName = `${flowId}/${Date.now()}-${file.originalname}`;
+
+    // Read file from local path
+    const fileBuffer = await fs.readFile(file.path);
+
+    // Upload to Supabase Storage
+    const { data, error } = await supabase.storage
+      .from('audio-files')
+      .upload(fileName, fileBuffer, {
+        contentType: file.mimetype,
+        upsert: false
+      });
+
+    if (error) throw error;
+
+    // The bucket is private: the stored URL only works through a signed copy
+    const { data: { publicUrl } } = supabase.storage
+      .from('audio-files')
+      .getPublicUrl(fileName);
+
+    // Store reference in database
+    const { data: row, error: rowError } = await supabase.from('audio_files').insert({
+      flow_id: flowId,
+      file_name: file.originalname,
+      file_url: publicUrl,
+      file_size: file.size,
+      metadata: {
+        mimetype: file.mimetype,
+        upload_path: data.path
+      }
+    }).select().single();
+
+    if (rowError) throw rowError;
+
+    const [signed] = await signAudioFiles([row]);
+    return { success: true, url: signed.file_url };
+  } catch (error) {
+    console.error('Error uploading audio file:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// How long the audio URLs handed to clients work
+const SIGNED_URL_SECONDS = 60 * 60;
+
+// Swap each audio file's URL for a signed one, since the bucket is private
+async function signAudioFiles(audioFiles) {
+  const paths = audioFiles.map(file => file.metadata?.upload_path).filter(Boolean);
+  if (paths.length === 0) return audioFiles;
+
+  const { data, error } = await supabase.storage
+    .from('audio-files')
+    .createSignedUrls(paths, SIGNED_URL_SECONDS);
+
+  if (error) throw error;
+
+  const urls = new Map(data.filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]));
+  return audioFiles.map(file => ({ ...file, file_url: urls.get(file.metadata?.upload_path) || file.file_url }));
+}
+
+// Columns returned by the flow list (everything but the large JSON payloads)
+const LIST_COLUMNS = 'id, created_at, updated_at, name, description, campaign, tags, metadata, deleted_at, node_count, languages';
+
+// PostgREST filter value, quoted so commas, dots and parentheses survive
+function filterValue(value) {
+  const text = Array.isArray(value) ? `{${value.join(',')}}` : String(value);
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// List conversation flows with the options from parseFlowListQuery (lib/storage/flow-query.js).
+// Resolves to { success, flows, nextCursor } where nextCursor is null on the last page.
+async function getConversationFlows(options = {}) {
+  try {
+    const { workspaceId, limit = 20, deleted = false, search, language, campaign, tags = [], minNodes, maxNodes, createdFrom, createdTo, sort, order = 'desc', cursor } = options;
+    const sortName = sort || (deleted ? 'deleted_at' : 'created_at');
+    const column = SORT_COLUMNS[sortName];
+    const ascending = order === 'asc';
+
+    let query = supabase
+      .from('conversation_flows')
+      .select(LIST_COLUMNS);
+
+    query = deleted ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+
+    if (workspaceId) query = query.eq('workspace_id', workspaceId);
+    if (search) query = query.textSearch('search_vector', search, { type: 'websearch', config: 'simple' });
+    if (language) query = query.contains('languages', [language]);
+    if (campaign) query = query.ilike('campaign', campaign.replace(/[%_\\]/g, '\\$&'));
+    if (tags.length > 0) query = query.contains('tags', tags);
+    if (minNodes !== null && minNodes !== undefined) query = query.gte('node_count', minNodes);
+    if (maxNodes !== null && maxNodes !== undefined) query = query.lte('node_count', maxNodes);
+    if (createdFrom) query = query.gte('created_at', createdFrom);
+    if (createdTo) query = query.lte('created_at', createdTo);
+
+    // Keyset pagination: rows after the cursor in (sort column, id) order
+    if (cursor) {
+      const op = ascending ? 'gt' : 'lt';
+      const value = filterValue(cursor.value);
+      query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${filterValue(cursor.id)})`);
+    }
+
+    const { data, error } = await query
+      .order(column, { ascending })
+      .order('id', { ascending })
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const flows = data.slice(0, limit);
+    const last = flows[flows.length - 1];
+    const nextCursor = data.length > limit ? encodeCursor({ sort: sortName, order }, last[column], last.id) : null;
+
+    return { success: true, flows, nextCursor };
+  } catch (error) {
+    console.error('Error fetching conversation flows:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get single conversation flow with details
+async function getConversationFlow(flowId) {
+  try {
+    const { data: flowData, error: flowError } = await supabase
+      .from('conversation_flows')
+      .select('*')
+      .eq('id', flowId)
+      .single();
+
+    if (flowError) throw flowError;
+
+    const { data: prompts, error: promptsError } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('flow_id', flowId);
+
+    if (promptsError) throw promptsError;
+
+    const { data: audioFiles, error: audioError } = await supabase
+      .from('audio_files')
+      .select('*')
+      .eq('flow_id', flowId);
+
+    if (audioError) throw audioError;
+
+    return {
+      success: true,
+      flow: {
+        ...flowData,
+        prompts,
+        audioFiles: await signAudioFiles(audioFiles)
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching conversation flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Save an immutable snapshot of a conversation_flows row as its next version
+async function createFlowVersion(flow, { author, changeNote } = {}) {
+  const { data: latest, error: latestError } = await supabase
+    .from('flow_versions')
+    .select('version')
+    .eq('flow_id', flow.id)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (latestError) throw latestError;
+
+  const { data, error } = await supabase
+    .from('flow_versions')
+    .insert({
+      flow_id: flow.id,
+      version: (latest?.[0]?.version || 0) + 1,
+      author: author || 'anonymous',
+      change_note: changeNote || null,
+      name: flow.name,
+      description: flow.description,
+      campaign: flow.campaign || null,
+      tags: flow.tags || [],
+      flow_data: flow.flow_data,
+      mermaid_diagram: flow.mermaid_diagram
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Update a flow's name, description and/or flow data, recording the result as a new version.
+// When flow data changes the prompts rows are replaced to match its nodes.
+async function updateConversationFlow(flowId, { name, description, campaign, tags, flowData, mermaidDiagram, author, changeNote } = {}) {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('conversation_flows')
+      .select('*')
+      .eq('id', flowId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+      throw fetchError;
+    }
+    // Trashed flows can only be restored or purged
+    if (existing.deleted_at) {
+      return { success: false, trashed: true, error: 'Flow is in the trash; restore it first' };
+    }
+
+    // Flows created before versioning get their current state as version 1
+    const { count, error: countError } = await supabase
+      .from('flow_versions')
+      .select('id', { count: 'exact', head: true })
+      .eq('flow_id', flowId);
+
+    if (countError) throw countError;
+    if (!count) {
+      await createFlowVersion(existing, { author: 'system', changeNote: 'State before first edit' });
+    }
+
+    const changes = { updated_at: new Date().toISOString() };
+    if (name !== undefined) changes.name = name;
+    if (description !== undefined) changes.description = description;
+    if (campaign !== undefined) changes.campaign = campaign?.trim() || null;
+    if (tags !== undefined) changes.tags = normalizeTags(tags);
+
+    if (flowData) {
+      changes.flow_data = flowData;
+      changes.mermaid_diagram = mermaidDiagram;
+      changes.metadata = {
+        ...existing.metadata,
+        node_count: flowData.nodes?.length || 0,
+        edge_count: flowData.edges?.length || 0
+      };
+    }
+    Object.assign(changes, buildFlowIndexColumns({ ...existing, ...changes }));
+
+    const { data, error } = await supabase
+      .from('conversation_flows')
+      .update(changes)
+      .eq('id', flowId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Keep the prompts table in sync with the nodes
+    if (flowData) {
+      const { error: deleteError } = await supabase
+        .from('prompts')
+        .delete()
+        .eq('flow_id', flowId);
+
+      if (deleteError) throw deleteError;
+
+      const prompts = buildPromptRows(flowId, flowData);
+      if (prompts.length > 0) {
+        const { error: insertError } = await supabase.from('prompts').insert(prompts);
+        if (insertError) throw insertError;
+      }
+    }
+
+    const version = await createFlowVersion(data, { author, changeNote });
+
+    return { success: true, flow: data, version: version.version };
+  } catch (error) {
+    console.error('Error updating conversation flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// List a flow's versions, newest first (without the flow data itself)
+async function getFlowVersions(flowId) {
+  try {
+    const { data, error } = await supabase
+      .from('flow_versions')
+      .select('id, flow_id, version, created_at, author, change_note, name, description, campaign, tags')
+      .eq('flow_id', flowId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, versions: data };
+  } catch (error) {
+    console.error('Error fetching flow versions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Values redacted from a flow's transcriptions, one row per transcription:
+// [{ transcriptIndex, filename, entities: [{ type, value, utteranceIndex, offset }] }].
+// pii_originals has no RLS policies, so only this server's service role key reaches it.
+async function storePiiOriginals(flowId, transcripts) {
+  try {
+    const { error } = await supabase
+      .from('pii_originals')
+      .insert(transcripts.map(transcript => ({
+        flow_id: flowId,
+        transcript_index: transcript.transcriptIndex,
+        filename: transcript.filename || null,
+        entities: transcript.entities
+      })));
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error storing redacted values:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getPiiOriginals(flowId) {
+  try {
+    const { data, error } = await supabase
+      .from('pii_originals')
+      .select('*')
+      .eq('flow_id', flowId)
+      .order('transcript_index', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, originals: data };
+  } catch (error) {
+    console.error('Error fetching redacted values:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get one version of a flow with its full snapshot
+async function getFlowVersion(flowId, version) {
+  try {
+    const { data, error } = await supabase
+      .from('flow_versions')
+      .select('*')
+      .eq('flow_id', flowId)
+      .eq('version', version)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return { success: false, notFound: true, error: `Version ${version} not found` };
+      }
+      throw error;
+    }
+    return { success: true, version: data };
+  } catch (error) {
+    console.error('Error fetching flow version:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Set or clear deleted_at. Soft-deleted flows sit in the trash until restored or purged.
+async function setFlowDeleted(flowId, deleted) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_flows')
+      .update({ deleted_at: deleted ? new Date().toISOString() : null })
+      .eq('id', flowId)
+      .select('id, name, deleted_at')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+      throw error;
+    }
+    return { success: true, flow: data };
+  } catch (error) {
+    console.error(`Error ${deleted ? 'deleting' : 'restoring'} conversation flow:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function softDeleteConversationFlow(flowId) {
+  return setFlowDeleted(flowId, true);
+}
+
+async function restoreConversationFlow(flowId) {
+  return setFlowDeleted(flowId, false);
+}
+
+// List every object stored under a flow's prefix in the audio bucket
+async function listFlowStorageObjects(flowId) {
+  const paths = [];
+  const pageSize = 100;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase.storage
+      .from('audio-files')
+      .list(flowId, { limit: pageSize, offset });
+
+    if (error) throw error;
+    paths.push(...(data || []).map(object => `${flowId}/${object.name}`));
+    if (!data || data.length < pageSize) break;
+  }
+
+  return paths;
+}
+
+// Permanently remove a flow: its stored audio objects, audio_files and prompts rows,
+// versions and the flow row itself
+async function purgeConversationFlow(flowId) {
+  try {
+    const { data: flow, error: fetchError } = await supabase
+      .from('conversation_flows')
+      .select('id')
+      .eq('id', flowId)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return { success: false, notFound: true, error: 'Flow not found' };
+      }
+      throw fetchError;
+    }
+
+    const objectPaths = await listFlowStorageObjects(flow.id);
+    if (objectPaths.length > 0) {
+      const { error: storageError } = await supabase.storage
+        .from('audio-files')
+        .remove(objectPaths);
+
+      if (storageError) throw storageError;
+    }
+
+    // Child rows are removed explicitly rather than relying on ON DELETE CASCADE
+    for (const table of ['prompts', 'audio_files', 'flow_versions', 'pii_originals']) {
+      const { error } = await supabase.from(table).delete().eq('flow_id', flowId);
+      if (error) throw error;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('conversation_flows')
+      .delete()
+      .eq('id', flowId);
+
+    if (deleteError) throw deleteError;
+
+    return { success: true, removedObjects: objectPaths.length };
+  } catch (error) {
+    console.error('Error purging conversation flow:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Create storage bucket if it doesn't exist
+async function ensureStorageBucket() {
+  try {
+    const { data: buckets } = await supabase.storage.listBuckets();
+    const bucket = buckets?.find(b => b.name === 'audio-files');
+
+    // Recordings are only reachable through signed URLs (see signAudioFiles)
+    if (!bucket) {
+      const { error } = await supabase.storage.createBucket('audio-files', {
+        public: false,
+        fileSizeLimit: 52428800 // 50MB
+      });
+
+      if (error && !error.message.includes('already exists')) {
+        throw error;
+      }
+    } else if (bucket.public) {
+      const { error } = await supabase.storage.updateBucket('audio-files', { public: false });
+      if (error) throw error;
+      console.log('Made the audio-files bucket private');
+    }
+    return true;
+  } catch (error) {
+    console.error('Error ensuring storage bucket:', error);
+    return false;
+  }
+}
+
+function createSupabaseStorage() {
+  const missing = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Supabase storage needs ${missing.join(' and ')}. Set them, or STORAGE_BACKEND=local for a local database`);
+  }
+
+  // Service role key for server-side operations
+  supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+  return {
+    name: 'supabase',
+    storeConversationFlow,
+    uploadAudioFile,
+    getConversationFlows,
+    getConversationFlow,
+    updateConversationFlow,
+    getFlowVersions,
+    getFlowVersion,
+    softDeleteConversationFlow,
+    restoreConversationFlow,
+    purgeConversationFlow,
+    storePiiOriginals,
+    getPiiOriginals,
+    ensureStorageBucket,
+    ...createSupabaseAccounts(supabase)
+  };
+}
+
+module.exports = {
+  createSupabaseStorage
+};
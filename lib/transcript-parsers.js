@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Parsers for already-transcribed calls. Every parser produces the same
+// { filename, text, utterances, language } shape as the transcription providers,
+// with utterance start/end in milliseconds when the format has timestamps.
+
+const TRANSCRIPT_EXTENSIONS = ['.txt', '.srt', '.vtt', '.json'];
+
+// "Agent: hello", "Speaker A: hi", "[Customer] ok" (labels of up to three words)
+const SPEAKER_PREFIX = /^\s*(?:\[([^\]]{1,40})\]\s*:?|([A-Za-zÀ-ÿ][\wÀ-ÿ.'-]*(?: [\wÀ-ÿ.'-]+){0,2})\s*:)\s+(.*)$/;
+
+// 00:00:01,000 --> 00:00:04,500 (SRT) or 00:01.000 --> 00:04.500 (WebVTT)
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+function isTranscriptFile(file) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  return TRANSCRIPT_EXTENSIONS.includes(extension);
+}
+
+function parseTimestamp(value) {
+  const [clock, fraction = '0'] = value.replace(',', '.').split('.');
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds * 1000 + Math.round(Number(`0.${fraction}`) * 1000);
+}
+
+function splitSpeaker(line) {
+  const match = line.match(SPEAKER_PREFIX);
+  if (!match) return { speaker: null, text: line.trim() };
+  return { speaker: (match[1] || match[2]).trim(), text: match[3].trim() };
+}
+
+// Very small heuristic, enough to tell our Spanish and English campaigns apart
+function detectLanguage(text) {
+  const spanish = (text.match(/\b(el|la|los|las|que|de|usted|señor|señora|gracias|por|para|pago)\b/gi) || []).length;
+  const english = (text.match(/\b(the|and|you|your|is|are|to|of|thank|for|payment)\b/gi) || []).length;
+  return spanish > english ? 'es' : 'en';
+}
+
+// Merge consecutive lines from the same speaker into one utterance
+function pushUtterance(utterances, speaker, text, start, end) {
+  if (!text) return;
+
+  const previous = utterances[utterances.length - 1];
+  if (previous && (!speaker || previous.speaker === speaker)) {
+    previous.text = `${previous.text} ${text}`;
+    if (end !== undefined) previous.end = end;
+    return;
+  }
+
+  const utterance = { speaker: speaker || 'Unknown', text };
+  if (start !== undefined) utterance.start = start;
+  if (end !== undefined) utterance.end = end;
+  utterances.push(utterance);
+}
+
+// Plain text with "Agent:" / "Customer:" style prefixes
+function parsePlainText(content) {
+  const utterances = [];
+
+  content.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const { speaker, text } = splitSpeaker(line);
+    pushUtterance(utterances, speaker, text);
+  });
+
+  return utterances;
+}
+
+// SRT and WebVTT cues. Speakers come from a WebVTT <v Name> tag or a text prefix.
+function parseCaptions(content) {
+  const utterances = [];
+  const blocks = content.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+
+  blocks.forEach(block => {
+    const lines = block.split(/\r?\n/).filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => CUE_TIMING.test(line));
+    if (timingIndex === -1) return; // WEBVTT header, NOTE or STYLE blocks
+
+    const [, startValue, endValue] = lines[timingIndex].match(CUE_TIMING);
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+
+    lines.slice(timingIndex + 1).forEach(line => {
+      const voice = line.match(/^<v(?:\.[^\s>]+)?\s+([^>]+)>(.*?)(?:<\/v>)?$/);
+      const { speaker, text } = voice
+        ? { speaker: voice[1].trim(), text: voice[2].trim() }
+        : splitSpeaker(line);
+
+      pushUtterance(utterances, speaker, text.replace(/<[^>]+>/g, '').trim(), start, end);
+    });
+  });
+
+  return utterances;
+}
+
+// AssemblyAI transcript JSON, a bare utterance array, or our own transcription shape
+function parseUtteranceJson(content) {
+  const data = JSON.parse(content);
+  const rawUtterances = Array.isArray(data) ? data : data.utterances;
+
+  if (!Array.isArray(rawUtterances)) {
+    throw new Error('JSON transcript must be an utterance array or an object with an "utterances" array');
+  }
+
+  const utterances = rawUtterances
+    .filter(utterance => utterance && typeof utterance.text === 'string')
+    .map(utterance => {
+      const parsed = { speaker: String(utterance.speaker ?? 'Unknown'), text: utterance.text.trim() };
+      if (typeof utterance.start === 'number') parsed.start = utterance.start;
+      if (typeof utterance.end === 'number') parsed.end = utterance.end;
+      return parsed;
+    });
+
+  return {
+    utterances,
+    text: Array.isArray(data) ? null : data.text,
+    language: Array.isArray(data) ? null : (data.language_code || data.language)
+  };
+}
+
+async function parseTranscriptFile(file, { language } = {}) {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const content = await fs.readFile(file.path, 'utf8');
+
+  let parsed;
+  let format;
+  if (extension === '.json') {
+    format = 'json';
+    parsed = parseUtteranceJson(content);
+  } else if (extension === '.srt' || extension === '.vtt' || /^\uFEFF?WEBVTT/.test(content)) {
+    format = extension === '.srt' ? 'srt' : 'vtt';
+    parsed = { utterances: parseCaptions(content) };
+  } else {
+    format = 'txt';
+    parsed = { utterances: parsePlainText(content) };
+  }
+
+  if (parsed.utterances.length === 0) {
+    throw new Error(`No utterances found in transcript ${file.originalname}`);
+  }
+
+  const text = parsed.text || parsed.utterances.map(u => u.text).join(' ');
+
+  return {
+    filename: file.originalname,
+    text,
+    utterances: parsed.utterances,
+    language: language || parsed.language || detectLanguage(text),
+    format
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_EXTENSIONS,
+  isTranscriptFile,
+  parseTranscriptFile
+};
@@ -0,0 +1,80 @@
+const { AssemblyAI } = require('assemblyai');
+
+// Transcription through the AssemblyAI API (speaker diarization + language detection)
+function createAssemblyAIProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ASSEMBLYAI_API_KEY;
+
+  const client = new AssemblyAI({
+    apiKey: apiKey || 'dummy_key_for_development'
+  });
+
+  async function transcribe(file, { onStage } = {}) {
+    if (!apiKey || apiKey === 'your_assemblyai_api_key_here') {
+      throw new Error('AssemblyAI API key is not configured. Please set ASSEMBLYAI_API_KEY in your .env file');
+    }
+
+    onStage?.('uploading');
+
+    let uploadUrl;
+    try {
+      // First, upload the file to AssemblyAI
+      console.log('Uploading to AssemblyAI...');
+      const uploadResponse = await client.files.upload(file.path);
+      console.log('Upload response:', uploadResponse);
+
+      // The upload response should have an upload_url property
+      uploadUrl = uploadResponse.upload_url || uploadResponse;
+
+      if (!uploadUrl) {
+        throw new Error('No upload URL received from AssemblyAI');
+      }
+
+      console.log('File uploaded successfully, URL:', uploadUrl);
+    } catch (uploadError) {
+      console.error('AssemblyAI upload error:', uploadError);
+      throw new Error(`Failed to upload file to AssemblyAI: ${uploadError.message}`);
+    }
+
+    onStage?.('transcribing');
+
+    const transcriptData = {
+      audio_url: uploadUrl,  // Use the uploaded URL
+      speaker_labels: true,
+      speakers_expected: 2,
+      language_detection: true
+    };
+
+    console.log('Creating transcript with data:', transcriptData);
+    const transcript = await client.transcripts.transcribe(transcriptData);
+
+    // Poll for completion
+    let completedTranscript = transcript;
+    while (completedTranscript.status !== 'completed' && completedTranscript.status !== 'error') {
+      console.log('Transcript status:', completedTranscript.status);
+      await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
+      completedTranscript = await client.transcripts.get(transcript.id);
+    }
+
+    if (completedTranscript.status === 'error') {
+      console.error('Transcription error:', completedTranscript.error);
+      throw new Error(`Transcription failed: ${completedTranscript.error}`);
+    }
+
+    console.log('Transcript completed');
+    console.log('Utterances count:', completedTranscript.utterances?.length || 0);
+
+    return {
+      filename: file.originalname,
+      text: completedTranscript.text,
+      utterances: completedTranscript.utterances || [],
+      language: completedTranscript.language_code || 'en'
+    };
+  }
+
+  return {
+    name: 'assemblyai',
+    transcribe
+  };
+}
+
+module.exports = { createAssemblyAIProvider };
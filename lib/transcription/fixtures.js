@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Offline stand-in that reads pre-made transcripts from disk.
+// For an upload named "call-1.mp3" it loads "call-1.json" from the fixtures
+// directory, falling back to "default.json". Files may hold either our own
+// {text, utterances, language} shape or a raw AssemblyAI transcript.
+function createFixtureProvider(options = {}) {
+  const fixturesDir = options.fixturesDir || process.env.TRANSCRIPT_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'transcripts');
+
+  async function readFixture(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(fixturesDir, name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Invalid transcript fixture ${name}: ${error.message}`);
+    }
+  }
+
+  async function transcribe(file, { onStage } = {}) {
+    onStage?.('transcribing');
+
+    const baseName = path.parse(file.originalname).name;
+    const fixture = await readFixture(`${baseName}.json`) || await readFixture('default.json');
+
+    if (!fixture) {
+      throw new Error(`No transcript fixture found for ${file.originalname} in ${fixturesDir}`);
+    }
+
+    const utterances = fixture.utterances || [];
+
+    return {
+      filename: file.originalname,
+      text: fixture.text || utterances.map(u => u.text).join(' '),
+      utterances,
+      language: fixture.language || fixture.language_code || 'en'
+    };
+  }
+
+  return {
+    name: 'fixtures',
+    transcribe
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,26 @@
+const { createAssemblyAIProvider } = require('./assemblyai');
+const { createWhisperProvider } = require('./whisper');
+const { createFixtureProvider } = require('./fixtures');
+
+// Every provider exposes transcribe(file, { onStage }) and resolves to
+// { filename, text, utterances, language }. onStage is called with
+// 'uploading' / 'transcribing' so callers can report progress.
+const providers = {
+  assemblyai: createAssemblyAIProvider,
+  whisper: createWhisperProvider,
+  fixtures: createFixtureProvider
+};
+
+function createTranscriptionProvider(name = process.env.TRANSCRIPTION_PROVIDER || 'assemblyai', options = {}) {
+  const factory = providers[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown transcription provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createTranscriptionProvider
+};
@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+
+// Whisper reports languages by name, the rest of the app uses ISO codes
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  portuguese: 'pt',
+  french: 'fr',
+  german: 'de',
+  italian: 'it'
+};
+
+// Transcription through a local Whisper server exposing the OpenAI-compatible
+// POST /v1/audio/transcriptions endpoint (faster-whisper-server, whisper.cpp, LocalAI, ...)
+function createWhisperProvider(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.WHISPER_API_URL || 'http://localhost:8000/v1').replace(/\/+$/, '');
+  const model = options.model || process.env.WHISPER_MODEL || 'whisper-1';
+  const apiKey = options.apiKey || process.env.WHISPER_API_KEY;
+
+  async function transcribe(file, { onStage } = {}) {
+    onStage?.('uploading');
+
+    const fileBuffer = await fs.readFile(file.path);
+    const form = new FormData();
+    form.append('file', new Blob([fileBuffer], { type: file.mimetype }), file.originalname);
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+
+    onStage?.('transcribing');
+    console.log(`Sending ${file.originalname} to Whisper server at ${baseUrl}...`);
+
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: form
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Whisper transcription failed (${response.status}): ${errorText.substring(0, 200)}`);
+    }
+
+    const result = await response.json();
+    const language = (result.language || 'en').toLowerCase();
+
+    // Whisper has no diarization, so every segment is attributed to one speaker
+    // and analyzeConversationFlow infers the turns from content
+    const utterances = (result.segments || []).map(segment => ({
+      speaker: 'A',
+      text: segment.text.trim(),
+      start: Math.round(segment.start * 1000),
+      end: Math.round(segment.end * 1000)
+    }));
+
+    console.log('Whisper transcript completed, segments:', utterances.length);
+
+    return {
+      filename: file.originalname,
+      text: (result.text || '').trim(),
+      utterances,
+      language: LANGUAGE_CODES[language] || language
+    };
+  }
+
+  return {
+    name: 'whisper',
+    transcribe
+  };
+}
+
+module.exports = { createWhisperProvider };
@@ -1,78 +1,269 @@
 let selectedFiles = [];
 let currentFlowData = null;
 
-mermaid.initialize({
-    startOnLoad: true,
-    theme: 'base',
-    flowchart: {
-        useMaxWidth: true,
-        htmlLabels: true,
-        curve: 'basis',
-        rankSpacing: 80,
-        nodeSpacing: 80,
-        padding: 20,
-        defaultRenderer: 'dagre'
-    },
-    themeVariables: {
-        // Core theme settings
-        darkMode: false,
-        background: '#ffffff',
-        fontFamily: 'Inter, -apple-system, BlinkMacSystemFont, sans-serif',
-        fontSize: '14px',
-
-        // Primary colors for main elements
-        primaryColor: '#ffffff',
-        primaryTextColor: '#1e293b',
-        primaryBorderColor: '#2563eb',
-
-        // Secondary colors for alternate elements
-        secondaryColor: '#dbeafe',
-        secondaryTextColor: '#1e40af',
-        secondaryBorderColor: '#3b82f6',
-
-        // Tertiary colors for special elements
-        tertiaryColor: '#fef3c7',
-        tertiaryTextColor: '#92400e',
-        tertiaryBorderColor: '#f59e0b',
-
-        // Main background and text
-        mainBkg: '#ffffff',
-        textColor: '#1e293b',
-        lineColor: '#6b7280',
-
-        // Flowchart specific variables
-        nodeBorder: '#2563eb',
-        clusterBkg: '#f3f4f6',
-        clusterBorder: '#d1d5db',
-        defaultLinkColor: '#6b7280',
-        titleColor: '#111827',
-        edgeLabelBackground: '#ffffff',
-        nodeTextColor: '#1e293b',
-
-        // For different node types (used by classDef)
-        classText: '#1e293b',
-
-        // User journey / fill types (for different node categories)
-        fillType0: '#ffffff',  // Default
-        fillType1: '#dbeafe',  // Greeting
-        fillType2: '#fef3c7',  // Verification
-        fillType3: '#f3e8ff',  // Decision
-        fillType4: '#d1fae5',  // Success
-        fillType5: '#fee2e2',  // Failure
-        fillType6: '#e0e7ff',  // Farewell
-        fillType7: '#f9fafb',  // Other
-
-        // Note colors (for annotations)
-        noteBkgColor: '#fef3c7',
-        noteTextColor: '#92400e',
-        noteBorderColor: '#f59e0b',
-
-        // Error colors
-        errorBkgColor: '#fee2e2',
-        errorTextColor: '#991b1b'
+// Signed-in user, their workspaces and the current one ({ user, workspaces, workspace })
+let account = null;
+const signInDialog = document.getElementById('signInDialog');
+let setupMode = false;
+let resolveSignIn = null;
+
+// Resolves once someone is signed in; everything else on the page waits for it
+const authReady = new Promise(resolve => { resolveSignIn = resolve; });
+
+async function loadAccount() {
+    const response = await fetch('/api/auth/me');
+    const data = await response.json();
+
+    if (!data.success) {
+        setupMode = !!data.setupRequired;
+        document.getElementById('signInTitle').textContent = setupMode ? 'Create admin account' : 'Sign in';
+        document.getElementById('signInSubmit').textContent = setupMode ? 'Create account' : 'Sign in';
+        document.getElementById('setupHint').hidden = !setupMode;
+        document.getElementById('setupFields').hidden = !setupMode;
+        document.getElementById('signInPassword').autocomplete = setupMode ? 'new-password' : 'current-password';
+        if (!signInDialog.open) signInDialog.showModal();
+        return;
+    }
+
+    account = data;
+    renderAccountBar();
+    if (signInDialog.open) signInDialog.close();
+    resolveSignIn();
+}
+
+function canEdit() {
+    return ['editor', 'admin'].includes(account?.workspace?.role);
+}
+
+function renderAccountBar() {
+    const select = document.getElementById('workspaceSelect');
+    select.innerHTML = account.workspaces.map(workspace =>
+        `<option value="${escapeHtml(workspace.id)}">${escapeHtml(workspace.name)}</option>`
+    ).join('');
+    select.value = account.workspace?.id || '';
+    document.getElementById('accountRole').textContent = account.workspace?.role || 'no workspace';
+    document.getElementById('accountEmail').textContent = account.user?.email || 'API key';
+    document.getElementById('manageWorkspaceBtn').hidden = account.workspace?.role !== 'admin';
+    document.getElementById('accountBar').hidden = false;
+
+    // Viewers can browse and export flows but not upload or import them
+    document.querySelector('.upload-section').style.display = canEdit() ? '' : 'none';
+    document.getElementById('importFlowBtn').style.display = canEdit() ? '' : 'none';
+}
+
+document.getElementById('signInForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const error = document.getElementById('signInError');
+    error.textContent = '';
+
+    const body = {
+        email: document.getElementById('signInEmail').value,
+        password: document.getElementById('signInPassword').value
+    };
+    if (setupMode) {
+        body.name = document.getElementById('setupName').value;
+        body.workspaceName = document.getElementById('setupWorkspace').value;
+    }
+
+    try {
+        const response = await fetch(setupMode ? '/api/auth/setup' : '/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.validationErrors?.join('; ') || data.error);
+        }
+        document.getElementById('signInPassword').value = '';
+        await loadAccount();
+    } catch (err) {
+        error.textContent = err.message;
+    }
+});
+
+// Nothing works signed out, so the dialog only closes by signing in
+signInDialog.addEventListener('cancel', (e) => e.preventDefault());
+
+// Switching workspace starts the page over, so no flow from the old one stays open
+document.getElementById('workspaceSelect').addEventListener('change', async (e) => {
+    const response = await fetch('/api/auth/workspace', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workspaceId: e.target.value })
+    });
+    const data = await response.json();
+    if (!data.success) {
+        alert(`Could not switch workspace: ${data.error}`);
+        e.target.value = account.workspace?.id || '';
+        return;
+    }
+    window.location.reload();
+});
+
+document.getElementById('signOutBtn').addEventListener('click', async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.reload();
+});
+
+loadAccount().catch(error => {
+    console.error('Error loading account:', error);
+    document.getElementById('signInError').textContent = `Could not reach the server: ${error.message}`;
+    signInDialog.showModal();
+});
+
+// Members and API keys of the current workspace, for admins
+const workspaceDialog = document.getElementById('workspaceDialog');
+
+async function workspaceRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.validationErrors?.join('; ') || data.error);
+    }
+    return data;
+}
+
+function roleOptions(selected) {
+    return ['viewer', 'editor', 'admin'].map(role =>
+        `<option value="${role}" ${role === selected ? 'selected' : ''}>${role[0].toUpperCase()}${role.slice(1)}</option>`
+    ).join('');
+}
+
+async function loadWorkspaceDialog() {
+    const error = document.getElementById('workspaceError');
+    error.textContent = '';
+    document.getElementById('workspaceDialogTitle').textContent = account.workspace.name;
+
+    try {
+        const [{ members }, { apiKeys }] = await Promise.all([
+            workspaceRequest('/api/workspace/members'),
+            workspaceRequest('/api/workspace/api-keys')
+        ]);
+
+        document.getElementById('memberList').innerHTML = members.map(member => `
+            <div class="workspace-row">
+                <span>${escapeHtml(member.name || member.email)} <small>${escapeHtml(member.email)}</small></span>
+                <select data-member="${escapeHtml(member.user_id)}" aria-label="Role">${roleOptions(member.role)}</select>
+                <button type="button" class="flow-action danger" data-remove-member="${escapeHtml(member.user_id)}">Remove</button>
+            </div>
+        `).join('');
+
+        document.getElementById('apiKeyList').innerHTML = apiKeys.map(apiKey => `
+            <div class="workspace-row">
+                <span>${escapeHtml(apiKey.name)} <small>${escapeHtml(apiKey.key_prefix)}… · ${escapeHtml(apiKey.role)}
+                    · ${apiKey.revoked_at ? 'revoked' : (apiKey.last_used_at ? `last used ${new Date(apiKey.last_used_at).toLocaleString()}` : 'never used')}</small></span>
+                ${apiKey.revoked_at ? '' : `<button type="button" class="flow-action danger" data-revoke-key="${escapeHtml(apiKey.id)}">Revoke</button>`}
+            </div>
+        `).join('') || '<div class="workspace-row"><small>No API keys yet</small></div>';
+    } catch (err) {
+        error.textContent = err.message;
+    }
+}
+
+document.getElementById('manageWorkspaceBtn').addEventListener('click', async () => {
+    document.getElementById('newApiKey').hidden = true;
+    await loadWorkspaceDialog();
+    workspaceDialog.showModal();
+});
+
+document.getElementById('closeWorkspaceDialog').addEventListener('click', () => workspaceDialog.close());
+
+document.getElementById('memberList').addEventListener('change', async (e) => {
+    const userId = e.target.dataset.member;
+    if (!userId) return;
+    try {
+        await workspaceRequest(`/api/workspace/members/${encodeURIComponent(userId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ role: e.target.value })
+        });
+    } catch (err) {
+        document.getElementById('workspaceError').textContent = err.message;
+    }
+    await loadWorkspaceDialog();
+});
+
+document.getElementById('memberList').addEventListener('click', async (e) => {
+    const userId = e.target.dataset.removeMember;
+    if (!userId || !confirm('Remove this member from the workspace?')) return;
+    try {
+        await workspaceRequest(`/api/workspace/members/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+        await loadWorkspaceDialog();
+    } catch (err) {
+        document.getElementById('workspaceError').textContent = err.message;
+    }
+});
+
+document.getElementById('addMemberForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        await workspaceRequest('/api/workspace/members', {
+            method: 'POST',
+            body: JSON.stringify({
+                email: document.getElementById('memberEmail').value,
+                role: document.getElementById('memberRole').value,
+                password: document.getElementById('memberPassword').value || undefined
+            })
+        });
+        e.target.reset();
+        await loadWorkspaceDialog();
+    } catch (err) {
+        document.getElementById('workspaceError').textContent = err.message;
+    }
+});
+
+document.getElementById('apiKeyList').addEventListener('click', async (e) => {
+    const keyId = e.target.dataset.revokeKey;
+    if (!keyId || !confirm('Revoke this API key? Scripts using it stop working.')) return;
+    try {
+        await workspaceRequest(`/api/workspace/api-keys/${encodeURIComponent(keyId)}`, { method: 'DELETE' });
+        await loadWorkspaceDialog();
+    } catch (err) {
+        document.getElementById('workspaceError').textContent = err.message;
+    }
+});
+
+document.getElementById('addApiKeyForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const { key } = await workspaceRequest('/api/workspace/api-keys', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('apiKeyName').value,
+                role: document.getElementById('apiKeyRole').value
+            })
+        });
+        e.target.reset();
+        const newKey = document.getElementById('newApiKey');
+        newKey.textContent = `Copy this key now, it is not shown again: ${key}`;
+        newKey.hidden = false;
+        await loadWorkspaceDialog();
+    } catch (err) {
+        document.getElementById('workspaceError').textContent = err.message;
     }
 });
 
+// The Mermaid theme lives in lib/mermaid-theme.js so the page and server-rendered
+// images match. Diagrams render once it has loaded.
+const mermaidConfigReady = authReady
+    .then(() => fetch('/api/mermaid-config'))
+    .then(response => response.json())
+    .then(data => {
+        const select = document.getElementById('diagramTheme');
+        select.innerHTML = data.themes.map(theme =>
+            `<option value="${theme.id}">${escapeHtml(theme.label)}</option>`
+        ).join('');
+        select.value = data.theme;
+        return data.config;
+    })
+    .catch(error => {
+        console.error('Error loading Mermaid config:', error);
+        return {};
+    });
+
 const uploadArea = document.getElementById('uploadArea');
 const fileInput = document.getElementById('fileInput');
 const browseBtn = document.getElementById('browseBtn');
@@ -83,7 +274,9 @@ const loading = document.getElementById('loading');
 const viewSavedBtn = document.getElementById('viewSavedBtn');
 const savedFlowsSection = document.getElementById('savedFlowsSection');
 const closeSavedFlows = document.getElementById('closeSavedFlows');
-const savedFlowsList = document.getElementById('savedFlowsList');
+const savedFlowsItems = document.getElementById('savedFlowsItems');
+const flowFilters = document.getElementById('flowFilters');
+const loadMoreFlows = document.getElementById('loadMoreFlows');
 
 uploadArea.addEventListener('click', () => fileInput.click());
 browseBtn.addEventListener('click', (e) => {
@@ -110,11 +303,19 @@ fileInput.addEventListener('change', (e) => {
     handleFiles(e.target.files);
 });
 
+// Already-transcribed calls are accepted alongside audio
+const transcriptExtensions = ['.txt', '.srt', '.vtt', '.json'];
+
+function isTranscriptFile(file) {
+    const name = file.name.toLowerCase();
+    return transcriptExtensions.some(extension => name.endsWith(extension));
+}
+
 function handleFiles(files) {
-    const audioFiles = Array.from(files).filter(file => file.type.startsWith('audio/'));
+    const audioFiles = Array.from(files).filter(file => file.type.startsWith('audio/') || isTranscriptFile(file));
 
     if (audioFiles.length === 0) {
-        alert('Please select audio files only');
+        alert('Please select audio files or transcripts (TXT, SRT, VTT, JSON) only');
         return;
     }
 
@@ -144,7 +345,7 @@ function updateFileList() {
         const fileItem = document.createElement('div');
         fileItem.className = 'file-item';
         fileItem.innerHTML = `
-            <span>${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)</span>
+            <span>${escapeHtml(file.name)} (${(file.size / 1024 / 1024).toFixed(2)} MB)</span>
             <button class="remove-file" data-index="${index}">Remove</button>
         `;
         fileList.appendChild(fileItem);
@@ -176,7 +377,17 @@ const steveJobsQuotes = [
 ];
 
 let quoteInterval;
-let progressInterval;
+
+// Loading stage element for each job stage reported by the server
+const jobStageElements = {
+    uploading: 'stage-upload',
+    transcribing: 'stage-transcribe',
+    redacting: 'stage-redact',
+    assigning_roles: 'stage-roles',
+    analyzing: 'stage-analyze',
+    storing: 'stage-store'
+};
+const jobStageOrder = Object.keys(jobStageElements);
 
 function getRandomQuote() {
     return steveJobsQuotes[Math.floor(Math.random() * steveJobsQuotes.length)];
@@ -218,30 +429,182 @@ function startLoadingAnimations() {
         }, 4000);
     }
 
-    // Simulate progress stages
     updateLoadingStage('stage-upload', 'active');
     updateProgress(0);
-
-    let progress = 0;
-    progressInterval = setInterval(() => {
-        progress += Math.random() * 15;
-        if (progress > 95) progress = 95; // Don't complete until actual processing is done
-        updateProgress(Math.floor(progress));
-    }, 1000);
 }
 
 function stopLoadingAnimations() {
     if (quoteInterval) clearInterval(quoteInterval);
-    if (progressInterval) clearInterval(progressInterval);
 
     // Mark all stages as completed
-    updateLoadingStage('stage-upload', 'completed');
-    updateLoadingStage('stage-transcribe', 'completed');
-    updateLoadingStage('stage-analyze', 'completed');
-    updateLoadingStage('stage-generate', 'completed');
+    Object.values(jobStageElements).forEach(stageId => updateLoadingStage(stageId, 'completed'));
     updateProgress(100);
 }
 
+// Reflect a job update from the server in the loading screen
+function applyJobProgress(job) {
+    const currentIndex = jobStageOrder.indexOf(job.stage);
+    if (currentIndex !== -1) {
+        jobStageOrder.forEach((stage, index) => {
+            if (index < currentIndex) {
+                updateLoadingStage(jobStageElements[stage], 'completed');
+            } else if (index === currentIndex) {
+                updateLoadingStage(jobStageElements[stage], 'active');
+            }
+        });
+    }
+
+    const stageText = document.querySelector(`#${jobStageElements.transcribing} .stage-text`);
+    if (stageText && job.files.length > 1) {
+        const done = job.files.filter(file => file.status === 'completed').length;
+        stageText.textContent = `Transcribing conversations (${done}/${job.files.length})...`;
+    }
+
+    const analyzeText = document.querySelector(`#${jobStageElements.analyzing} .stage-text`);
+    if (analyzeText && job.stage === 'analyzing' && job.stageProgress?.total > 1) {
+        analyzeText.textContent = `Analyzing call ${job.stageProgress.current} of ${job.stageProgress.total}...`;
+    }
+
+    updateProgress(job.progress);
+}
+
+// Follow a job over Server-Sent Events, falling back to polling if the stream drops.
+// Servers that run jobs inline (serverless hosts) answer with the job already finished.
+function waitForJob(job, onProgress = applyJobProgress) {
+    if (job.status === 'completed' || job.status === 'failed') {
+        return Promise.resolve(job);
+    }
+    const jobId = job.id;
+
+    return new Promise((resolve) => {
+        const events = new EventSource(`/api/jobs/${jobId}/events`);
+
+        const finish = (job) => {
+            events.close();
+            resolve(job);
+        };
+
+        events.addEventListener('progress', (e) => onProgress(JSON.parse(e.data)));
+        events.addEventListener('completed', (e) => finish(JSON.parse(e.data)));
+        events.addEventListener('failed', (e) => finish(JSON.parse(e.data)));
+
+        events.onerror = () => {
+            events.close();
+            pollJob(jobId, onProgress).then(resolve);
+        };
+    });
+}
+
+async function pollJob(jobId, onProgress = applyJobProgress) {
+    while (true) {
+        try {
+            const response = await fetch(`/api/jobs/${jobId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                return { status: 'failed', error: data.error || 'Job not found' };
+            }
+
+            if (data.job.status === 'completed' || data.job.status === 'failed') {
+                return data.job;
+            }
+            onProgress(data.job);
+        } catch (error) {
+            console.error('Error polling job:', error);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+}
+
+// Speaker roles as the server names them (lib/speaker-roles.js)
+const SPEAKER_ROLE_LABELS = {
+    agent: 'Agent',
+    customer: 'Customer',
+    ivr: 'IVR',
+    third_party: 'Third party'
+};
+const ROLE_SOURCE_LABELS = { llm: 'model', heuristic: 'patterns', user: 'you' };
+
+const speakerRolesDialog = document.getElementById('speakerRolesDialog');
+let speakerRolesJobId = null;
+
+// Show the speaker roles of an upload job paused for review, one role picker per speaker
+function openSpeakerRolesReview(job) {
+    if (speakerRolesDialog.open && speakerRolesJobId === job.id) return;
+    speakerRolesJobId = job.id;
+
+    const list = document.getElementById('speakerRolesList');
+    list.innerHTML = '';
+    document.getElementById('speakerRolesError').textContent = '';
+
+    job.input.transcripts.forEach(transcript => {
+        const section = document.createElement('fieldset');
+        section.className = 'speaker-roles-transcript';
+        const legend = document.createElement('legend');
+        legend.textContent = transcript.filename;
+        section.appendChild(legend);
+
+        transcript.speakers.forEach(speaker => {
+            const row = document.createElement('div');
+            row.className = 'speaker-role-row';
+            row.innerHTML = `
+                <label>
+                    <span>Speaker ${escapeHtml(speaker.speaker)}</span>
+                    <select></select>
+                </label>
+                <span class="speaker-role-confidence">${Math.round(speaker.confidence * 100)}% · ${ROLE_SOURCE_LABELS[speaker.source] || escapeHtml(speaker.source)}</span>
+                <ul class="speaker-role-samples"></ul>
+            `;
+
+            const select = row.querySelector('select');
+            select.dataset.speaker = speaker.speaker;
+            Object.entries(SPEAKER_ROLE_LABELS).forEach(([role, label]) => {
+                select.add(new Option(label, role, false, role === speaker.role));
+            });
+
+            const samples = row.querySelector('.speaker-role-samples');
+            speaker.samples.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                samples.appendChild(item);
+            });
+
+            section.appendChild(row);
+        });
+
+        list.appendChild(section);
+    });
+
+    speakerRolesDialog.showModal();
+}
+
+document.getElementById('speakerRolesForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const error = document.getElementById('speakerRolesError');
+    const transcripts = [...document.querySelectorAll('#speakerRolesList .speaker-roles-transcript')].map(section => ({
+        speakers: Object.fromEntries([...section.querySelectorAll('select')].map(select => [select.dataset.speaker, select.value]))
+    }));
+
+    try {
+        const response = await fetch(`/api/jobs/${speakerRolesJobId}/speaker-roles`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ transcripts })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.validationErrors?.join('; ') || data.error);
+        }
+        speakerRolesDialog.close();
+    } catch (err) {
+        error.textContent = `Could not save speaker roles: ${err.message}`;
+    }
+});
+
+// The job waits for the roles, so the review can only be closed by confirming them
+speakerRolesDialog.addEventListener('cancel', (e) => e.preventDefault());
+
 processBtn.addEventListener('click', async () => {
     if (selectedFiles.length === 0) return;
 
@@ -259,6 +622,35 @@ processBtn.addEventListener('click', async () => {
         formData.append('audioFiles', file);
     });
 
+    // Optional model and transcript overrides, left empty to use the server defaults
+    const llmSettings = {
+        model: document.getElementById('llmModel').value.trim(),
+        temperature: document.getElementById('llmTemperature').value,
+        maxTokens: document.getElementById('llmMaxTokens').value,
+        fallbackModels: document.getElementById('llmFallbackModels').value.trim(),
+        language: document.getElementById('transcriptLanguage').value
+    };
+    Object.entries(llmSettings).forEach(([field, value]) => {
+        if (value !== '') formData.append(field, value);
+    });
+
+    // Flow details; the server asks the model for whatever name or summary is left empty
+    const flowDetails = {
+        name: document.getElementById('flowName').value.trim(),
+        description: document.getElementById('flowDescription').value.trim(),
+        campaign: document.getElementById('flowCampaign').value.trim(),
+        tags: document.getElementById('flowTags').value.trim()
+    };
+    Object.entries(flowDetails).forEach(([field, value]) => {
+        if (value !== '') formData.append(field, value);
+    });
+    if (!document.getElementById('suggestDetails').checked) {
+        formData.append('suggestDetails', 'false');
+    }
+    if (document.getElementById('reviewSpeakerRoles').checked) {
+        formData.append('reviewSpeakerRoles', 'true');
+    }
+
     loading.style.display = 'flex';
     processBtn.disabled = true;
 
@@ -266,23 +658,11 @@ processBtn.addEventListener('click', async () => {
     startLoadingAnimations();
 
     try {
-        // Update stage to uploading
-        setTimeout(() => {
-            updateLoadingStage('stage-upload', 'completed');
-            updateLoadingStage('stage-transcribe', 'active');
-            updateProgress(25);
-        }, 2000);
-
         const response = await fetch('/api/upload', {
             method: 'POST',
             body: formData
         });
 
-        // Update stage to analyzing
-        updateLoadingStage('stage-transcribe', 'completed');
-        updateLoadingStage('stage-analyze', 'active');
-        updateProgress(50);
-
         // Check if response is OK before trying to parse JSON
         if (!response.ok) {
             const errorText = await response.text();
@@ -300,24 +680,36 @@ processBtn.addEventListener('click', async () => {
             return;
         }
 
-        // Update stage to generating
-        updateLoadingStage('stage-analyze', 'completed');
-        updateLoadingStage('stage-generate', 'active');
-        updateProgress(75);
-
         const data = await response.json();
 
-        if (data.success) {
-            // Complete all stages
+        if (!data.success) {
             stopLoadingAnimations();
+            alert('Error: ' + data.error);
+            return;
+        }
 
-            currentFlowData = data;
-            displayResults(data);
+        const job = await waitForJob(data.job, (update) => {
+            applyJobProgress(update);
+            if (update.status === 'awaiting_input' && update.input?.type === 'speaker_roles') {
+                openSpeakerRolesReview(update);
+            } else if (speakerRolesDialog.open) {
+                // The review timed out on the server and analysis went on with the suggested roles
+                speakerRolesDialog.close();
+            }
+        });
+        speakerRolesDialog.close();
+        stopLoadingAnimations();
+
+        if (job.status === 'completed') {
+            currentFlowData = { success: true, ...job.result };
+            displayResults(currentFlowData);
             resultsSection.style.display = 'block';
             resultsSection.scrollIntoView({ behavior: 'smooth' });
+        } else if (job.errorCode === 'FLOW_VALIDATION_FAILED') {
+            const problems = job.errorDetails?.validationErrors || [];
+            alert('Error: ' + job.error + (problems.length ? '\n\n' + problems.join('\n') : ''));
         } else {
-            stopLoadingAnimations();
-            alert('Error: ' + data.error);
+            alert('Error: ' + job.error);
         }
     } catch (error) {
         console.error('Error details:', error);
@@ -328,7 +720,7 @@ processBtn.addEventListener('click', async () => {
         processBtn.disabled = false;
 
         // Reset stages for next use
-        ['stage-upload', 'stage-transcribe', 'stage-analyze', 'stage-generate'].forEach(stageId => {
+        Object.values(jobStageElements).forEach(stageId => {
             const stage = document.getElementById(stageId);
             if (stage) {
                 stage.classList.remove('active', 'completed');
@@ -336,17 +728,159 @@ processBtn.addEventListener('click', async () => {
                 if (statusSpan) statusSpan.textContent = '⏳';
             }
         });
+        const stageText = document.querySelector(`#${jobStageElements.transcribing} .stage-text`);
+        if (stageText) stageText.textContent = 'Transcribing conversations...';
+        const analyzeText = document.querySelector(`#${jobStageElements.analyzing} .stage-text`);
+        if (analyzeText) analyzeText.textContent = 'Analyzing with AI...';
     }
 });
 
 function displayResults(data) {
+    // Flows saved before language variants: same fallback as storedFlowData on the server
+    if (!data.flowData.language) {
+        data.flowData.language = transcriptLanguage(data.transcriptions || []);
+    }
+    document.getElementById('translateStatus').textContent = '';
+    setFlowEditorActive(false);
+    displayFlowDetails(data.details, data.flowId);
+    displayProblems(data.lint);
+    displayExportReport(null);
+    document.getElementById('systemPromptStatus').textContent = '';
+    resetSimulation();
+    displayCoverage(null);
+    if (document.getElementById('simulatorTab').style.display !== 'none') {
+        startSimulation();
+    }
     displayDiagram(data.flowData.mermaidDiagram);
     displayPrompts(data.flowData);
-    displayTranscript(data.transcriptions);
+    displayTranscript(data.transcriptions, data.audioFiles);
+    document.getElementById('transcriptDiagram').innerHTML = '';
+    transcriptView.diagramRendered = false;
+    if (document.getElementById('transcriptTab').style.display !== 'none') {
+        renderTranscriptDiagram();
+    }
+    linkTranscriptNodes();
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+function renderTags(campaign, tags, { clickable = false } = {}) {
+    const tag = clickable ? 'button type="button"' : 'span';
+    const close = clickable ? 'button' : 'span';
+    return [
+        campaign ? `<${tag} class="flow-tag campaign" data-campaign="${escapeHtml(campaign)}">${escapeHtml(campaign)}</${close}>` : '',
+        ...(tags || []).map(name => `<${tag} class="flow-tag" data-tag="${escapeHtml(name)}">#${escapeHtml(name)}</${close}>`)
+    ].join('');
+}
+
+// Name, description, campaign and tags above the results, editable once the flow is saved
+function displayFlowDetails(details, flowId) {
+    const container = document.getElementById('flowDetails');
+    if (!details) {
+        container.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('flowDetailsName').textContent = details.name;
+    document.getElementById('flowDetailsDescription').textContent = details.description || '';
+    document.getElementById('flowDetailsTags').innerHTML = renderTags(details.campaign, details.tags);
+    document.getElementById('editFlowDetails').style.display = flowId ? '' : 'none';
+    container.style.display = 'flex';
+}
+
+const flowDetailsDialog = document.getElementById('flowDetailsDialog');
+let editingFlowId = null;
+
+function openFlowDetailsDialog(flowId, details) {
+    editingFlowId = flowId;
+    document.getElementById('editFlowName').value = details.name || '';
+    document.getElementById('editFlowDescription').value = details.description || '';
+    document.getElementById('editFlowCampaign').value = details.campaign || '';
+    document.getElementById('editFlowTags').value = (details.tags || []).join(', ');
+    flowDetailsDialog.showModal();
+}
+
+document.getElementById('editFlowDetails').addEventListener('click', () => {
+    if (currentFlowData?.flowId && currentFlowData.details) {
+        openFlowDetailsDialog(currentFlowData.flowId, currentFlowData.details);
+    }
+});
+
+document.getElementById('cancelFlowDetails').addEventListener('click', () => flowDetailsDialog.close());
+
+document.getElementById('flowDetailsForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const saveButton = document.getElementById('saveFlowDetails');
+    saveButton.disabled = true;
+
+    try {
+        const response = await fetch(`/api/flows/${editingFlowId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('editFlowName').value.trim(),
+                description: document.getElementById('editFlowDescription').value.trim(),
+                campaign: document.getElementById('editFlowCampaign').value.trim() || null,
+                tags: document.getElementById('editFlowTags').value,
+                changeNote: 'Edited flow details'
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert('Error: ' + data.error);
+            return;
+        }
+
+        const { name, description, campaign, tags } = data.flow;
+        if (currentFlowData?.flowId === editingFlowId) {
+            currentFlowData.details = { name, description, campaign, tags };
+            displayFlowDetails(currentFlowData.details, editingFlowId);
+        }
+        flowDetailsDialog.close();
+
+        if (savedFlowsSection.style.display !== 'none') {
+            await loadSavedFlows();
+        }
+    } catch (error) {
+        console.error('Error saving flow details:', error);
+        alert('Error: ' + error.message);
+    } finally {
+        saveButton.disabled = false;
+    }
+});
+
+// Structural diagnostics reported by the server-side flow linter
+function displayProblems(lint) {
+    const panel = document.getElementById('problemsPanel');
+    const summary = document.getElementById('problemsSummary');
+    const list = document.getElementById('problemsList');
+
+    if (!lint || lint.diagnostics.length === 0) {
+        panel.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    summary.textContent = `Problems: ${lint.errorCount} error(s), ${lint.warningCount} warning(s)`;
+    list.innerHTML = lint.diagnostics.map(diagnostic => `
+        <li class="problem problem-${diagnostic.severity}">
+            <span class="problem-severity">${diagnostic.severity}</span>
+            <span class="problem-message">${escapeHtml(diagnostic.message)}</span>
+            <span class="problem-code">${escapeHtml(diagnostic.code)}</span>
+        </li>
+    `).join('');
+
+    panel.open = lint.errorCount > 0;
+    panel.style.display = 'block';
 }
 
-async function displayDiagram(mermaidCode) {
-    const container = document.getElementById('mermaidDiagram');
+async function displayDiagram(mermaidCode, containerId = 'mermaidDiagram') {
+    const container = document.getElementById(containerId);
     container.innerHTML = '';
 
     // Log the diagram for debugging
@@ -363,27 +897,9 @@ async function displayDiagram(mermaidCode) {
         graphDiv.textContent = mermaidCode;
         container.appendChild(graphDiv);
 
-        // Re-initialize mermaid with monochrome settings
-        await mermaid.initialize({
-            startOnLoad: true,
-            theme: 'neutral',
-            flowchart: {
-                useMaxWidth: true,
-                htmlLabels: true,
-                curve: 'linear',
-                padding: 15
-            },
-            themeVariables: {
-                primaryColor: '#ffffff',
-                primaryTextColor: '#000000',
-                primaryBorderColor: '#000000',
-                lineColor: '#333333',
-                background: '#ffffff',
-                mainBkg: '#ffffff',
-                secondaryColor: '#f8f8f8',
-                tertiaryColor: '#eeeeee'
-            }
-        });
+        // Re-initialize mermaid with the shared theme
+        const mermaidConfig = await mermaidConfigReady;
+        await mermaid.initialize({ startOnLoad: true, ...mermaidConfig });
 
         await mermaid.run({
             querySelector: `#${diagramId}`,
@@ -415,8 +931,8 @@ async function displayDiagram(mermaidCode) {
                     </p>
                     <details style="margin-top: 30px; text-align: left; background: #f8fafc; padding: 20px; border-radius: 8px;">
                         <summary style="cursor: pointer; color: #667eea; font-weight: 600;">Technical Details</summary>
-                        <pre style="margin-top: 10px; overflow-x: auto; font-size: 0.8rem; color: #475569;">${mermaidCode}</pre>
-                        <pre style="color: #ef4444; font-size: 0.8rem; margin-top: 10px;">${error.message || error}</pre>
+                        <pre style="margin-top: 10px; overflow-x: auto; font-size: 0.8rem; color: #475569;">${escapeHtml(mermaidCode)}</pre>
+                        <pre style="color: #ef4444; font-size: 0.8rem; margin-top: 10px;">${escapeHtml(error.message || error)}</pre>
                     </details>
                 </div>
             `;
@@ -424,7 +940,71 @@ async function displayDiagram(mermaidCode) {
     }
 }
 
+// Language variants, as in lib/flow-languages.js: node fields are in flowData.language
+// and node.translations / flowData.translations hold the other languages
+const promptLanguage = document.getElementById('promptLanguage');
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function languageName(code) {
+    try {
+        return languageNames.of(code) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+function transcriptLanguage(transcriptions) {
+    const codes = transcriptions.map(t => String(t.language || '').replace('_', '-')).filter(Boolean);
+    const counts = codes.reduce((map, code) => map.set(code, (map.get(code) || 0) + 1), new Map());
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 'en';
+}
+
+function flowLanguages(flowData) {
+    const languages = new Set([flowData.language || 'en', ...Object.keys(flowData.translations || {})]);
+    flowData.nodes.forEach(node => Object.keys(node.translations || {}).forEach(language => languages.add(language)));
+    return [...languages];
+}
+
+// The flow in one language; base text stays wherever a variant lacks a field
+function localizeFlow(flowData, language) {
+    const { translations = {}, ...flow } = flowData;
+    const isBase = !language || language === (flowData.language || 'en');
+
+    return {
+        ...flow,
+        ...(isBase ? {} : translations[language]),
+        language: isBase ? flowData.language || 'en' : language,
+        nodes: flowData.nodes.map(({ translations: nodeTranslations = {}, ...node }) => (
+            isBase ? node : { ...node, ...nodeTranslations[language] }
+        ))
+    };
+}
+
+// The flow in the language picked on the prompts tab, for display and exports
+function promptsFlow() {
+    return localizeFlow(currentFlowData.flowData, promptLanguage.value);
+}
+
+function displayPromptLanguages(flowData) {
+    const languages = flowLanguages(flowData);
+    const selected = languages.includes(promptLanguage.value) ? promptLanguage.value : languages[0];
+
+    promptLanguage.innerHTML = languages.map(language =>
+        `<option value="${escapeHtml(language)}">${escapeHtml(languageName(language))}${language === languages[0] ? ' (original)' : ''}</option>`
+    ).join('');
+    promptLanguage.value = selected;
+
+    // Translations are saved as new versions, so only saved flows can be translated
+    const canTranslate = Boolean(currentFlowData?.flowId);
+    document.getElementById('translateLanguage').disabled = !canTranslate;
+    document.getElementById('translateFlow').disabled = !canTranslate;
+}
+
+// Show the flow's prompts in the language picked on the prompts tab
 function displayPrompts(flowData) {
+    displayPromptLanguages(flowData);
+    flowData = localizeFlow(flowData, promptLanguage.value);
+
     const container = document.getElementById('promptsContainer');
     container.innerHTML = '';
 
@@ -434,7 +1014,7 @@ function displayPrompts(flowData) {
         globalCard.className = 'prompt-card global-instructions';
         globalCard.innerHTML = `
             <h4>🎯 Global Agent Instructions</h4>
-            <div class="prompt-text">${flowData.globalInstructions}</div>
+            <div class="prompt-text">${escapeHtml(flowData.globalInstructions)}</div>
         `;
         container.appendChild(globalCard);
     }
@@ -445,7 +1025,7 @@ function displayPrompts(flowData) {
         errorCard.className = 'prompt-card error-handling';
         errorCard.innerHTML = `
             <h4>⚠️ Error Handling</h4>
-            <div class="prompt-text">${flowData.errorHandling}</div>
+            <div class="prompt-text">${escapeHtml(flowData.errorHandling)}</div>
         `;
         container.appendChild(errorCard);
     }
@@ -468,7 +1048,7 @@ function displayPrompts(flowData) {
                     <strong>Next Actions:</strong>
                     <ul>
                         ${Object.entries(nextActions).map(([condition, target]) =>
-                            `<li>${condition} → ${target}</li>`
+                            `<li>${escapeHtml(condition)} → ${escapeHtml(target)}</li>`
                         ).join('')}
                     </ul>
                 </div>
@@ -480,7 +1060,7 @@ function displayPrompts(flowData) {
             examplesHtml = `
                 <div class="examples">
                     <strong>Example Phrases:</strong>
-                    <ul>${examples.map(ex => `<li>"${ex}"</li>`).join('')}</ul>
+                    <ul>${examples.map(ex => `<li>"${escapeHtml(ex)}"</li>`).join('')}</ul>
                 </div>
             `;
         }
@@ -490,54 +1070,209 @@ function displayPrompts(flowData) {
             listenForHtml = `
                 <div class="listen-for">
                     <strong>Listen For:</strong>
-                    <ul>${listenFor.map(kw => `<li>${kw}</li>`).join('')}</ul>
+                    <ul>${listenFor.map(kw => `<li>${escapeHtml(kw)}</li>`).join('')}</ul>
                 </div>
             `;
         }
 
         promptCard.innerHTML = `
             <div class="prompt-header">
-                <h4>Step ${index + 1}: ${node.content || node.id}</h4>
-                <span class="node-type">${node.type || 'action'}</span>
-                <span class="speaker-badge">${node.speaker || 'agent'}</span>
+                <h4>Step ${index + 1}: ${escapeHtml(node.content || node.id)}</h4>
+                <span class="node-type">${escapeHtml(node.type || 'action')}</span>
+                <span class="speaker-badge">${escapeHtml(node.speaker || 'agent')}</span>
+                ${flowData.callCount > 1 && node.callCount ? `<span class="speaker-badge">${escapeHtml(node.callCount)}/${escapeHtml(flowData.callCount)} calls</span>` : ''}
             </div>
-            <div class="prompt-text">${fullPrompt}</div>
+            <div class="prompt-text">${escapeHtml(fullPrompt)}</div>
             ${examplesHtml}
             ${listenForHtml}
             ${nextActionsHtml}
-            ${node.timeout ? `<div class="timeout"><strong>Timeout:</strong> ${node.timeout} seconds</div>` : ''}
-            ${node.retryPrompt ? `<div class="retry"><strong>Retry:</strong> "${node.retryPrompt}"</div>` : ''}
+            ${node.timeout ? `<div class="timeout"><strong>Timeout:</strong> ${escapeHtml(node.timeout)} seconds</div>` : ''}
+            ${node.retryPrompt ? `<div class="retry"><strong>Retry:</strong> "${escapeHtml(node.retryPrompt)}"</div>` : ''}
         `;
 
         container.appendChild(promptCard);
     });
 }
 
-function displayTranscript(transcriptions) {
+promptLanguage.addEventListener('change', () => {
+    if (currentFlowData) displayPrompts(currentFlowData.flowData);
+});
+
+// Add a language variant of the saved flow, translated by the model on the server
+document.getElementById('translateFlow').addEventListener('click', async () => {
+    const language = document.getElementById('translateLanguage').value;
+    const status = document.getElementById('translateStatus');
+    if (!currentFlowData?.flowId || !language) return;
+
+    const button = document.getElementById('translateFlow');
+    button.disabled = true;
+    status.textContent = `Translating into ${languageName(language)}...`;
+
+    try {
+        const response = await fetch(`/api/flows/${currentFlowData.flowId}/translations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ language })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.validationErrors ? data.validationErrors.join('\n') : data.error);
+        }
+
+        currentFlowData.flowData = data.flow.flow_data;
+        currentFlowData.lint = data.lint;
+        displayProblems(data.lint);
+        // Show the new variant: list it first, then select it
+        displayPromptLanguages(currentFlowData.flowData);
+        promptLanguage.value = language;
+        displayPrompts(currentFlowData.flowData);
+        status.textContent = `Added ${languageName(language)} (version ${data.version})`;
+    } catch (error) {
+        console.error('Error translating flow:', error);
+        status.textContent = `Translation failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+});
+
+// Transcript view: one audio player per recording. Clicking a timed utterance seeks
+// to it, and during playback the current utterance and its flow node are highlighted.
+const transcriptView = { diagramRendered: false };
+
+// Recordings are stored under their upload name; uploaded transcripts have no audio
+function findAudioFile(audioFiles, filename) {
+    return [...(audioFiles || [])].reverse().find(file => file.file_name === filename);
+}
+
+function displayTranscript(transcriptions, audioFiles = []) {
     const container = document.getElementById('transcriptContainer');
     container.innerHTML = '';
 
-    transcriptions.forEach(transcript => {
+    transcriptions.forEach((transcript, transcriptIndex) => {
         const section = document.createElement('div');
+        section.className = 'transcript';
+        section.dataset.transcriptIndex = transcriptIndex;
         const langBadge = transcript.language === 'es' ? '🇪🇸 Spanish' : '🇬🇧 English';
         section.innerHTML = `
-            <h3>${transcript.filename} <span style="font-size: 0.8em; color: #667eea;">${langBadge}</span></h3>
+            <h3>${escapeHtml(transcript.filename)} <span style="font-size: 0.8em; color: #667eea;">${langBadge}</span></h3>
         `;
 
-        transcript.utterances.forEach(utterance => {
+        const audio = findAudioFile(audioFiles, transcript.filename);
+        const timed = transcript.utterances.some(utterance => Number.isFinite(utterance.start));
+        let player = null;
+        if (audio && timed) {
+            player = document.createElement('audio');
+            player.className = 'transcript-audio';
+            player.controls = true;
+            player.preload = 'metadata';
+            player.src = audio.file_url;
+            section.appendChild(player);
+        }
+
+        transcript.utterances.forEach((utterance, index) => {
             const utteranceDiv = document.createElement('div');
             utteranceDiv.className = 'utterance';
+            utteranceDiv.dataset.index = index;
             utteranceDiv.innerHTML = `
-                <div class="speaker-label">Speaker ${utterance.speaker}</div>
-                <div>${utterance.text}</div>
+                <div class="speaker-label">${escapeHtml(speakerLabel(transcript, utterance.speaker))}</div>
+                <div>${escapeHtml(utterance.text)}</div>
             `;
+
+            if (player && Number.isFinite(utterance.start)) {
+                utteranceDiv.classList.add('seekable');
+                utteranceDiv.title = 'Play from here';
+                utteranceDiv.addEventListener('click', () => {
+                    player.currentTime = utterance.start / 1000;
+                    player.play();
+                });
+            }
             section.appendChild(utteranceDiv);
         });
 
+        if (player) {
+            player.addEventListener('timeupdate', () => highlightUtterance(section, transcript, player.currentTime * 1000));
+            // One recording at a time
+            player.addEventListener('play', () => {
+                container.querySelectorAll('audio').forEach(other => {
+                    if (other !== player) other.pause();
+                });
+            });
+        }
+
         container.appendChild(section);
     });
 }
 
+// "Agent · Speaker A" once the speaker has a role, otherwise "Speaker A"
+function speakerLabel(transcript, speaker) {
+    const role = transcript.speakerRoles?.[speaker]?.role;
+    return role ? `${SPEAKER_ROLE_LABELS[role] || role} · Speaker ${speaker}` : `Speaker ${speaker}`;
+}
+
+function highlightUtterance(section, transcript, ms) {
+    const index = transcript.utterances.findLastIndex(utterance => Number.isFinite(utterance.start) && utterance.start <= ms);
+    const current = section.querySelector('.utterance.playing');
+    const next = index === -1 ? null : section.querySelector(`.utterance[data-index="${index}"]`);
+    if (current === next) return;
+
+    current?.classList.remove('playing');
+    if (next) {
+        next.classList.add('playing');
+        next.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+    highlightFlowNode('transcriptDiagram', next?.dataset.nodeId || null);
+}
+
+// Link utterances to the nodes the coverage replay aligned them with. Each aligned
+// turn runs from its first utterance up to the next turn.
+async function linkTranscriptNodes() {
+    const flowId = currentFlowData?.flowId;
+    if (!flowId) return;
+
+    try {
+        const response = await fetch(`/api/flows/${flowId}/coverage`);
+        const report = await response.json();
+        if (!report.success || currentFlowData?.flowId !== flowId) return;
+
+        const nodes = new Map(currentFlowData.flowData.nodes.map(node => [node.id, node]));
+        report.transcripts.forEach((transcript, transcriptIndex) => {
+            const section = document.querySelector(`#transcriptContainer .transcript[data-transcript-index="${transcriptIndex}"]`);
+            if (!section) return;
+
+            const utterances = section.querySelectorAll('.utterance');
+            utterances.forEach(div => {
+                delete div.dataset.nodeId;
+                div.querySelector('.utterance-node')?.remove();
+            });
+
+            transcript.alignment.forEach((turn, turnIndex) => {
+                const node = nodes.get(turn.nodeId);
+                if (!node) return;
+                const end = transcript.alignment[turnIndex + 1]?.utteranceIndex ?? utterances.length;
+
+                for (let index = turn.utteranceIndex; index < end; index++) {
+                    utterances[index].dataset.nodeId = node.id;
+                }
+                const badge = document.createElement('span');
+                badge.className = 'utterance-node';
+                badge.textContent = `${turn.role === 'agent' ? '' : 'reply to '}${node.content}`;
+                utterances[turn.utteranceIndex].querySelector('.speaker-label').appendChild(badge);
+            });
+        });
+    } catch (error) {
+        console.warn('Could not link transcript to flow nodes:', error);
+    }
+}
+
+// Rendered once the tab is visible so Mermaid can size it
+async function renderTranscriptDiagram() {
+    transcriptView.diagramRendered = true;
+    await displayDiagram(currentFlowData.flowData.mermaidDiagram, 'transcriptDiagram');
+    const playing = document.querySelector('#transcriptContainer .utterance.playing');
+    highlightFlowNode('transcriptDiagram', playing?.dataset.nodeId || null);
+}
+
 document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', () => {
         document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
@@ -548,7 +1283,467 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
             content.style.display = 'none';
         });
         document.getElementById(`${tabName}Tab`).style.display = 'block';
+
+        // The simulator diagram is rendered once the tab is visible so Mermaid can size it
+        if (tabName === 'simulator' && currentFlowData && !simulation.state) {
+            startSimulation();
+        }
+        if (tabName === 'transcript' && currentFlowData && !transcriptView.diagramRendered) {
+            renderTranscriptDiagram();
+        }
+    });
+});
+
+// Visual editor: click a diagram node to edit it. Every change is saved to the stored
+// flow, and the response carries the regenerated diagram, prompts and lint.
+const flowEditor = { active: false, nodeId: null };
+const nodeEditorDialog = document.getElementById('nodeEditorDialog');
+
+function setFlowEditorActive(active) {
+    flowEditor.active = active;
+    document.getElementById('diagramContainer').classList.toggle('editing', active);
+    document.getElementById('toggleFlowEditor').textContent = active ? 'Done editing' : 'Edit flow';
+    document.getElementById('toggleFlowEditor').classList.toggle('primary', active);
+    document.getElementById('addFlowNode').style.display = active ? '' : 'none';
+    document.getElementById('flowEditorStatus').textContent = active ? 'Click a node to edit it' : '';
+}
+
+function splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function toNodeId(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'node';
+}
+
+function addRouteRow(route = {}, nodes = currentFlowData.flowData.nodes) {
+    const row = document.createElement('div');
+    row.className = 'node-editor-route';
+    row.innerHTML = `
+        <input type="text" class="route-action" placeholder="Action, e.g. confirmed" value="${escapeHtml(route.action || '')}" aria-label="Action">
+        <select class="route-target" aria-label="Target node">
+            ${nodes.map(node => `<option value="${escapeHtml(node.id)}">${escapeHtml(node.content || node.id)}</option>`).join('')}
+        </select>
+        <input type="text" class="route-label" placeholder="Edge label" value="${escapeHtml(route.label || '')}" aria-label="Edge label">
+        <button type="button" class="flow-action" aria-label="Remove route">✕</button>
+    `;
+    if (route.target) row.querySelector('.route-target').value = route.target;
+    row.querySelector('button').addEventListener('click', () => row.remove());
+    document.getElementById('nodeEditorRoutes').appendChild(row);
+}
+
+function openNodeEditor(nodeId) {
+    const { flowData } = currentFlowData;
+    const node = flowData.nodes.find(candidate => candidate.id === nodeId)
+        || { id: '', type: 'main', speaker: 'agent', content: '', fullPrompt: '', nextActions: {} };
+    flowEditor.nodeId = nodeId;
+
+    document.getElementById('nodeEditorTitle').textContent = nodeId ? `Edit node ${nodeId}` : 'Add node';
+    // Other nodes point at this id, so it is only chosen for new nodes
+    document.getElementById('nodeEditorId').value = node.id;
+    document.getElementById('nodeEditorId').readOnly = Boolean(nodeId);
+    document.getElementById('nodeEditorType').value = node.type;
+    document.getElementById('nodeEditorSpeaker').value = node.speaker || 'agent';
+    document.getElementById('nodeEditorContent').value = node.content;
+    document.getElementById('nodeEditorPrompt').value = node.fullPrompt;
+    document.getElementById('nodeEditorExamples').value = (node.examples || []).join('\n');
+    document.getElementById('nodeEditorListenFor').value = (node.listenFor || []).join('\n');
+    document.getElementById('nodeEditorTimeout').value = node.timeout ?? '';
+    document.getElementById('nodeEditorRetry').value = node.retryPrompt || '';
+    document.getElementById('nodeEditorError').textContent = '';
+    document.getElementById('deleteFlowNode').style.display = nodeId ? '' : 'none';
+
+    document.getElementById('nodeEditorRoutes').innerHTML = '';
+    Object.entries(node.nextActions || {}).forEach(([action, target]) => {
+        const edge = flowData.edges.find(candidate => candidate.from === node.id && candidate.to === target);
+        addRouteRow({ action, target, label: edge?.condition });
+    });
+
+    nodeEditorDialog.showModal();
+}
+
+// Read the dialog into a node and its outgoing edges
+function readNodeEditor() {
+    const content = document.getElementById('nodeEditorContent').value.trim();
+    const node = {
+        id: document.getElementById('nodeEditorId').value.trim() || toNodeId(content),
+        type: document.getElementById('nodeEditorType').value.trim(),
+        speaker: document.getElementById('nodeEditorSpeaker').value,
+        content,
+        fullPrompt: document.getElementById('nodeEditorPrompt').value.trim(),
+        nextActions: {}
+    };
+
+    const examples = splitLines(document.getElementById('nodeEditorExamples').value);
+    const listenFor = splitLines(document.getElementById('nodeEditorListenFor').value);
+    const timeout = document.getElementById('nodeEditorTimeout').value;
+    const retryPrompt = document.getElementById('nodeEditorRetry').value.trim();
+    if (examples.length > 0) node.examples = examples;
+    if (listenFor.length > 0) node.listenFor = listenFor;
+    if (timeout !== '') node.timeout = Number(timeout);
+    if (retryPrompt) node.retryPrompt = retryPrompt;
+
+    const edges = [];
+    document.querySelectorAll('#nodeEditorRoutes .node-editor-route').forEach(row => {
+        const target = row.querySelector('.route-target').value;
+        const label = row.querySelector('.route-label').value.trim();
+        const action = row.querySelector('.route-action').value.trim() || toNodeId(label || target);
+        node.nextActions[action] = target;
+        if (!edges.some(edge => edge.to === target)) {
+            edges.push({ from: node.id, to: target, condition: label || action.replace(/_/g, ' ') });
+        }
+    });
+
+    return { node, edges };
+}
+
+// Fields the editor does not show (callCount and the like) survive an edit
+function pickExtraFields(node) {
+    const { id, type, speaker, content, fullPrompt, examples, listenFor, timeout, retryPrompt, nextActions, ...extra } = node;
+    return extra;
+}
+
+async function saveFlowEdit(flowData, changeNote) {
+    const response = await fetch(`/api/flows/${currentFlowData.flowId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ flowData, changeNote })
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+        throw new Error(data.validationErrors ? data.validationErrors.join('\n') : data.error);
+    }
+
+    currentFlowData.flowData = data.flow.flow_data;
+    currentFlowData.lint = data.lint;
+    displayProblems(data.lint);
+    displayPrompts(currentFlowData.flowData);
+    resetSimulation();
+    displayCoverage(null);
+    transcriptView.diagramRendered = false;
+    linkTranscriptNodes();
+    await displayDiagram(currentFlowData.flowData.mermaidDiagram);
+}
+
+document.getElementById('toggleFlowEditor').addEventListener('click', () => {
+    if (!currentFlowData?.flowId) {
+        document.getElementById('flowEditorStatus').textContent = 'Only saved flows can be edited';
+        return;
+    }
+    setFlowEditorActive(!flowEditor.active);
+});
+
+document.getElementById('addFlowNode').addEventListener('click', () => openNodeEditor(null));
+document.getElementById('addNodeRoute').addEventListener('click', () => addRouteRow());
+document.getElementById('cancelNodeEditor').addEventListener('click', () => nodeEditorDialog.close());
+
+// generateMermaidDiagram names nodes N<index>, which Mermaid renders as flowchart-N<index>-<n>
+document.getElementById('mermaidDiagram').addEventListener('click', (e) => {
+    if (!flowEditor.active) return;
+    const element = e.target.closest('[id^="flowchart-N"]');
+    const index = element ? Number(element.id.split('-')[1].slice(1)) : -1;
+    const node = currentFlowData.flowData.nodes[index];
+    if (node) openNodeEditor(node.id);
+});
+
+document.getElementById('nodeEditorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { node, edges } = readNodeEditor();
+    const { flowData } = currentFlowData;
+    const errorText = document.getElementById('nodeEditorError');
+
+    if (!flowEditor.nodeId && flowData.nodes.some(existing => existing.id === node.id)) {
+        errorText.textContent = `A node with ID "${node.id}" already exists`;
+        return;
+    }
+
+    // Keep counts and other edge fields where a route still points the same way
+    const previousEdges = flowData.edges.filter(edge => edge.from === node.id);
+    const nodeEdges = edges.map(edge => ({ ...previousEdges.find(previous => previous.to === edge.to), ...edge }));
+    const existing = flowData.nodes.find(candidate => candidate.id === node.id);
+    const updated = {
+        ...flowData,
+        nodes: existing
+            ? flowData.nodes.map(candidate => candidate.id === node.id ? { ...pickExtraFields(candidate), ...node } : candidate)
+            : [...flowData.nodes, node],
+        edges: [...flowData.edges.filter(edge => edge.from !== node.id), ...nodeEdges]
+    };
+    if (flowData.prompts) {
+        updated.prompts = { ...flowData.prompts, [node.id]: node.fullPrompt };
+    }
+
+    const saveButton = document.getElementById('saveNodeEditor');
+    saveButton.disabled = true;
+    try {
+        await saveFlowEdit(updated, existing ? `Edited node ${node.id}` : `Added node ${node.id}`);
+        nodeEditorDialog.close();
+    } catch (error) {
+        console.error('Error saving node:', error);
+        errorText.textContent = error.message;
+    } finally {
+        saveButton.disabled = false;
+    }
+});
+
+document.getElementById('deleteFlowNode').addEventListener('click', async () => {
+    const nodeId = flowEditor.nodeId;
+    if (!nodeId || !confirm(`Delete node "${nodeId}" and every route to it?`)) return;
+
+    const { flowData } = currentFlowData;
+    const updated = {
+        ...flowData,
+        nodes: flowData.nodes
+            .filter(node => node.id !== nodeId)
+            .map(node => ({
+                ...node,
+                nextActions: Object.fromEntries(Object.entries(node.nextActions || {}).filter(([, target]) => target !== nodeId))
+            })),
+        edges: flowData.edges.filter(edge => edge.from !== nodeId && edge.to !== nodeId)
+    };
+    if (flowData.prompts) {
+        const { [nodeId]: _removed, ...prompts } = flowData.prompts;
+        updated.prompts = prompts;
+    }
+
+    try {
+        await saveFlowEdit(updated, `Deleted node ${nodeId}`);
+        nodeEditorDialog.close();
+    } catch (error) {
+        console.error('Error deleting node:', error);
+        document.getElementById('nodeEditorError').textContent = error.message;
+    }
+});
+
+// Mark one node of a rendered diagram (null clears the mark)
+function highlightFlowNode(containerId, nodeId) {
+    const container = document.getElementById(containerId);
+    container.querySelectorAll('.flow-node-current').forEach(el => el.classList.remove('flow-node-current'));
+    if (!nodeId) return;
+
+    // generateMermaidDiagram names nodes N<index>, which Mermaid renders as flowchart-N<index>-<n>
+    const index = currentFlowData.flowData.nodes.findIndex(node => node.id === nodeId);
+    const element = index === -1 ? null : container.querySelector(`[id^="flowchart-N${index}-"]`);
+    if (element) element.classList.add('flow-node-current');
+}
+
+// Text simulator: walks the current flow turn by turn and highlights the active node
+const simulation = { state: null, busy: false };
+const simulatorLog = document.getElementById('simulatorLog');
+
+function resetSimulation() {
+    simulation.state = null;
+    simulatorLog.innerHTML = '';
+    document.getElementById('simulatorDiagram').innerHTML = '';
+    document.getElementById('simulatorReply').disabled = false;
+}
+
+function appendSimulatorMessages(messages, match) {
+    if (match) {
+        const note = document.createElement('div');
+        note.className = 'simulator-match';
+        const how = match.by === 'keyword' && match.phrase ? `matched "${match.phrase}"` : `matched by ${match.by}`;
+        note.textContent = `→ ${match.label} (${how})`;
+        simulatorLog.appendChild(note);
+    }
+
+    messages.forEach(message => {
+        const bubble = document.createElement('div');
+        bubble.className = `simulator-message ${message.speaker}`;
+        bubble.innerHTML = `<span class="speaker-label">${escapeHtml(message.speaker)}</span>${escapeHtml(message.text)}`;
+        simulatorLog.appendChild(bubble);
     });
+
+    simulatorLog.scrollTop = simulatorLog.scrollHeight;
+}
+
+
+async function sendSimulatorTurn(turn = {}) {
+    if (!currentFlowData || simulation.busy) return;
+    simulation.busy = true;
+
+    try {
+        const response = await fetch('/api/simulate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                flowData: currentFlowData.flowData,
+                state: simulation.state,
+                matcher: document.getElementById('simulatorMatcher').value,
+                ...turn
+            })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert('Error: ' + data.error);
+            return;
+        }
+
+        simulation.state = data.state;
+        appendSimulatorMessages(data.messages, data.match);
+        highlightFlowNode('simulatorDiagram', data.state.nodeId);
+
+        if (data.state.ended) {
+            const end = document.createElement('div');
+            end.className = 'simulator-match';
+            end.textContent = 'Conversation ended. Restart to try another path.';
+            simulatorLog.appendChild(end);
+        }
+        document.getElementById('simulatorReply').disabled = data.state.ended;
+    } catch (error) {
+        console.error('Simulator error:', error);
+        alert('Simulator error: ' + error.message);
+    } finally {
+        simulation.busy = false;
+    }
+}
+
+async function startSimulation() {
+    resetSimulation();
+    await displayDiagram(currentFlowData.flowData.mermaidDiagram, 'simulatorDiagram');
+    await sendSimulatorTurn();
+}
+
+document.getElementById('restartSimulation').addEventListener('click', () => {
+    if (currentFlowData) startSimulation();
+});
+
+document.getElementById('simulatorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('simulatorReply');
+    const reply = input.value.trim();
+    if (!reply || !simulation.state || simulation.state.ended) return;
+
+    input.value = '';
+    appendSimulatorMessages([{ speaker: 'customer', text: reply }]);
+    await sendSimulatorTurn({ reply });
+});
+
+document.getElementById('simulatorSilence').addEventListener('click', () => {
+    if (simulation.state && !simulation.state.ended) {
+        sendSimulatorTurn({ silence: true });
+    }
+});
+
+// Coverage: replay saved or newly uploaded calls against the flow
+function coverageItems(panelId, items, render) {
+    const panel = document.getElementById(panelId);
+    const summary = panel.querySelector('summary');
+    summary.textContent = `${summary.textContent.replace(/ \(\d+\)$/, '')} (${items.length})`;
+    panel.querySelector('ul').innerHTML = items.map(render).join('');
+    panel.style.display = items.length > 0 ? 'block' : 'none';
+}
+
+function displayCoverage(report) {
+    const container = document.getElementById('coverageReport');
+    if (!report) {
+        container.style.display = 'none';
+        document.getElementById('coverageStatus').textContent = '';
+        return;
+    }
+
+    document.getElementById('coveragePercent').textContent = report.coverage === null ? '—' : `${report.coverage}%`;
+    document.getElementById('coverageSummary').textContent = report.agentTurns > 0
+        ? `of agent turns match a node (${report.coveredAgentTurns}/${report.agentTurns} across ${report.transcripts.length} call(s))`
+        : 'No agent turns to replay';
+
+    document.getElementById('coverageTranscripts').innerHTML = report.transcripts.map(transcript => `
+        <li class="problem">
+            <span class="problem-message">${escapeHtml(transcript.filename)}</span>
+            <span class="problem-code">${transcript.skipped
+                ? escapeHtml(transcript.skipped)
+                : `${transcript.coverage ?? 0}% · ${transcript.fellThrough.length} fell through`}</span>
+        </li>
+    `).join('');
+
+    coverageItems('coverageFellThrough', report.fellThrough, entry => `
+        <li class="problem">
+            <span class="problem-message">"${escapeHtml(entry.text)}"</span>
+            <span class="problem-field">${escapeHtml(entry.nodeId)}</span>
+            <span class="problem-code">${escapeHtml(entry.filename)}</span>
+        </li>
+    `);
+    coverageItems('coverageUnusedNodes', report.unusedNodes, node => `
+        <li class="problem">
+            <span class="problem-message">${escapeHtml(node.content)}</span>
+            <span class="problem-field">${escapeHtml(node.id)}</span>
+        </li>
+    `);
+    coverageItems('coverageUnusedEdges', report.unusedEdges, edge => `
+        <li class="problem">
+            <span class="problem-message">${escapeHtml(edge.label)}</span>
+            <span class="problem-field">${escapeHtml(edge.from)} → ${escapeHtml(edge.to)}</span>
+        </li>
+    `);
+
+    container.style.display = 'block';
+}
+
+document.getElementById('checkStoredCoverage').addEventListener('click', async () => {
+    const status = document.getElementById('coverageStatus');
+    if (!currentFlowData?.flowId) {
+        status.textContent = 'Coverage needs a saved flow.';
+        return;
+    }
+    status.textContent = 'Replaying saved transcripts...';
+
+    try {
+        const response = await fetch(`/api/flows/${currentFlowData.flowId}/coverage`);
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        displayCoverage(data);
+        status.textContent = `Saved transcripts of ${currentFlowData.details?.name || 'this flow'}`;
+    } catch (error) {
+        console.error('Coverage error:', error);
+        status.textContent = `Coverage failed: ${error.message}`;
+    }
+});
+
+document.getElementById('checkNewCoverage').addEventListener('click', () => {
+    if (!currentFlowData?.flowId) {
+        document.getElementById('coverageStatus').textContent = 'Coverage needs a saved flow.';
+        return;
+    }
+    document.getElementById('coverageFileInput').click();
+});
+
+document.getElementById('coverageFileInput').addEventListener('change', async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0 || !currentFlowData?.flowId) return;
+
+    const status = document.getElementById('coverageStatus');
+    const formData = new FormData();
+    files.forEach(file => formData.append('audioFiles', file));
+    formData.append('language', document.getElementById('transcriptLanguage').value);
+    status.textContent = `Transcribing ${files.length} file(s)...`;
+
+    try {
+        const response = await fetch(`/api/flows/${currentFlowData.flowId}/coverage`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const job = await waitForJob(data.job, current => {
+            const done = current.files.filter(file => file.status === 'completed').length;
+            status.textContent = `Transcribing ${done}/${current.files.length} file(s)...`;
+        });
+        if (job.status !== 'completed') {
+            throw new Error(job.error || 'Coverage job failed');
+        }
+        displayCoverage(job.result.coverage);
+        status.textContent = `New calls: ${files.map(file => file.name).join(', ')}`;
+    } catch (error) {
+        console.error('Coverage error:', error);
+        status.textContent = `Coverage failed: ${error.message}`;
+    }
 });
 
 document.getElementById('exportDiagram').addEventListener('click', () => {
@@ -566,43 +1761,244 @@ document.getElementById('exportDiagram').addEventListener('click', () => {
 document.getElementById('exportPrompts').addEventListener('click', () => {
     if (!currentFlowData) return;
 
+    const flow = promptsFlow();
     const prompts = {
-        nodes: currentFlowData.flowData.nodes,
-        prompts: currentFlowData.flowData.prompts,
-        edges: currentFlowData.flowData.edges
+        language: flow.language,
+        nodes: flow.nodes,
+        prompts: flow.prompts,
+        edges: flow.edges,
+        globalInstructions: flow.globalInstructions,
+        errorHandling: flow.errorHandling
     };
 
     const blob = new Blob([JSON.stringify(prompts, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'voice-agent-prompts.json';
+    a.download = flowLanguages(currentFlowData.flowData).length > 1
+        ? `voice-agent-prompts.${flow.language}.json`
+        : 'voice-agent-prompts.json';
     a.click();
     URL.revokeObjectURL(url);
 });
 
-// PDF Export for Diagram
-document.getElementById('exportDiagramPDF').addEventListener('click', async () => {
+// Export to voice-agent platforms, listing whatever the target could not express
+async function loadExportTargets() {
+    const select = document.getElementById('exportTarget');
+
+    try {
+        const response = await fetch('/api/exporters');
+        const data = await response.json();
+        select.innerHTML = data.exporters.map(exporter =>
+            `<option value="${escapeHtml(exporter.id)}">${escapeHtml(exporter.label)}</option>`
+        ).join('');
+    } catch (error) {
+        console.error('Error loading export targets:', error);
+        document.querySelector('.platform-export').style.display = 'none';
+    }
+}
+
+function displayExportReport(result) {
+    const panel = document.getElementById('exportReport');
+    const list = document.getElementById('exportReportList');
+
+    if (!result || result.unsupported.length === 0) {
+        panel.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    document.getElementById('exportReportSummary').textContent =
+        `Not fully exported to ${result.label}: ${result.unsupported.length} item(s)`;
+    list.innerHTML = result.unsupported.map(entry => `
+        <li class="problem">
+            <span class="problem-severity">${escapeHtml(entry.kind)}</span>
+            <span class="problem-message">${entry.nodeId ? `<strong>${escapeHtml(entry.nodeId)}</strong>: ` : ''}${escapeHtml(entry.message)}</span>
+            <span class="problem-field">${escapeHtml(entry.field)}</span>
+        </li>
+    `).join('');
+
+    panel.open = true;
+    panel.style.display = 'block';
+}
+
+document.getElementById('exportPlatform').addEventListener('click', async () => {
     if (!currentFlowData) return;
 
-    const { jsPDF } = window.jspdf;
-    const diagramContainer = document.getElementById('mermaidDiagram');
+    const target = document.getElementById('exportTarget').value;
 
     try {
-        const canvas = await html2canvas(diagramContainer, {
-            scale: 2,
-            backgroundColor: '#ffffff'
+        const response = await fetch(`/api/export/${encodeURIComponent(target)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                flowData: currentFlowData.flowData,
+                name: currentFlowData.details?.name,
+                description: currentFlowData.details?.description,
+                language: promptLanguage.value
+            })
         });
+        const data = await response.json();
 
-        const imgData = canvas.toDataURL('image/png');
-        const pdf = new jsPDF({
-            orientation: 'landscape',
-            unit: 'px',
-            format: [canvas.width, canvas.height]
+        if (!data.success) {
+            alert('Error: ' + data.error);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(data.content, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = data.filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        displayExportReport(data);
+    } catch (error) {
+        console.error('Error exporting flow:', error);
+        alert('Error exporting flow: ' + error.message);
+    }
+});
+
+authReady.then(loadExportTargets);
+
+// Compile the flow into one system prompt for single-prompt realtime agents
+document.getElementById('exportSystemPrompt').addEventListener('click', async () => {
+    if (!currentFlowData) return;
+
+    const status = document.getElementById('systemPromptStatus');
+    const budget = document.getElementById('promptTokenBudget').value.trim();
+
+    try {
+        const response = await fetch('/api/compile-prompt', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                flowData: currentFlowData.flowData,
+                name: currentFlowData.details?.name,
+                maxTokens: budget ? Number(budget) : undefined,
+                language: promptLanguage.value
+            })
         });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert('Error: ' + data.error);
+            return;
+        }
+
+        const blob = new Blob([data.prompt], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = data.filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        status.textContent = data.withinBudget
+            ? `About ${data.tokens} tokens (${data.detail} detail)`
+            : `About ${data.tokens} tokens: over the ${data.maxTokens} token budget even at minimal detail`;
+    } catch (error) {
+        console.error('Error compiling system prompt:', error);
+        alert('Error compiling system prompt: ' + error.message);
+    }
+});
+
+// Server-rendered diagram images (GET /api/flows/:id/diagram.svg / .png)
+function diagramImageUrl(format, params = {}) {
+    const query = new URLSearchParams({ theme: document.getElementById('diagramTheme').value, ...params });
+    return `/api/flows/${currentFlowData.flowId}/diagram.${format}?${query}`;
+}
+
+async function downloadDiagramImage(format) {
+    const status = document.getElementById('diagramExportStatus');
+    if (!currentFlowData?.flowId) {
+        status.textContent = 'Image export needs a saved flow';
+        return;
+    }
+    status.textContent = `Rendering ${format.toUpperCase()}...`;
 
-        pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
-        pdf.save('conversation-flow-diagram.pdf');
+    try {
+        const response = await fetch(diagramImageUrl(format));
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Rendering failed (${response.status})`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `conversation-flow-diagram.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+        status.textContent = '';
+    } catch (error) {
+        console.error(`Error exporting ${format}:`, error);
+        status.textContent = `Export failed: ${error.message}`;
+    }
+}
+
+document.getElementById('exportDiagramSVG').addEventListener('click', () => downloadDiagramImage('svg'));
+document.getElementById('exportDiagramPNG').addEventListener('click', () => downloadDiagramImage('png'));
+
+// Vector PDF from the server-rendered SVG, so large flows stay sharp at any zoom
+async function exportVectorDiagramPDF() {
+    const response = await fetch(diagramImageUrl('svg'));
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Rendering failed (${response.status})`);
+    }
+
+    const svg = new DOMParser().parseFromString(await response.text(), 'image/svg+xml').documentElement;
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF({
+        orientation: width > height ? 'landscape' : 'portrait',
+        unit: 'pt',
+        format: [width, height]
+    });
+    await pdf.svg(svg, { x: 0, y: 0, width, height });
+    pdf.save('conversation-flow-diagram.pdf');
+}
+
+// Raster PDF of the on-screen diagram, for unsaved flows or when the server cannot render
+async function exportRasterDiagramPDF() {
+    const { jsPDF } = window.jspdf;
+    const diagramContainer = document.getElementById('mermaidDiagram');
+
+    const canvas = await html2canvas(diagramContainer, {
+        scale: 2,
+        backgroundColor: '#ffffff'
+    });
+
+    const imgData = canvas.toDataURL('image/png');
+    const pdf = new jsPDF({
+        orientation: 'landscape',
+        unit: 'px',
+        format: [canvas.width, canvas.height]
+    });
+
+    pdf.addImage(imgData, 'PNG', 0, 0, canvas.width, canvas.height);
+    pdf.save('conversation-flow-diagram.pdf');
+}
+
+// PDF Export for Diagram
+document.getElementById('exportDiagramPDF').addEventListener('click', async () => {
+    if (!currentFlowData) return;
+
+    if (currentFlowData.flowId && window.jspdf?.jsPDF.API.svg) {
+        try {
+            await exportVectorDiagramPDF();
+            return;
+        } catch (error) {
+            console.warn('Vector PDF export failed, using a screenshot instead:', error);
+        }
+    }
+
+    try {
+        await exportRasterDiagramPDF();
     } catch (error) {
         console.error('Error generating PDF:', error);
         alert('Error generating PDF. Please try again.');
@@ -626,8 +2022,9 @@ document.getElementById('exportPromptsPDF').addEventListener('click', () => {
     const pageHeight = pdf.internal.pageSize.height;
     const margin = 20;
 
-    // Add nodes and prompts
-    currentFlowData.flowData.nodes.forEach((node, index) => {
+    // Add nodes and prompts, in the language picked on the prompts tab
+    const flow = promptsFlow();
+    flow.nodes.forEach((node, index) => {
         // Check if we need a new page
         if (yPos > pageHeight - 40) {
             pdf.addPage();
@@ -656,7 +2053,7 @@ document.getElementById('exportPromptsPDF').addEventListener('click', () => {
         });
 
         // Prompt
-        const prompt = currentFlowData.flowData.prompts[node.id] || 'No prompt available';
+        const prompt = node.fullPrompt || flow.prompts?.[node.id] || 'No prompt available';
         const promptLines = pdf.splitTextToSize(`Prompt: ${prompt}`, pdf.internal.pageSize.width - 40);
         promptLines.forEach(line => {
             if (yPos > pageHeight - 20) {
@@ -689,7 +2086,45 @@ document.getElementById('exportPromptsPDF').addEventListener('click', () => {
     pdf.save('voice-agent-prompts.pdf');
 });
 
+// Import an edited Mermaid flowchart or exported JSON as a new saved flow
+const importFileInput = document.getElementById('importFileInput');
+
+document.getElementById('importFlowBtn').addEventListener('click', () => {
+    importFileInput.click();
+});
+
+importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const response = await fetch('/api/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: await file.text(), filename: file.name })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            const problems = data.validationErrors || [];
+            alert('Error: ' + data.error + (problems.length ? '\n\n' + problems.join('\n') : ''));
+            return;
+        }
+
+        await loadFlow(data.flowId);
+        if (data.warnings?.length) {
+            alert('Imported with notes:\n\n' + data.warnings.join('\n'));
+        }
+    } catch (error) {
+        console.error('Error importing flow:', error);
+        alert('Error importing flow: ' + error.message);
+    }
+});
+
 // Saved Flows functionality
+let showingTrash = false;
+
 viewSavedBtn.addEventListener('click', async () => {
     savedFlowsSection.style.display = 'flex';
     await loadSavedFlows();
@@ -705,74 +2140,227 @@ savedFlowsSection.addEventListener('click', (e) => {
     }
 });
 
-async function loadSavedFlows() {
-    savedFlowsList.innerHTML = `
-        <div class="loading-saved">
-            <div class="spinner"></div>
-            <p>Loading saved flows...</p>
-        </div>
-    `;
+document.getElementById('toggleTrash').addEventListener('click', async (e) => {
+    showingTrash = !showingTrash;
+    e.target.textContent = showingTrash ? 'Back to Flows' : 'Trash';
+    document.getElementById('savedFlowsTitle').textContent = showingTrash ? 'Trash' : 'Saved Conversation Flows';
+    await loadSavedFlows();
+});
+
+// Search, filter and sort options from the saved flows form as /api/flows query parameters
+function buildFlowQuery(cursor) {
+    const params = new URLSearchParams({ limit: 20 });
+    const fields = {
+        q: document.getElementById('flowSearch').value.trim(),
+        language: document.getElementById('filterLanguage').value,
+        campaign: document.getElementById('filterCampaign').value.trim(),
+        tags: document.getElementById('filterTags').value.trim(),
+        minNodes: document.getElementById('filterMinNodes').value,
+        maxNodes: document.getElementById('filterMaxNodes').value,
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value
+    };
+
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    const [sort, order] = document.getElementById('filterSort').value.split(':');
+    if (sort) {
+        params.set('sort', sort);
+        params.set('order', order);
+    }
+    if (showingTrash) params.set('deleted', 'true');
+    if (cursor) params.set('cursor', cursor);
+
+    return params.toString();
+}
+
+function hasActiveFilters() {
+    return [...flowFilters.querySelectorAll('input, select')].some(field => field.value && field.id !== 'filterSort');
+}
+
+let nextFlowsCursor = null;
+const listedFlows = new Map();
+let filterTimer = null;
+
+// Re-run the search shortly after the user stops typing
+flowFilters.addEventListener('input', () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => loadSavedFlows(), 300);
+});
+
+flowFilters.addEventListener('submit', (e) => {
+    e.preventDefault();
+    clearTimeout(filterTimer);
+    loadSavedFlows();
+});
+
+loadMoreFlows.addEventListener('click', () => loadSavedFlows({ append: true }));
+
+async function loadSavedFlows({ append = false } = {}) {
+    if (append) {
+        loadMoreFlows.disabled = true;
+        loadMoreFlows.textContent = 'Loading...';
+    } else {
+        nextFlowsCursor = null;
+        loadMoreFlows.style.display = 'none';
+        savedFlowsItems.innerHTML = `
+            <div class="loading-saved">
+                <div class="spinner"></div>
+                <p>Loading saved flows...</p>
+            </div>
+        `;
+    }
 
     try {
-        const response = await fetch('/api/flows?limit=20');
+        const response = await fetch(`/api/flows?${buildFlowQuery(append ? nextFlowsCursor : null)}`);
         const data = await response.json();
 
         if (data.success && data.flows) {
-            displaySavedFlows(data.flows);
+            displaySavedFlows(data.flows, { append });
+            nextFlowsCursor = data.nextCursor;
+            loadMoreFlows.style.display = nextFlowsCursor ? 'block' : 'none';
         } else {
-            savedFlowsList.innerHTML = `
+            savedFlowsItems.innerHTML = `
                 <div class="error-message">
-                    <p>Failed to load saved flows</p>
+                    <p>Failed to load saved flows${data.error ? `: ${escapeHtml(data.error)}` : ''}</p>
                 </div>
             `;
         }
     } catch (error) {
         console.error('Error loading saved flows:', error);
-        savedFlowsList.innerHTML = `
+        savedFlowsItems.innerHTML = `
             <div class="error-message">
-                <p>Error loading saved flows: ${error.message}</p>
+                <p>Error loading saved flows: ${escapeHtml(error.message)}</p>
             </div>
         `;
+    } finally {
+        loadMoreFlows.disabled = false;
+        loadMoreFlows.textContent = 'Load more';
     }
 }
 
-function displaySavedFlows(flows) {
-    if (flows.length === 0) {
-        savedFlowsList.innerHTML = `
+function displaySavedFlows(flows, { append = false } = {}) {
+    if (flows.length === 0 && !append) {
+        const message = hasActiveFilters()
+            ? 'No flows match these filters.'
+            : showingTrash ? 'The trash is empty.' : 'No saved flows yet. Process some conversations to get started!';
+        savedFlowsItems.innerHTML = `
             <div class="no-flows">
-                <p>No saved flows yet. Process some conversations to get started!</p>
+                <p>${message}</p>
             </div>
         `;
         return;
     }
 
-    savedFlowsList.innerHTML = flows.map(flow => {
+    const html = flows.map(flow => {
         const date = new Date(flow.created_at).toLocaleDateString();
         const nodeCount = flow.metadata?.node_count || 0;
         const edgeCount = flow.metadata?.edge_count || 0;
         const languages = flow.metadata?.languages?.join(', ') || 'Unknown';
+        const model = flow.metadata?.llm?.model;
+
+        const actions = showingTrash
+            ? `
+                <button class="flow-action" data-action="restore">Restore</button>
+                <button class="flow-action danger" data-action="purge">Delete Forever</button>
+            `
+            : `
+                <button class="flow-action" data-action="edit">Edit</button>
+                <button class="flow-action" data-action="delete">Delete</button>
+            `;
+
+        listedFlows.set(flow.id, flow);
 
         return `
-            <div class="flow-item" data-flow-id="${flow.id}">
-                <h3>${flow.name}</h3>
-                <p>${flow.description}</p>
+            <div class="flow-item${showingTrash ? ' trashed' : ''}" data-flow-id="${escapeHtml(flow.id)}">
+                <div class="flow-item-header">
+                    <h3>${escapeHtml(flow.name)}</h3>
+                    <div class="flow-actions">${actions}</div>
+                </div>
+                <p>${escapeHtml(flow.description)}</p>
+                <div class="flow-tags">${renderTags(flow.campaign, flow.tags, { clickable: true })}</div>
                 <div class="flow-meta">
                     <span>📅 ${date}</span>
                     <span>🔄 ${nodeCount} nodes</span>
                     <span>↔️ ${edgeCount} edges</span>
-                    <span>🌐 ${languages}</span>
+                    <span>🌐 ${escapeHtml(languages)}</span>
+                    ${model ? `<span>🤖 ${escapeHtml(model)}</span>` : ''}
+                    ${flow.deleted_at ? `<span>🗑️ ${new Date(flow.deleted_at).toLocaleDateString()}</span>` : ''}
                 </div>
             </div>
         `;
     }).join('');
 
-    // Add click handlers to flow items
-    document.querySelectorAll('.flow-item').forEach(item => {
-        item.addEventListener('click', async () => {
-            const flowId = item.dataset.flowId;
-            await loadFlow(flowId);
-        });
-    });
+    if (append) {
+        savedFlowsItems.insertAdjacentHTML('beforeend', html);
+    } else {
+        savedFlowsItems.innerHTML = html;
+    }
+}
+
+// One handler for every flow item, including pages appended later
+// (trashed flows can only be restored or purged)
+savedFlowsItems.addEventListener('click', async (e) => {
+    const item = e.target.closest('.flow-item');
+    if (!item) return;
+
+    const actionButton = e.target.closest('.flow-action');
+    if (actionButton) {
+        e.stopPropagation();
+        if (actionButton.dataset.action === 'edit') {
+            openFlowDetailsDialog(item.dataset.flowId, listedFlows.get(item.dataset.flowId));
+        } else {
+            await handleFlowAction(item.dataset.flowId, actionButton.dataset.action);
+        }
+        return;
+    }
+
+    // Clicking a tag or campaign filters the list by it
+    const tagButton = e.target.closest('.flow-tag');
+    if (tagButton) {
+        if (tagButton.dataset.campaign) {
+            document.getElementById('filterCampaign').value = tagButton.dataset.campaign;
+        } else {
+            const tagsInput = document.getElementById('filterTags');
+            const tags = tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (!tags.includes(tagButton.dataset.tag)) tags.push(tagButton.dataset.tag);
+            tagsInput.value = tags.join(', ');
+        }
+        await loadSavedFlows();
+        return;
+    }
+
+    if (showingTrash) return;
+    await loadFlow(item.dataset.flowId);
+});
+
+async function handleFlowAction(flowId, action) {
+    const requests = {
+        delete: { url: `/api/flows/${flowId}`, method: 'DELETE' },
+        restore: { url: `/api/flows/${flowId}/restore`, method: 'POST' },
+        purge: { url: `/api/flows/${flowId}?purge=true`, method: 'DELETE' }
+    };
+
+    if (action === 'purge' && !confirm('Permanently delete this flow, its prompts and its audio files? This cannot be undone.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(requests[action].url, { method: requests[action].method });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert('Error: ' + data.error);
+            return;
+        }
+
+        await loadSavedFlows();
+    } catch (error) {
+        console.error(`Error running ${action} on flow:`, error);
+        alert('Error: ' + error.message);
+    }
 }
 
 async function loadFlow(flowId) {
@@ -788,8 +2376,16 @@ async function loadFlow(flowId) {
             currentFlowData = {
                 success: true,
                 transcriptions: data.flow.transcriptions,
+                audioFiles: data.flow.audioFiles || [],
                 flowData: data.flow.flow_data,
-                flowId: flowId
+                lint: data.lint,
+                flowId: flowId,
+                details: {
+                    name: data.flow.name,
+                    description: data.flow.description,
+                    campaign: data.flow.campaign,
+                    tags: data.flow.tags || []
+                }
             };
 
             displayResults(currentFlowData);
@@ -4,22 +4,109 @@ const multer = require('multer');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const { AssemblyAI } = require('assemblyai');
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { parseFlowListQuery } = require('./lib/storage/flow-query');
 const {
-  storeConversationFlow,
-  uploadAudioFile,
-  getConversationFlows,
-  getConversationFlow,
-  ensureStorageBucket
-} = require('./lib/supabase');
-// Updated with Supabase integration for persistent storage
+  createJob,
+  getJob,
+  setJobStage,
+  setFileStage,
+  waitForJobInput,
+  provideJobInput,
+  completeJob,
+  failJob,
+  isFinished,
+  subscribeToJob
+} = require('./lib/jobs');
+const { createTranscriptionProvider } = require('./lib/transcription');
+const { getDefaultLlmConfig, resolveLlmConfig, isLlmConfigured, completeJson } = require('./lib/llm');
+const { flowSchema, validateFlow } = require('./lib/flow-schema');
+const { lintFlow } = require('./lib/flow-lint');
+const { mergeFlows } = require('./lib/flow-merge');
+const { diffFlows } = require('./lib/flow-diff');
+const { listExportTargets, hasExportTarget, exportFlow } = require('./lib/exporters');
+const { compileSystemPrompt } = require('./lib/prompt-compiler');
+const { parseFlowImport } = require('./lib/flow-import');
+const { startSimulation, stepSimulation } = require('./lib/flow-simulator');
+const { computeCoverage } = require('./lib/flow-coverage');
+const {
+  SPEAKER_ROLES,
+  isSpeakerRole,
+  roleLabel,
+  classifySpeakersHeuristic,
+  normalizeSpeakerRoles,
+  formatTranscriptWithRoles,
+  inferSentenceRoles
+} = require('./lib/speaker-roles');
+const {
+  DEFAULT_THEME,
+  hasMermaidTheme,
+  listMermaidThemes,
+  getMermaidConfig,
+  mermaidInitDirective,
+  mermaidClassDefs
+} = require('./lib/mermaid-theme');
+const { DIAGRAM_FORMATS, renderDiagram } = require('./lib/diagram-renderer');
+const {
+  isLanguageCode,
+  languageName,
+  transcriptLanguage,
+  baseLanguage,
+  flowLanguages,
+  localizeFlow,
+  translatableText,
+  matchTranslatableText,
+  setFlowTranslation
+} = require('./lib/flow-languages');
+const { getRedactionConfig, redactTranscription } = require('./lib/pii-redaction');
+const {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  isRole,
+  hasRole,
+  lowerRole,
+  normalizeEmail,
+  isEmail,
+  checkPassword,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createSessionToken,
+  createApiKey: generateApiKey,
+  sessionExpiry,
+  readCookie,
+  readApiKey
+} = require('./lib/auth');
+const { slugify } = require('./lib/exporters/common');
+const {
+  TRANSCRIPT_EXTENSIONS,
+  isTranscriptFile,
+  parseTranscriptFile
+} = require('./lib/transcript-parsers');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Jobs live in this process's memory (lib/jobs.js). On a serverless host, a function can
+// be frozen once it has responded. The next request may also reach another instance. So
+// on Vercel, or with RUN_JOBS_INLINE=true, upload and coverage jobs finish before the
+// response, and the response carries the finished job. The host's function timeout must
+// be long enough for a whole job.
+const RUN_JOBS_INLINE = !!process.env.VERCEL || process.env.RUN_JOBS_INLINE === 'true';
+
 // Validate required environment variables
-const requiredEnvVars = ['ASSEMBLYAI_API_KEY', 'OPENAI_API_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+const requiredEnvVars = [];
+if (process.env.STORAGE_BACKEND === 'supabase' || process.env.SUPABASE_URL) {
+  requiredEnvVars.push('SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY');
+}
+if (!process.env.LLM_BASE_URL && !process.env.OPENAI_BASE_URL) {
+  requiredEnvVars.unshift('OPENAI_API_KEY');
+}
+if ((process.env.TRANSCRIPTION_PROVIDER || 'assemblyai') === 'assemblyai') {
+  requiredEnvVars.unshift('ASSEMBLYAI_API_KEY');
+}
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingEnvVars.length > 0) {
@@ -28,13 +115,54 @@ if (missingEnvVars.length > 0) {
   // Don't exit in production to allow Vercel to deploy
 }
 
-const assemblyAI = new AssemblyAI({
-  apiKey: process.env.ASSEMBLYAI_API_KEY || 'dummy_key_for_development'
-});
+const transcriptionProvider = createTranscriptionProvider();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY || 'dummy_key_for_development'
-});
+// Persistent storage through Supabase or a local SQLite database (lib/storage)
+const storageBackend = createStorage();
+const {
+  storeConversationFlow,
+  uploadAudioFile,
+  getConversationFlows,
+  getConversationFlow,
+  updateConversationFlow,
+  getFlowVersions,
+  getFlowVersion,
+  softDeleteConversationFlow,
+  restoreConversationFlow,
+  purgeConversationFlow,
+  storePiiOriginals,
+  getPiiOriginals,
+  ensureStorageBucket,
+  countUsers,
+  createUser,
+  createFirstUser,
+  getUserByEmail,
+  updateUserPassword,
+  createWorkspace,
+  getUserWorkspaces,
+  getWorkspaceMembers,
+  setWorkspaceMember,
+  removeWorkspaceMember,
+  createSession,
+  getSession,
+  updateSessionWorkspace,
+  deleteSession,
+  createApiKey,
+  getApiKey,
+  getApiKeys,
+  revokeApiKey,
+  getFlowWorkspace,
+  assignUnownedFlows
+} = storageBackend;
+console.log(`Using ${storageBackend.name} storage`);
+
+const llmDefaults = getDefaultLlmConfig();
+const piiRedaction = getRedactionConfig();
+
+// How many times invalid flow JSON is sent back to the model for repair
+const FLOW_REPAIR_ATTEMPTS = Number.isNaN(parseInt(process.env.FLOW_REPAIR_ATTEMPTS, 10))
+  ? 2
+  : parseInt(process.env.FLOW_REPAIR_ATTEMPTS, 10);
 
 // Configure middleware with proper order
 app.use(cors());
@@ -45,37 +173,2041 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
 app.use(express.static('public'));
 
+// Routes open to anyone: signing in, first-run setup and the sign-in state
+const PUBLIC_API_ROUTES = new Set(['POST /auth/login', 'POST /auth/setup', 'GET /auth/me']);
+// Routes that work for a signed-in user outside any workspace
+const ACCOUNT_API_ROUTES = /^\/(auth\/|workspaces$)/;
+
+// Who is calling, from an API key or the session cookie. Sets req.auth
+// ({ method, userId, actor, sessionId?, apiKeyId? }), req.workspace ({ id, name }) and
+// req.role. Browser sessions use their current workspace unless X-Workspace-Id names another.
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      const result = await getApiKey(hashToken(apiKey));
+      if (!result.success) {
+        return res.status(result.notFound ? 401 : 500).json({
+          success: false,
+          error: result.notFound ? 'Invalid or revoked API key' : result.error
+        });
+      }
+      const key = result.apiKey;
+      req.auth = { method: 'api_key', userId: key.created_by, apiKeyId: key.id, actor: `api-key:${key.name}` };
+      req.workspace = { id: key.workspace_id };
+      // A key never does more than the member who created it now may
+      req.role = lowerRole(key.role, key.member_role);
+      return next();
+    }
+
+    const token = readCookie(req, SESSION_COOKIE);
+    const sessionResult = token ? await getSession(hashToken(token)) : null;
+    if (sessionResult?.success) {
+      const { session } = sessionResult;
+      const membership = await getUserWorkspaces(session.user_id);
+      if (!membership.success) throw new Error(membership.error);
+
+      const requested = req.get('X-Workspace-Id');
+      const workspace = membership.workspaces.find(entry => entry.id === (requested || session.workspace_id))
+        || (requested ? null : membership.workspaces[0]);
+      if (requested && !workspace) {
+        return res.status(403).json({
+          success: false,
+          error: 'You are not a member of that workspace'
+        });
+      }
+
+      req.auth = { method: 'session', userId: session.user_id, sessionId: session.id, actor: session.user.email, user: session.user };
+      req.workspaces = membership.workspaces;
+      req.workspace = workspace ? { id: workspace.id, name: workspace.name } : null;
+      req.role = workspace?.role || null;
+      return next();
+    }
+
+    if (PUBLIC_API_ROUTES.has(`${req.method} ${req.path}`)) return next();
+    res.status(401).json({
+      success: false,
+      error: 'Sign in or send an API key'
+    });
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Only let callers with at least `role` in their workspace through
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.workspace) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not a member of any workspace'
+      });
+    }
+    if (!hasRole(req.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This needs the ${role} role in the workspace (you are ${req.role})`
+      });
+    }
+    next();
+  };
+}
+
+// Whether a stored flow row belongs to the caller's workspace
+function inWorkspace(req, flow) {
+  return !!req.workspace && flow?.workspace_id === req.workspace.id;
+}
+
+// Flows of other workspaces look the same as flows that do not exist
+async function requireFlowInWorkspace(req, res, next) {
+  try {
+    const result = await getFlowWorkspace(req.params.id);
+    if (!result.success && !result.notFound) throw new Error(result.error);
+    if (!result.success || result.workspaceId !== req.workspace.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flow not found'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking flow workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+function requireJobInWorkspace(req, res, next) {
+  const job = getJob(req.params.id);
+  if (job && job.workspaceId !== req.workspace.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+  next();
+}
+
+app.use('/api', authenticate);
+app.use('/api', (req, res, next) => (
+  ACCOUNT_API_ROUTES.test(req.path) ? next() : requireRole('viewer')(req, res, next)
+));
+app.use('/api/flows/:id', requireFlowInWorkspace);
+app.use('/api/jobs/:id', requireJobInWorkspace);
+
+// The local storage backend keeps audio on disk, under a directory per flow, served from here
+if (storageBackend.audioDir) {
+  app.use(storageBackend.audioUrlPrefix, (req, res, next) => {
+    req.params.id = decodeURIComponent(req.path.split('/')[1] || '');
+    requireFlowInWorkspace(req, res, next);
+  }, express.static(storageBackend.audioDir));
+}
+
 // Test endpoint to check environment variables
-app.get('/api/test', (req, res) => {
+app.get('/api/test', requireRole('admin'), (req, res) => {
   res.json({
     assemblyAI: process.env.ASSEMBLYAI_API_KEY ? 'Set' : 'Missing',
+    transcriptionProvider: transcriptionProvider.name,
     openAI: process.env.OPENAI_API_KEY ? 'Set' : 'Missing',
     openAIKeyStart: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 10) : 'Not set',
+    llmModel: llmDefaults.model,
+    llmFallbackModels: llmDefaults.fallbackModels.map(entry => entry.model),
+    llmBaseUrl: llmDefaults.baseUrl || 'https://api.openai.com/v1',
     supabase: process.env.SUPABASE_URL ? 'Set' : 'Missing',
+    storage: storageBackend.name,
+    piiRedaction: piiRedaction.enabled ? piiRedaction.entities : 'Off',
     environment: process.env.NODE_ENV || 'development',
     serverTime: new Date().toISOString()
   });
 });
 
-// API endpoint to get all saved conversation flows
-app.get('/api/flows', async (req, res) => {
+// Failed sign-ins per email, to slow down password guessing
+const LOGIN_ATTEMPTS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const loginFailures = new Map();
+
+function isLoginLocked(email) {
+  const entry = loginFailures.get(email);
+  if (entry && Date.now() - entry.since > LOGIN_WINDOW_MS) loginFailures.delete(email);
+  return (loginFailures.get(email)?.count || 0) >= LOGIN_ATTEMPTS;
+}
+
+function recordLoginFailure(email) {
+  const entry = loginFailures.get(email) || { count: 0, since: Date.now() };
+  entry.count++;
+  loginFailures.set(email, entry);
+}
+
+// Start a browser session for a user and set its cookie
+async function startSession(res, userId, workspaceId) {
+  const token = createSessionToken();
+  const result = await createSession({ userId, workspaceId, tokenHash: hashToken(token), expiresAt: sessionExpiry() });
+  if (!result.success) throw new Error(result.error);
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000,
+    path: '/'
+  });
+}
+
+// The signed-in user (or API key), their workspaces and the current one. Without a
+// session it answers 401 with setupRequired: true until the first admin is created.
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    if (!req.auth) {
+      const users = await countUsers();
+      if (!users.success) throw new Error(users.error);
+      return res.status(401).json({
+        success: false,
+        error: 'Not signed in',
+        setupRequired: users.count === 0
+      });
+    }
+
+    res.json({
+      success: true,
+      method: req.auth.method,
+      user: req.auth.user || null,
+      workspaces: req.workspaces || [],
+      workspace: req.workspace ? { ...req.workspace, role: req.role } : null,
+      roles: ROLES
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// First-run setup: create the first user as admin of a new workspace, which also gets
+// every flow stored before accounts existed. Body: { email, password, name?, workspaceName? }
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const users = await countUsers();
+    if (!users.success) throw new Error(users.error);
+    if (users.count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Setup is already done; sign in instead'
+      });
+    }
+
+    const { password, name, workspaceName } = req.body || {};
+    const email = normalizeEmail(req.body?.email);
+    const validationErrors = [
+      ...(isEmail(email) ? [] : ['email must be an email address']),
+      ...[checkPassword(password)].filter(Boolean)
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid setup details',
+        validationErrors
+      });
+    }
+
+    // The count above only saves hashing a password; this insert is what guarantees one first admin
+    const userResult = await createFirstUser({ email, name: name?.trim(), passwordHash: await hashPassword(password) });
+    if (userResult.conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'Setup is already done; sign in instead'
+      });
+    }
+    if (!userResult.success) throw new Error(userResult.error);
+    const workspaceResult = await createWorkspace(workspaceName?.trim() || 'Default workspace', userResult.user.id);
+    if (!workspaceResult.success) throw new Error(workspaceResult.error);
+
+    const assigned = await assignUnownedFlows(workspaceResult.workspace.id);
+    if (assigned.success && assigned.count > 0) {
+      console.log(`Moved ${assigned.count} existing flow(s) into workspace ${workspaceResult.workspace.name}`);
+    }
+
+    await startSession(res, userResult.user.id, workspaceResult.workspace.id);
+    res.status(201).json({
+      success: true,
+      user: userResult.user,
+      workspace: workspaceResult.workspace,
+      assignedFlows: assigned.count || 0
+    });
+  } catch (error) {
+    console.error('Error during setup:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Sign in with { email, password }; sets the session cookie
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (isLoginLocked(email)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed sign-ins; try again later'
+      });
+    }
+
+    const result = await getUserByEmail(email);
+    if (!result.success && !result.notFound) throw new Error(result.error);
+    if (!result.success || !(await verifyPassword(req.body?.password || '', result.user.password_hash))) {
+      recordLoginFailure(email);
+      return res.status(401).json({
+        success: false,
+        error: 'Wrong email or password'
+      });
+    }
+    loginFailures.delete(email);
+
+    const { id, name } = result.user;
+    const membership = await getUserWorkspaces(id);
+    if (!membership.success) throw new Error(membership.error);
+    const workspace = membership.workspaces[0] || null;
+
+    await startSession(res, id, workspace?.id);
+    res.json({
+      success: true,
+      user: { id, email, name },
+      workspaces: membership.workspaces,
+      workspace
+    });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = readCookie(req, SESSION_COOKIE);
+    if (token) await deleteSession(hashToken(token));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Switch the session's current workspace. Body: { workspaceId }
+app.put('/api/auth/workspace', async (req, res) => {
+  try {
+    if (req.auth.method !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'API keys belong to one workspace'
+      });
+    }
+
+    const workspace = req.workspaces.find(entry => entry.id === req.body?.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'You are not a member of that workspace'
+      });
+    }
+
+    const result = await updateSessionWorkspace(req.auth.sessionId, workspace.id);
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, workspace });
+  } catch (error) {
+    console.error('Error switching workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change your own password. Body: { currentPassword, newPassword }. Other sessions end.
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    if (req.auth.method !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sign in to change your password'
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body || {};
+    const problem = checkPassword(newPassword);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password',
+        validationErrors: [problem.replace(/^password/, 'newPassword')]
+      });
+    }
+
+    const result = await getUserByEmail(req.auth.user.email);
+    if (!result.success) throw new Error(result.error);
+    if (!(await verifyPassword(currentPassword || '', result.user.password_hash))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Current password is wrong'
+      });
+    }
+
+    const update = await updateUserPassword(req.auth.userId, await hashPassword(newPassword));
+    if (!update.success) throw new Error(update.error);
+    await startSession(res, req.auth.userId, req.workspace?.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a workspace with the caller as its admin. Body: { name }
+app.post('/api/workspaces', async (req, res) => {
+  try {
+    if (req.auth.method !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sign in to create workspaces'
+      });
+    }
+
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const result = await createWorkspace(name, req.auth.userId);
+    if (!result.success) throw new Error(result.error);
+    res.status(201).json({ success: true, workspace: result.workspace });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Members of the current workspace
+app.get('/api/workspace/members', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await getWorkspaceMembers(req.workspace.id);
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, members: result.members });
+  } catch (error) {
+    console.error('Error fetching members:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Whether changing or removing `userId` would leave the workspace without an admin
+async function isLastAdmin(workspaceId, userId) {
+  const result = await getWorkspaceMembers(workspaceId);
+  if (!result.success) throw new Error(result.error);
+  const admins = result.members.filter(member => member.role === 'admin');
+  return admins.length === 1 && admins[0].user_id === userId;
+}
+
+// Add someone to the current workspace. Body: { email, role, name?, password? }.
+// A new user needs an initial password; an existing user keeps theirs.
+app.post('/api/workspace/members', requireRole('admin'), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    const { role, name, password } = req.body || {};
+    const validationErrors = [
+      ...(isEmail(email) ? [] : ['email must be an email address']),
+      ...(isRole(role) ? [] : [`role must be one of ${ROLES.join(', ')}`])
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid member',
+        validationErrors
+      });
+    }
+
+    const existing = await getUserByEmail(email);
+    if (!existing.success && !existing.notFound) throw new Error(existing.error);
+
+    let user = existing.success
+      ? { id: existing.user.id, email: existing.user.email, name: existing.user.name }
+      : null;
+    if (!user) {
+      const problem = checkPassword(password);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: 'A new user needs an initial password',
+          validationErrors: [problem]
+        });
+      }
+      const created = await createUser({ email, name: name?.trim(), passwordHash: await hashPassword(password) });
+      if (!created.success) throw new Error(created.error);
+      user = created.user;
+    }
+
+    const result = await setWorkspaceMember(req.workspace.id, user.id, role);
+    if (!result.success) throw new Error(result.error);
+    res.status(existing.success ? 200 : 201).json({
+      success: true,
+      member: { user_id: user.id, email: user.email, name: user.name, role },
+      created: !existing.success
+    });
+  } catch (error) {
+    console.error('Error adding member:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change a member's role. Body: { role }
+app.patch('/api/workspace/members/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!isRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        validationErrors: [`role must be one of ${ROLES.join(', ')}`]
+      });
+    }
+
+    const members = await getWorkspaceMembers(req.workspace.id);
+    if (!members.success) throw new Error(members.error);
+    const member = members.members.find(entry => entry.user_id === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+    if (role !== 'admin' && await isLastAdmin(req.workspace.id, member.user_id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A workspace needs at least one admin'
+      });
+    }
+
+    const result = await setWorkspaceMember(req.workspace.id, member.user_id, role);
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, member: { ...member, role } });
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/workspace/members/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    if (await isLastAdmin(req.workspace.id, req.params.userId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A workspace needs at least one admin'
+      });
+    }
+
+    const result = await removeWorkspaceMember(req.workspace.id, req.params.userId);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API keys of the current workspace (without the keys themselves)
+app.get('/api/workspace/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await getApiKeys(req.workspace.id);
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, apiKeys: result.apiKeys });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create an API key for the current workspace. Body: { name, role? (default viewer) }.
+// The key is only returned here.
+app.post('/api/workspace/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const role = req.body?.role || 'viewer';
+    const validationErrors = [
+      ...(name ? [] : ['name is required']),
+      ...(isRole(role) ? [] : [`role must be one of ${ROLES.join(', ')}`])
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key',
+        validationErrors
+      });
+    }
+
+    const { key, prefix } = generateApiKey();
+    const result = await createApiKey({
+      workspaceId: req.workspace.id,
+      userId: req.auth.userId,
+      name,
+      role,
+      keyPrefix: prefix,
+      keyHash: hashToken(key)
+    });
+    if (!result.success) throw new Error(result.error);
+    res.status(201).json({ success: true, apiKey: result.apiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/workspace/api-keys/:keyId', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await revokeApiKey(req.workspace.id, req.params.keyId);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to search and page through saved conversation flows (?deleted=true lists the trash)
+app.get('/api/flows', async (req, res) => {
+  try {
+    const { options, error } = parseFlowListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await getConversationFlows({ ...options, workspaceId: req.workspace.id });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        flows: result.flows,
+        nextCursor: result.nextCursor
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching flows:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get a single conversation flow with details
+app.get('/api/flows/:id', async (req, res) => {
+  try {
+    const flowId = req.params.id;
+    const result = await getConversationFlow(flowId);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        flow: result.flow,
+        lint: lintFlow(result.flow.flow_data)
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to update a flow's name, description and/or flow data
+app.patch('/api/flows/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const flowId = req.params.id;
+    const { name, description, campaign, tags, flowData } = req.body || {};
+
+    if ([name, description, campaign, tags, flowData].every(value => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update. Provide name, description, campaign, tags or flowData'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'name must be a non-empty string'
+      });
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'description must be a string or null'
+      });
+    }
+
+    if (campaign !== undefined && campaign !== null && typeof campaign !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'campaign must be a string or null'
+      });
+    }
+
+    if (tags !== undefined && typeof tags !== 'string' &&
+        !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'tags must be an array of strings or a comma-separated string'
+      });
+    }
+
+    let update = {};
+    if (flowData !== undefined) {
+      update = prepareFlowUpdate(flowData);
+      if (update.errors) {
+        return res.status(400).json({
+          success: false,
+          error: 'flowData does not match the flow schema',
+          validationErrors: update.errors
+        });
+      }
+    }
+
+    const result = await updateConversationFlow(flowId, {
+      name: name?.trim(),
+      description,
+      campaign,
+      tags,
+      flowData: update.flowData,
+      mermaidDiagram: update.mermaidDiagram,
+      ...getChangeInfo(req)
+    });
+
+    if (!result.success) {
+      return res.status(updateErrorStatus(result)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      flow: result.flow,
+      version: result.version,
+      lint: lintFlow(result.flow.flow_data)
+    });
+  } catch (error) {
+    console.error('Error updating flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to replace (or add) a single node of a flow
+app.put('/api/flows/:id/nodes/:nodeId', requireRole('editor'), async (req, res) => {
+  try {
+    const { id: flowId, nodeId } = req.params;
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Request body must be a node object'
+      });
+    }
+
+    const existing = await getConversationFlow(flowId);
+    if (!existing.success) {
+      return res.status(404).json({
+        success: false,
+        error: existing.error
+      });
+    }
+    if (existing.flow.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Flow is in the trash; restore it first'
+      });
+    }
+
+    // author / changeNote describe the change, not the node
+    const { author, changeNote, ...nodeFields } = req.body;
+    const node = { ...nodeFields, id: nodeId };
+    const flowData = { ...existing.flow.flow_data };
+    const nodes = [...(flowData.nodes || [])];
+    const index = nodes.findIndex(n => n.id === nodeId);
+
+    if (index === -1) {
+      nodes.push(node);
+    } else {
+      nodes[index] = node;
+    }
+
+    flowData.nodes = nodes;
+    flowData.edges = syncNodeEdges(flowData.edges || [], node);
+
+    const update = prepareFlowUpdate(flowData);
+    if (update.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Node does not match the flow schema',
+        validationErrors: update.errors
+      });
+    }
+
+    const changeInfo = getChangeInfo(req);
+    const result = await updateConversationFlow(flowId, {
+      ...update,
+      author: changeInfo.author,
+      changeNote: changeInfo.changeNote || `Updated node ${nodeId}`
+    });
+
+    if (!result.success) {
+      return res.status(updateErrorStatus(result)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      node,
+      flow: result.flow,
+      version: result.version,
+      lint: lintFlow(result.flow.flow_data)
+    });
+  } catch (error) {
+    console.error('Error updating flow node:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to delete a flow. By default the flow moves to the trash;
+// ?purge=true removes it for good together with its prompts, audio rows and stored audio.
+app.delete('/api/flows/:id', requireRole('editor'), async (req, res) => {
+  try {
+    const flowId = req.params.id;
+    const purge = req.query.purge === 'true';
+    if (purge && !hasRole(req.role, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Deleting a flow for good needs the admin role'
+      });
+    }
+    const result = purge
+      ? await purgeConversationFlow(flowId)
+      : await softDeleteConversationFlow(flowId);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      purged: purge,
+      ...(purge ? { removedObjects: result.removedObjects } : { flow: result.flow })
+    });
+  } catch (error) {
+    console.error('Error deleting flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to restore a flow from the trash
+app.post('/api/flows/:id/restore', requireRole('editor'), async (req, res) => {
+  try {
+    const result = await restoreConversationFlow(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      flow: result.flow
+    });
+  } catch (error) {
+    console.error('Error restoring flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to list a flow's versions, newest first
+app.get('/api/flows/:id/versions', async (req, res) => {
+  try {
+    const result = await getFlowVersions(req.params.id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      versions: result.versions
+    });
+  } catch (error) {
+    console.error('Error fetching flow versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to get a single version with its full snapshot
+app.get('/api/flows/:id/versions/:version', async (req, res) => {
+  try {
+    const version = parseVersionNumber(req.params.version);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version must be a positive integer'
+      });
+    }
+
+    const result = await getFlowVersion(req.params.id, version);
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      version: result.version
+    });
+  } catch (error) {
+    console.error('Error fetching flow version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to diff two versions (?from=1&to=3). "to" defaults to the latest
+// version and "from" to the version before it.
+app.get('/api/flows/:id/diff', async (req, res) => {
+  try {
+    const flowId = req.params.id;
+    let to = req.query.to !== undefined ? parseVersionNumber(req.query.to) : null;
+    let from = req.query.from !== undefined ? parseVersionNumber(req.query.from) : null;
+
+    if ((req.query.to !== undefined && !to) || (req.query.from !== undefined && !from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be positive integers'
+      });
+    }
+
+    if (!to) {
+      const versions = await getFlowVersions(flowId);
+      if (!versions.success) {
+        return res.status(500).json({
+          success: false,
+          error: versions.error
+        });
+      }
+      to = versions.versions[0]?.version;
+    }
+    from = from || to - 1;
+
+    if (!to || from < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least two versions are needed to compute a diff'
+      });
+    }
+
+    const [before, after] = await Promise.all([
+      getFlowVersion(flowId, from),
+      getFlowVersion(flowId, to)
+    ]);
+
+    const failed = [before, after].find(result => !result.success);
+    if (failed) {
+      return res.status(failed.notFound ? 404 : 500).json({
+        success: false,
+        error: failed.error
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      diff: {
+        ...diffFlows(before.version.flow_data, after.version.flow_data),
+        ...diffFlowDetails(before.version, after.version)
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing flow versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to roll a flow back to an earlier version.
+// History is never rewritten: the old snapshot is saved again as a new version.
+app.post('/api/flows/:id/versions/:version/rollback', requireRole('editor'), async (req, res) => {
+  try {
+    const flowId = req.params.id;
+    const versionNumber = parseVersionNumber(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Version must be a positive integer'
+      });
+    }
+
+    const target = await getFlowVersion(flowId, versionNumber);
+    if (!target.success) {
+      return res.status(target.notFound ? 404 : 500).json({
+        success: false,
+        error: target.error
+      });
+    }
+
+    // Versions saved before campaign and tags were recorded leave them as they are
+    const hasDetails = Array.isArray(target.version.tags);
+    const changeInfo = getChangeInfo(req);
+    const result = await updateConversationFlow(flowId, {
+      name: target.version.name,
+      description: target.version.description,
+      campaign: hasDetails ? target.version.campaign : undefined,
+      tags: hasDetails ? target.version.tags : undefined,
+      flowData: target.version.flow_data,
+      mermaidDiagram: target.version.mermaid_diagram,
+      author: changeInfo.author,
+      changeNote: changeInfo.changeNote || `Rolled back to version ${versionNumber}`
+    });
+
+    if (!result.success) {
+      return res.status(updateErrorStatus(result)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      flow: result.flow,
+      version: result.version,
+      restoredFrom: versionNumber
+    });
+  } catch (error) {
+    console.error('Error rolling back flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to list the platforms flows can be exported to
+app.get('/api/exporters', (req, res) => {
+  res.json({
+    success: true,
+    exporters: listExportTargets()
+  });
+});
+
+// API endpoint to export flow data from the request body ({ flowData, name, description })
+app.post('/api/export/:target', (req, res) => {
+  try {
+    const { target } = req.params;
+    if (!hasExportTarget(target)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown export target "${target}"`
+      });
+    }
+
+    const { flowData, name, description, language } = req.body || {};
+    const validation = flowData && typeof flowData === 'object'
+      ? validateFlow(flowData)
+      : { valid: false, errors: ['(root): flowData must be an object'] };
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'flowData does not match the flow schema',
+        validationErrors: validation.errors
+      });
+    }
+
+    const languageError = checkFlowLanguage(flowData, language);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        error: languageError
+      });
+    }
+
+    res.json({
+      success: true,
+      ...exportFlow(target, flowData, { name, description, language })
+    });
+  } catch (error) {
+    console.error('Error exporting flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to export a saved flow (?language= picks a language variant).
+// ?download=true sends just the exported file as an attachment; otherwise the
+// response also carries the unsupported-field report.
+app.get('/api/flows/:id/export/:target', async (req, res) => {
+  try {
+    const { id: flowId, target } = req.params;
+    if (!hasExportTarget(target)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown export target "${target}"`
+      });
+    }
+
+    const result = await getConversationFlow(flowId);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const flowData = storedFlowData(result.flow);
+    const languageError = checkFlowLanguage(flowData, req.query.language);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        error: languageError
+      });
+    }
+
+    const exported = exportFlow(target, flowData, {
+      name: result.flow.name,
+      description: result.flow.description,
+      language: req.query.language
+    });
+
+    if (req.query.download === 'true') {
+      res.attachment(exported.filename);
+      return res.type('application/json').send(JSON.stringify(exported.content, null, 2));
+    }
+
+    res.json({
+      success: true,
+      ...exported
+    });
+  } catch (error) {
+    console.error('Error exporting flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to compile flow data from the request body ({ flowData, name, maxTokens,
+// language }) into a single LLM system prompt
+app.post('/api/compile-prompt', (req, res) => {
+  try {
+    const { flowData, name, maxTokens, language } = req.body || {};
+    const budget = parseTokenBudget(maxTokens);
+    if (budget === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxTokens must be a positive integer'
+      });
+    }
+
+    const validation = flowData && typeof flowData === 'object'
+      ? validateFlow(flowData)
+      : { valid: false, errors: ['(root): flowData must be an object'] };
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'flowData does not match the flow schema',
+        validationErrors: validation.errors
+      });
+    }
+
+    const languageError = checkFlowLanguage(flowData, language);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        error: languageError
+      });
+    }
+
+    res.json({
+      success: true,
+      ...compileSystemPrompt(flowData, { name, maxTokens: budget, language })
+    });
+  } catch (error) {
+    console.error('Error compiling system prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to compile a saved flow into a system prompt (?maxTokens=, ?language=).
+// ?download=true sends the prompt as a text file attachment.
+app.get('/api/flows/:id/system-prompt', async (req, res) => {
+  try {
+    const budget = parseTokenBudget(req.query.maxTokens);
+    if (budget === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxTokens must be a positive integer'
+      });
+    }
+
+    const result = await getConversationFlow(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const flowData = storedFlowData(result.flow);
+    const languageError = checkFlowLanguage(flowData, req.query.language);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        error: languageError
+      });
+    }
+
+    const compiled = compileSystemPrompt(flowData, {
+      name: result.flow.name,
+      maxTokens: budget,
+      language: req.query.language
+    });
+
+    if (req.query.download === 'true') {
+      res.attachment(compiled.filename);
+      return res.type('text/plain').send(compiled.prompt);
+    }
+
+    res.json({
+      success: true,
+      ...compiled
+    });
+  } catch (error) {
+    console.error('Error compiling system prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint for the Mermaid settings the page renders diagrams with (?theme=)
+app.get('/api/mermaid-config', (req, res) => {
+  const theme = req.query.theme || DEFAULT_THEME;
+  if (!hasMermaidTheme(theme)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown theme "${theme}". Available: ${listMermaidThemes().map(t => t.id).join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    theme,
+    themes: listMermaidThemes(),
+    config: getMermaidConfig(theme)
+  });
+});
+
+// API endpoint to render a saved flow's diagram on the server as SVG or PNG.
+// Query: theme, width (px) or scale, background (CSS color or "transparent"), download=true
+app.get('/api/flows/:id/diagram.:format', async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!DIAGRAM_FORMATS.includes(format)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown diagram format "${format}". Use ${DIAGRAM_FORMATS.join(' or ')}`
+      });
+    }
+
+    const options = parseDiagramOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error
+      });
+    }
+
+    const result = await getConversationFlow(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const definition = result.flow.mermaid_diagram || generateMermaidDiagram(result.flow.flow_data);
+    const image = await renderDiagram(definition, { format, ...options });
+
+    if (req.query.download === 'true') {
+      res.attachment(`${slugify(result.flow.name)}.${format}`);
+    }
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    console.error('Error rendering diagram:', error);
+    res.status(error.code === 'RENDERER_UNAVAILABLE' ? 503 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to import a Mermaid flowchart or flow JSON as a new flow.
+// Body: { content, format?: 'mermaid' | 'json', filename?, name?, description?, campaign?, tags? }
+// The format is detected from the file name or content when not given.
+app.post('/api/import', requireRole('editor'), async (req, res) => {
+  try {
+    const { content, format, filename, name, description, campaign, tags } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'content must be the text of a Mermaid or JSON file'
+      });
+    }
+
+    const parsed = parseFlowImport(content, { format, filename });
+    if (parsed.errors) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not read the ${parsed.format} file`,
+        validationErrors: parsed.errors
+      });
+    }
+
+    const update = prepareFlowUpdate(parsed.flowData);
+    if (update.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Imported flow does not match the flow schema',
+        validationErrors: update.errors
+      });
+    }
+
+    const source = filename ? path.basename(filename) : `${parsed.format} import`;
+    const storeResult = await storeConversationFlow(
+      update.flowData,
+      [],
+      update.mermaidDiagram,
+      { source: { type: 'import', format: parsed.format, filename: filename || null } },
+      {
+        name: name || (filename && path.basename(filename).replace(/\.[^.]+$/, '')),
+        description: description || `Imported from ${source}`,
+        campaign,
+        tags,
+        workspaceId: req.workspace.id
+      }
+    );
+
+    if (!storeResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: storeResult.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      flowId: storeResult.flowId,
+      details: storeResult.details,
+      format: parsed.format,
+      warnings: parsed.warnings,
+      flowData: update.flowData,
+      lint: lintFlow(update.flowData)
+    });
+  } catch (error) {
+    console.error('Error importing flow:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to walk a flow in the text simulator.
+// Body: { flowData | flowId, state?, reply?, silence?, matcher?: 'keyword' | 'llm', model?, ... }
+// Without state the simulation starts at the start node; otherwise send back the
+// state from the previous response with the caller's reply (or silence: true).
+app.post('/api/simulate', async (req, res) => {
+  try {
+    const { flowId, state, reply, silence, matcher = 'keyword' } = req.body || {};
+    if (!['keyword', 'llm'].includes(matcher)) {
+      return res.status(400).json({
+        success: false,
+        error: 'matcher must be keyword or llm'
+      });
+    }
+    if (matcher === 'llm' && !isLlmConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'LLM matching needs OPENAI_API_KEY (or LLM_BASE_URL for a local model)'
+      });
+    }
+
+    let flowData = req.body?.flowData;
+    if (flowId) {
+      const result = await getConversationFlow(flowId);
+      if (!result.success || !inWorkspace(req, result.flow)) {
+        return res.status(404).json({
+          success: false,
+          error: result.error || 'Flow not found'
+        });
+      }
+      flowData = result.flow.flow_data;
+    }
+
+    const validation = flowData && typeof flowData === 'object'
+      ? validateFlow(flowData)
+      : { valid: false, errors: ['(root): flowData must be an object'] };
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'flowData does not match the flow schema',
+        validationErrors: validation.errors
+      });
+    }
+
+    if (!state) {
+      return res.json({ success: true, ...startSimulation(flowData) });
+    }
+    if (!flowData.nodes.some(node => node.id === state.nodeId)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown node "${state.nodeId}" in simulation state`
+      });
+    }
+
+    let classify;
+    if (matcher === 'llm') {
+      const llmConfig = resolveLlmConfig(req.body);
+      classify = (node, transitions, text) => classifyReply(node, transitions, text, llmConfig);
+    }
+
+    res.json({
+      success: true,
+      ...await stepSimulation(flowData, state, { reply, silence }, { classify })
+    });
+  } catch (error) {
+    console.error('Error simulating flow:', error);
+    res.status(error.code === 'INVALID_LLM_CONFIG' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to add a language variant of a saved flow, translated by the model.
+// Body: { language, changeNote? } plus the model settings of /api/upload.
+// Translating into a language the flow already has replaces that variant. Node IDs
+// and branching stay as they are; the result is saved as a new version.
+app.post('/api/flows/:id/translations', requireRole('editor'), async (req, res) => {
+  try {
+    const { language } = req.body || {};
+    if (!isLanguageCode(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'language must be a language code such as "es" or "pt-BR"'
+      });
+    }
+    if (!isLlmConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Translation needs OPENAI_API_KEY (or LLM_BASE_URL for a local model)'
+      });
+    }
+
+    const result = await getConversationFlow(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (result.flow.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Flow is in the trash; restore it first'
+      });
+    }
+
+    const flowData = storedFlowData(result.flow);
+    if (language === baseLanguage(flowData)) {
+      return res.status(400).json({
+        success: false,
+        error: `The flow is already in ${languageName(language)}`
+      });
+    }
+
+    const text = await translateFlowText(flowData, language, resolveLlmConfig(req.body));
+    const update = prepareFlowUpdate(setFlowTranslation(flowData, language, text));
+    if (update.errors) {
+      return res.status(502).json({
+        success: false,
+        error: 'The translation does not match the flow schema',
+        validationErrors: update.errors
+      });
+    }
+
+    const changeInfo = getChangeInfo(req);
+    const saved = await updateConversationFlow(req.params.id, {
+      flowData: update.flowData,
+      mermaidDiagram: update.mermaidDiagram,
+      author: changeInfo.author,
+      changeNote: changeInfo.changeNote || `Translated into ${languageName(language)}`
+    });
+
+    if (!saved.success) {
+      return res.status(updateErrorStatus(saved)).json({
+        success: false,
+        error: saved.error
+      });
+    }
+
+    res.json({
+      success: true,
+      language,
+      languages: flowLanguages(saved.flow.flow_data),
+      flow: saved.flow,
+      version: saved.version,
+      lint: lintFlow(saved.flow.flow_data)
+    });
+  } catch (error) {
+    console.error('Error translating flow:', error);
+    const status = { INVALID_LLM_CONFIG: 400, TRANSLATION_FAILED: 502 }[error.code] || 500;
+    res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// { name, campaign, tags }, each { before, after } when it differs between two versions,
+// else null. Versions from before campaign and tags were recorded (null tags) compare
+// by name only.
+function diffFlowDetails(before, after) {
+  const change = (field, isSame) => (isSame ? null : { before: before[field] ?? null, after: after[field] ?? null });
+  const hasDetails = Array.isArray(before.tags) && Array.isArray(after.tags);
+
+  return {
+    name: change('name', before.name === after.name),
+    campaign: change('campaign', !hasDetails || (before.campaign || null) === (after.campaign || null)),
+    tags: change('tags', !hasDetails || JSON.stringify(before.tags) === JSON.stringify(after.tags))
+  };
+}
+
+function parseVersionNumber(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// Optional token budget: undefined when not given, null when invalid
+function parseTokenBudget(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const budget = Number(value);
+  return Number.isInteger(budget) && budget > 0 ? budget : null;
+}
+
+// Query options for /api/flows/:id/diagram.*; returns { error } when one is invalid
+function parseDiagramOptions(query) {
+  const options = { theme: query.theme || DEFAULT_THEME };
+  if (!hasMermaidTheme(options.theme)) {
+    return { error: `Unknown theme "${options.theme}". Available: ${listMermaidThemes().map(t => t.id).join(', ')}` };
+  }
+
+  if (query.width !== undefined) {
+    options.width = Number(query.width);
+    if (!Number.isInteger(options.width) || options.width < 50 || options.width > 16384) {
+      return { error: 'width must be an integer between 50 and 16384' };
+    }
+  }
+
+  if (query.scale !== undefined) {
+    options.scale = Number(query.scale);
+    if (!Number.isFinite(options.scale) || options.scale < 0.25 || options.scale > 8) {
+      return { error: 'scale must be a number between 0.25 and 8' };
+    }
+  }
+
+  if (query.background !== undefined) {
+    if (!/^(transparent|#[0-9a-f]{3,8}|[a-z]+)$/i.test(query.background)) {
+      return { error: 'background must be a color name, a hex color or transparent' };
+    }
+    options.background = query.background;
+  }
+
+  return options;
+}
+
+// Saved flows from before language variants have no language; their transcripts tell
+function storedFlowData(flow) {
+  const flowData = flow.flow_data;
+  return flowData.language ? flowData : { ...flowData, language: transcriptLanguage(flow.transcriptions || []) };
+}
+
+// Error message for a requested language the flow has no variant for, or null
+function checkFlowLanguage(flowData, language) {
+  if (language === undefined || language === null || language === '') return null;
+
+  const languages = flowLanguages(flowData);
+  return languages.includes(language)
+    ? null
+    : `The flow has no "${language}" variant. Available: ${languages.join(', ')}`;
+}
+
+// Status for a failed updateConversationFlow: trashed flows can only be restored or purged
+function updateErrorStatus(result) {
+  if (result.notFound) return 404;
+  return result.trashed ? 409 : 500;
+}
+
+// Who made a change and why: the signed-in user or API key, and the change note from
+// the request body or X-Change-Note header
+function getChangeInfo(req) {
+  return {
+    author: req.auth?.actor,
+    changeNote: req.body?.changeNote || req.get('X-Change-Note') || undefined
+  };
+}
+
+// Validate edited flow data and regenerate its diagram
+function prepareFlowUpdate(flowData) {
+  if (!flowData || typeof flowData !== 'object') {
+    return { errors: ['(root): flowData must be an object'] };
+  }
+
+  const { mermaidDiagram: _previousDiagram, ...data } = flowData;
+  const validation = validateFlow(data);
+
+  if (!validation.valid) {
+    return { errors: validation.errors };
+  }
+
+  const mermaidDiagram = generateMermaidDiagram(data);
+  return {
+    flowData: { ...data, mermaidDiagram },
+    mermaidDiagram
+  };
+}
+
+// Make a node's outgoing edges match its nextActions, keeping existing edge labels
+function syncNodeEdges(edges, node) {
+  const targets = Object.entries(node.nextActions || {});
+  const synced = edges.filter(edge => edge.from !== node.id || targets.some(([, to]) => to === edge.to));
+
+  targets.forEach(([condition, to]) => {
+    if (!synced.some(edge => edge.from === node.id && edge.to === to)) {
+      synced.push({ from: node.id, to, condition });
+    }
+  });
+
+  return synced;
+}
+
+const uploadsDir = path.join('/tmp', 'uploads');
+fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, '/tmp/uploads/');
+  },
+  filename: (req, file, cb) => {
+    cb(null, Date.now() + '-' + file.originalname);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'audio/mpeg',
+      'audio/mp3',
+      'audio/wav',
+      'audio/x-wav',  // Some systems report WAV files as x-wav
+      'audio/wave',    // Alternative WAV mime type
+      'audio/webm',
+      'audio/mp4',
+      'audio/m4a',
+      'audio/ogg',
+      'audio/flac'
+    ];
+
+    console.log(`File upload attempted: ${file.originalname}, MIME: ${file.mimetype}`);
+
+    // Also check file extension as fallback
+    const allowedExtensions = ['.mp3', '.wav', '.m4a', '.mp4', '.webm', '.ogg', '.flac'];
+    const fileExtension = path.extname(file.originalname).toLowerCase();
+
+    // Text transcripts (TXT, SRT, VTT, utterance JSON) skip transcription entirely.
+    // Text MIME types are too generic to trust, so transcripts are matched by extension.
+    if (isTranscriptFile(file)) {
+      console.log('Transcript file accepted for upload');
+      cb(null, true);
+    } else if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
+      console.log('File accepted for upload');
+      cb(null, true);
+    } else {
+      console.log(`File rejected: Invalid type - ${file.mimetype}, extension: ${fileExtension}`);
+      cb(new Error(`Invalid file type. Only audio files or transcripts (${TRANSCRIPT_EXTENSIONS.join(', ')}) are allowed. Received: ${file.mimetype}`));
+    }
+  },
+  limits: {
+    fileSize: 50 * 1024 * 1024,  // 50MB per file
+    fieldSize: 50 * 1024 * 1024,  // 50MB field size
+    files: 10  // Max 10 files
+  }
+});
+
+app.post('/api/upload', requireRole('editor'), upload.array('audioFiles', 10), async (req, res) => {
+  const files = req.files || [];
+  // Set once the job owns the files; processUploadJob removes them when it is done
+  let started = false;
+  try {
+    console.log('Upload request received');
+    console.log('Files received:', files.length);
+
+    if (files.length === 0) {
+      throw new Error('No files received in upload request');
+    }
+
+    // Validate API keys before processing (transcript files don't need transcription)
+    const hasAudio = files.some(file => !isTranscriptFile(file));
+    if (hasAudio && transcriptionProvider.name === 'assemblyai' && (!process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLYAI_API_KEY === 'your_assemblyai_api_key_here')) {
+      throw new Error('AssemblyAI API key is not configured. Please set ASSEMBLYAI_API_KEY in your .env file');
+    }
+    if (!isLlmConfigured()) {
+      throw new Error('OpenAI API key is not configured. Please set OPENAI_API_KEY (or LLM_BASE_URL for a local model) in your .env file');
+    }
+
+    // Per-request model settings (model, temperature, maxTokens, fallbackModels, jsonMode)
+    const llmConfig = resolveLlmConfig(req.body);
+
+    // Process in the background and hand the client a job to follow (or, with
+    // RUN_JOBS_INLINE, the finished job)
+    const job = createJob(files, { workspaceId: req.workspace.id });
+    console.log(`Created job ${job.id} for ${files.length} file(s)`);
+
+    // Flow name, description, campaign and tags. Missing name/description are suggested by the model
+    // unless suggestDetails is "false".
+    const details = {
+      name: req.body?.name,
+      description: req.body?.description,
+      campaign: req.body?.campaign,
+      tags: req.body?.tags,
+      workspaceId: req.workspace.id,
+      suggest: req.body?.suggestDetails !== 'false'
+    };
+
+    // With reviewSpeakerRoles "true" the job pauses after transcription until the
+    // client confirms the speaker roles (POST /api/jobs/:id/speaker-roles). Inline jobs
+    // cannot wait for that, so they keep the suggested roles.
+    const processing = processUploadJob(job.id, files, llmConfig, {
+      language: req.body?.language,
+      details,
+      reviewSpeakerRoles: !RUN_JOBS_INLINE && req.body?.reviewSpeakerRoles === 'true'
+    });
+    started = true;
+    if (RUN_JOBS_INLINE) await processing;
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: RUN_JOBS_INLINE ? getJob(job.id) : job
+    });
+
+  } catch (error) {
+    console.error('Detailed error:', error);
+    console.error('Error stack:', error.stack);
+    if (!started) {
+      for (const file of files) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+    }
+    res.status(error.code === 'INVALID_LLM_CONFIG' ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      details: error.toString()
+    });
+  }
+});
+
+// API endpoint to get the status (and result, once finished) of an upload job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+// API endpoint to confirm or correct the speaker roles of a job paused for review.
+// Body: { transcripts: [{ speakers: { A: "agent", B: "customer" } }] }, one entry per
+// transcription in the order the job listed them
+app.post('/api/jobs/:id/speaker-roles', requireRole('editor'), (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  if (job.status !== 'awaiting_input' || job.input?.type !== 'speaker_roles') {
+    return res.status(409).json({
+      success: false,
+      error: 'Job is not waiting for speaker roles'
+    });
+  }
+
+  const transcripts = req.body?.transcripts;
+  const validationErrors = [];
+  if (!Array.isArray(transcripts) || transcripts.length !== job.input.transcripts.length) {
+    validationErrors.push(`transcripts must be an array with one entry per transcription (${job.input.transcripts.length})`);
+  } else {
+    transcripts.forEach((transcript, index) => {
+      const expected = job.input.transcripts[index].speakers.map(speaker => speaker.speaker);
+      Object.entries(transcript?.speakers || {}).forEach(([speaker, role]) => {
+        if (!expected.includes(speaker)) {
+          validationErrors.push(`transcripts[${index}]: unknown speaker "${speaker}"`);
+        } else if (!isSpeakerRole(role)) {
+          validationErrors.push(`transcripts[${index}].speakers.${speaker}: role must be one of ${SPEAKER_ROLES.join(', ')}`);
+        }
+      });
+    });
+  }
+
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid speaker roles',
+      validationErrors
+    });
+  }
+
+  provideJobInput(job.id, transcripts.map(transcript => transcript.speakers || {}));
+  res.json({
+    success: true,
+    job: getJob(job.id)
+  });
+});
+
+// Server-Sent Events stream of job progress updates
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendJob = (current) => {
+    if (current.status === 'completed') {
+      send('completed', current);
+    } else if (current.status === 'failed') {
+      send('failed', current);
+    } else {
+      send('progress', current);
+    }
+  };
+
+  sendJob(job);
+  if (isFinished(job)) {
+    return res.end();
+  }
+
+  // Keep proxies from closing an idle connection during long transcriptions
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const unsubscribe = subscribeToJob(job.id, (current) => {
+    sendJob(current);
+    if (isFinished(current)) {
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+// Whether a request carries PII_ACCESS_TOKEN in X-PII-Access-Token. Without the
+// variable set, nobody can read redacted values through the API.
+function hasPiiAccess(req) {
+  const expected = process.env.PII_ACCESS_TOKEN;
+  const given = req.get('X-PII-Access-Token');
+  if (!expected || !given) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// API endpoint to read the values redacted from a flow's transcriptions (kept when
+// PII_KEEP_ORIGINALS is on). Needs the X-PII-Access-Token header.
+app.get('/api/flows/:id/pii', requireRole('admin'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const result = await getConversationFlows(limit);
+    if (!hasPiiAccess(req)) {
+      return res.status(403).json({
+        success: false,
+        error: process.env.PII_ACCESS_TOKEN
+          ? 'A valid X-PII-Access-Token header is required'
+          : 'Reading redacted values is disabled (set PII_ACCESS_TOKEN)'
+      });
+    }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        flows: result.flows
+    const flowResult = await getConversationFlow(req.params.id);
+    if (!flowResult.success) {
+      return res.status(404).json({
+        success: false,
+        error: flowResult.error
       });
-    } else {
-      res.status(500).json({
+    }
+
+    const result = await getPiiOriginals(req.params.id);
+    if (!result.success) {
+      return res.status(500).json({
         success: false,
         error: result.error
       });
     }
+
+    console.log(`Redacted values of flow ${req.params.id} read from ${req.ip}`);
+    res.json({
+      success: true,
+      originals: result.originals
+    });
   } catch (error) {
-    console.error('Error fetching flows:', error);
+    console.error('Error fetching redacted values:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -83,25 +2215,25 @@ app.get('/api/flows', async (req, res) => {
   }
 });
 
-// API endpoint to get a single conversation flow with details
-app.get('/api/flows/:id', async (req, res) => {
+// API endpoint to replay a flow's stored transcripts against it: how many agent turns
+// the flow explains, which customer replies fell through every branch and which
+// nodes and edges no call used
+app.get('/api/flows/:id/coverage', async (req, res) => {
   try {
-    const flowId = req.params.id;
-    const result = await getConversationFlow(flowId);
-
-    if (result.success) {
-      res.json({
-        success: true,
-        flow: result.flow
-      });
-    } else {
-      res.status(404).json({
+    const result = await getConversationFlow(req.params.id);
+    if (!result.success) {
+      return res.status(404).json({
         success: false,
         error: result.error
       });
     }
+
+    res.json({
+      success: true,
+      ...computeCoverage(result.flow.flow_data, result.flow.transcriptions || [])
+    });
   } catch (error) {
-    console.error('Error fetching flow:', error);
+    console.error('Error computing coverage:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -109,199 +2241,472 @@ app.get('/api/flows/:id', async (req, res) => {
   }
 });
 
-const uploadsDir = path.join('/tmp', 'uploads');
-fs.mkdir(uploadsDir, { recursive: true }).catch(console.error);
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, '/tmp/uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    const allowedMimes = [
-      'audio/mpeg',
-      'audio/mp3',
-      'audio/wav',
-      'audio/x-wav',  // Some systems report WAV files as x-wav
-      'audio/wave',    // Alternative WAV mime type
-      'audio/webm',
-      'audio/mp4',
-      'audio/m4a',
-      'audio/ogg',
-      'audio/flac'
-    ];
-
-    console.log(`File upload attempted: ${file.originalname}, MIME: ${file.mimetype}`);
-
-    // Also check file extension as fallback
-    const allowedExtensions = ['.mp3', '.wav', '.m4a', '.mp4', '.webm', '.ogg', '.flac'];
-    const fileExtension = path.extname(file.originalname).toLowerCase();
-
-    if (allowedMimes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
-      console.log('File accepted for upload');
-      cb(null, true);
-    } else {
-      console.log(`File rejected: Invalid type - ${file.mimetype}, extension: ${fileExtension}`);
-      cb(new Error(`Invalid file type. Only audio files are allowed. Received: ${file.mimetype}`));
-    }
-  },
-  limits: {
-    fileSize: 50 * 1024 * 1024,  // 50MB per file
-    fieldSize: 50 * 1024 * 1024,  // 50MB field size
-    files: 10  // Max 10 files
-  }
-});
-
-app.post('/api/upload', upload.array('audioFiles', 10), async (req, res) => {
+// API endpoint to check new recordings or transcripts against a stored flow.
+// Runs as a job like /api/upload; the finished job's result is { coverage, transcriptions }.
+// Nothing is stored.
+app.post('/api/flows/:id/coverage', requireRole('editor'), upload.array('audioFiles', 10), async (req, res) => {
+  const files = req.files || [];
   try {
-    // Validate API keys before processing
-    if (!process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLYAI_API_KEY === 'your_assemblyai_api_key_here') {
-      throw new Error('AssemblyAI API key is not configured. Please set ASSEMBLYAI_API_KEY in your .env file');
-    }
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-      throw new Error('OpenAI API key is not configured. Please set OPENAI_API_KEY in your .env file');
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files received in coverage request'
+      });
     }
 
-    console.log('Upload request received');
-    console.log('Files received:', req.files?.length || 0);
-
-    if (!req.files || req.files.length === 0) {
-      throw new Error('No files received in upload request');
+    const hasAudio = files.some(file => !isTranscriptFile(file));
+    if (hasAudio && transcriptionProvider.name === 'assemblyai' && (!process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLYAI_API_KEY === 'your_assemblyai_api_key_here')) {
+      throw new Error('AssemblyAI API key is not configured. Please set ASSEMBLYAI_API_KEY in your .env file');
     }
 
-    // Ensure storage bucket exists
-    await ensureStorageBucket();
-
-    const transcriptions = [];
-    const audioFileData = [];
-
-    for (const file of req.files) {
-      console.log(`Processing file: ${file.filename}`);
-      console.log(`File details:`, {
-        originalName: file.originalname,
-        mimeType: file.mimetype,
-        size: file.size,
-        path: file.path
+    const result = await getConversationFlow(req.params.id);
+    if (!result.success) {
+      for (const file of files) {
+        await fs.unlink(file.path).catch(() => {});
+      }
+      return res.status(404).json({
+        success: false,
+        error: result.error
       });
+    }
 
-      // Upload and transcribe the audio file
-      console.log(`Starting transcription for ${file.filename}...`);
+    const job = createJob(files, { workspaceId: req.workspace.id });
+    console.log(`Created coverage job ${job.id} for ${files.length} file(s)`);
+    const processing = processCoverageJob(job.id, files, result.flow.flow_data, { language: req.body?.language });
+    if (RUN_JOBS_INLINE) await processing;
 
-      let uploadUrl;
-      try {
-        // First, upload the file to AssemblyAI
-        console.log('Uploading to AssemblyAI...');
-        const uploadResponse = await assemblyAI.files.upload(file.path);
-        console.log('Upload response:', uploadResponse);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: RUN_JOBS_INLINE ? getJob(job.id) : job
+    });
+  } catch (error) {
+    console.error('Error starting coverage job:', error);
+    for (const file of files) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-        // The upload response should have an upload_url property
-        uploadUrl = uploadResponse.upload_url || uploadResponse;
+// Parse transcript files and transcribe audio files, reporting each file's stage to the job.
+// Resolves to { transcriptions, audioFileData }, with the audio files kept for storage.
+async function transcribeJobFiles(jobId, files, { language } = {}) {
+  const transcriptions = [];
+  const audioFileData = [];
+
+  for (const [index, file] of files.entries()) {
+    console.log(`Processing file: ${file.filename}`);
+    console.log(`File details:`, {
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      path: file.path
+    });
 
-        if (!uploadUrl) {
-          throw new Error('No upload URL received from AssemblyAI');
-        }
+    // Transcripts go straight into the transcriptions list
+    if (isTranscriptFile(file)) {
+      console.log(`Parsing transcript file ${file.originalname}...`);
+      setFileStage(jobId, index, 'transcribing');
+      transcriptions.push(await parseTranscriptFile(file, { language }));
+      setFileStage(jobId, index, 'transcribing', 'completed');
+      continue;
+    }
 
-        console.log('File uploaded successfully, URL:', uploadUrl);
-      } catch (uploadError) {
-        console.error('AssemblyAI upload error:', uploadError);
-        throw new Error(`Failed to upload file to AssemblyAI: ${uploadError.message}`);
-      }
+    // Keep file data for the audio upload
+    audioFileData.push({
+      path: file.path,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    });
 
-      const transcriptData = {
-        audio_url: uploadUrl,  // Use the uploaded URL
-        speaker_labels: true,
-        speakers_expected: 2,
-        language_detection: true
-      };
+    // Upload and transcribe the audio file
+    console.log(`Starting transcription for ${file.filename} with ${transcriptionProvider.name}...`);
 
-      console.log('Creating transcript with data:', transcriptData);
-      const transcript = await assemblyAI.transcripts.transcribe(transcriptData);
+    const transcription = await transcriptionProvider.transcribe(file, {
+      onStage: stage => setFileStage(jobId, index, stage)
+    });
+    transcriptions.push(transcription);
 
-      // Poll for completion
-      let completedTranscript = transcript;
-      while (completedTranscript.status !== 'completed' && completedTranscript.status !== 'error') {
-        console.log('Transcript status:', completedTranscript.status);
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-        completedTranscript = await assemblyAI.transcripts.get(transcript.id);
-      }
+    setFileStage(jobId, index, 'transcribing', 'completed');
+  }
 
-      if (completedTranscript.status === 'error') {
-        console.error('Transcription error:', completedTranscript.error);
-        throw new Error(`Transcription failed: ${completedTranscript.error}`);
-      }
+  return { transcriptions, audioFileData };
+}
 
-      console.log('Transcript completed');
-      console.log('Utterances count:', completedTranscript.utterances?.length || 0);
+// Transcribe, analyze and store the uploaded files, reporting each stage to the job
+async function processUploadJob(jobId, files, llmConfig, { language, details = {}, reviewSpeakerRoles = false } = {}) {
+  try {
+    // Ensure storage bucket exists
+    await ensureStorageBucket();
 
-      const finalTranscript = completedTranscript;
+    const transcribed = await transcribeJobFiles(jobId, files, { language });
+    const { transcriptions, originals } = redactJobTranscriptions(jobId, transcribed.transcriptions);
 
-      // Keep file data for Supabase upload
-      audioFileData.push({
-        path: file.path,
-        originalname: file.originalname,
-        mimetype: file.mimetype,
-        size: file.size
-      });
+    setJobStage(jobId, 'assigning_roles');
+    for (const transcription of transcriptions) {
+      transcription.speakerRoles = await classifySpeakerRoles(transcription, llmConfig);
+    }
+    if (reviewSpeakerRoles) {
+      await reviewJobSpeakerRoles(jobId, transcriptions);
+    }
 
-      transcriptions.push({
-        filename: file.originalname,
-        text: finalTranscript.text,
-        utterances: finalTranscript.utterances || [],
-        language: finalTranscript.language_code || 'en'
-      });
+    const { flowData, generation, skippedCalls } = await analyzeCalls(transcriptions, llmConfig, (current, total) => {
+      setJobStage(jobId, 'analyzing', { current, total });
+    });
+    // The model writes the prompts in the calls' language
+    flowData.language = transcriptLanguage(transcriptions);
+
+    // Store the conversation flow
+    setJobStage(jobId, 'storing');
+    const { suggest, ...flowDetails } = details;
+    if (suggest && (!flowDetails.name?.trim() || !flowDetails.description?.trim())) {
+      const suggestion = await suggestFlowDetails(transcriptions, flowData, llmConfig);
+      flowDetails.name = flowDetails.name?.trim() || suggestion?.name;
+      flowDetails.description = flowDetails.description?.trim() || suggestion?.description;
     }
 
-    const flowData = await analyzeConversationFlow(transcriptions);
+    // A job that expired meanwhile has already failed, and nobody will pick up its flow
+    const job = getJob(jobId);
+    if (!job || isFinished(job)) {
+      console.log(`Job ${jobId} finished before its flow was stored; dropping the result`);
+      return;
+    }
 
-    // Store the conversation flow in Supabase
     const storeResult = await storeConversationFlow(
       flowData,
       transcriptions,
-      flowData.mermaidDiagram
+      flowData.mermaidDiagram,
+      { llm: generation, skipped_calls: skippedCalls },
+      flowDetails
     );
 
-    // Upload audio files to Supabase Storage
-    if (storeResult.success && storeResult.flowId) {
-      for (const audioFile of audioFileData) {
-        await uploadAudioFile(audioFile, storeResult.flowId);
-        // Clean up temp file after upload
-        await fs.unlink(audioFile.path);
+    if (storeResult.success && storeResult.flowId && originals.length > 0) {
+      const kept = await storePiiOriginals(storeResult.flowId, originals);
+      if (!kept.success) {
+        console.error(`Could not keep the redacted values of flow ${storeResult.flowId}:`, kept.error);
       }
-    } else {
-      // Clean up temp files even if storage failed
-      for (const audioFile of audioFileData) {
-        await fs.unlink(audioFile.path);
+    }
+
+    // Upload audio files to storage, keeping their URLs for playback
+    const audioFiles = [];
+    if (storeResult.success && storeResult.flowId) {
+      for (const audioFile of transcribed.audioFileData) {
+        const upload = await uploadAudioFile(audioFile, storeResult.flowId);
+        if (upload.success) {
+          audioFiles.push({ file_name: audioFile.originalname, file_url: upload.url });
+        }
       }
     }
 
-    res.json({
-      success: true,
+    completeJob(jobId, {
       transcriptions,
       flowData,
+      lint: lintFlow(flowData),
+      llm: generation,
+      skippedCalls,
+      audioFiles,
       flowId: storeResult.flowId || null,
+      details: storeResult.details || null,
       storageResult: storeResult
     });
+    console.log(`Job ${jobId} completed`);
 
   } catch (error) {
-    console.error('Detailed error:', error);
+    console.error(`Job ${jobId} failed:`, error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.toString()
+    failJob(jobId, error);
+  } finally {
+    // Clean up temp files whether or not storage succeeded
+    for (const file of files) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+}
+
+// Replace PII in freshly transcribed calls before the model, the job result or storage
+// see them. Returns { transcriptions, originals }; originals lists the redacted values
+// per transcription (for storePiiOriginals) and is empty unless PII_KEEP_ORIGINALS is on.
+function redactJobTranscriptions(jobId, transcriptions) {
+  if (!piiRedaction.enabled) return { transcriptions, originals: [] };
+
+  setJobStage(jobId, 'redacting');
+  const originals = [];
+  const redacted = transcriptions.map((transcription, transcriptIndex) => {
+    const result = redactTranscription(transcription, piiRedaction);
+    if (piiRedaction.keepOriginals && result.entities.length > 0) {
+      originals.push({ transcriptIndex, filename: transcription.filename, entities: result.entities });
+    }
+    const counts = Object.entries(result.transcription.redaction.entities).map(([type, count]) => `${type} x${count}`);
+    console.log(`Redacted ${transcription.filename}: ${counts.join(', ') || 'nothing found'}`);
+    return result.transcription;
+  });
+
+  return { transcriptions: redacted, originals };
+}
+
+// Pause the job until the client confirms each transcription's speaker roles.
+// Without an answer (timeout) the classified roles are kept.
+async function reviewJobSpeakerRoles(jobId, transcriptions) {
+  const reviewable = transcriptions.filter(transcription => Object.keys(transcription.speakerRoles).length > 0);
+  if (reviewable.length === 0) return;
+
+  const answer = await waitForJobInput(jobId, {
+    type: 'speaker_roles',
+    transcripts: reviewable.map(transcription => ({
+      filename: transcription.filename,
+      speakers: Object.entries(transcription.speakerRoles).map(([speaker, assignment]) => ({
+        speaker,
+        ...assignment,
+        samples: (transcription.utterances || [])
+          .filter(utterance => utterance.speaker === speaker && utterance.text?.trim())
+          .slice(0, 3)
+          .map(utterance => utterance.text)
+      }))
+    }))
+  });
+  if (!answer) return;
+
+  reviewable.forEach((transcription, index) => {
+    const confirmed = normalizeSpeakerRoles(transcription, answer[index], transcription.speakerRoles, 'user');
+    Object.values(confirmed).forEach(assignment => {
+      if (assignment.source === 'user') assignment.confidence = 1;
+      assignment.confirmed = true;
     });
+    transcription.speakerRoles = confirmed;
+  });
+}
+
+// Transcribe the files and replay them against an existing flow
+async function processCoverageJob(jobId, files, flowData, { language } = {}) {
+  try {
+    const transcribed = await transcribeJobFiles(jobId, files, { language });
+    const { transcriptions } = redactJobTranscriptions(jobId, transcribed.transcriptions);
+
+    setJobStage(jobId, 'analyzing');
+    completeJob(jobId, {
+      coverage: computeCoverage(flowData, transcriptions),
+      transcriptions
+    });
+    console.log(`Coverage job ${jobId} completed`);
+  } catch (error) {
+    console.error(`Coverage job ${jobId} failed:`, error);
+    failJob(jobId, error);
+  } finally {
+    for (const file of files) {
+      await fs.unlink(file.path).catch(() => {});
+    }
   }
-});
+}
+
+// Analyze each recording on its own, then merge the per-call flows into one
+// consolidated flow whose edges count how many calls took each branch.
+// A call that fails analysis is skipped as long as at least one call succeeds.
+async function analyzeCalls(transcriptions, llmConfig, onProgress = () => {}) {
+  const callFlows = [];
+  const skippedCalls = [];
+  let generation = null;
+
+  for (const [index, transcription] of transcriptions.entries()) {
+    onProgress(index + 1, transcriptions.length);
+
+    try {
+      const { generation: callGeneration, mermaidDiagram, ...flow } = await analyzeConversationFlow([transcription], llmConfig);
+
+      if (!flow.nodes || flow.nodes.length === 0) {
+        throw new Error('No transcript text available');
+      }
+
+      generation = generation || callGeneration;
+      callFlows.push({ filename: transcription.filename, flow, mermaidDiagram, transcription });
+    } catch (error) {
+      if (transcriptions.length === 1) throw error;
+
+      console.error(`Skipping ${transcription.filename} from consolidated flow:`, error.message);
+      skippedCalls.push({
+        filename: transcription.filename,
+        error: error.message,
+        errorCode: error.code || null,
+        errorDetails: error.details || null
+      });
+    }
+  }
+
+  if (callFlows.length === 0) {
+    const error = new Error('None of the uploaded calls could be analyzed');
+    error.code = skippedCalls.every(call => call.errorCode === 'FLOW_VALIDATION_FAILED') ? 'FLOW_VALIDATION_FAILED' : 'ANALYSIS_FAILED';
+    error.details = { skippedCalls };
+    throw error;
+  }
+
+  if (callFlows.length === 1) {
+    const [{ flow, mermaidDiagram }] = callFlows;
+    return { flowData: { ...flow, mermaidDiagram }, generation, skippedCalls };
+  }
+
+  console.log(`Merging ${callFlows.length} per-call flows`);
+  const flowData = mergeFlows(callFlows);
+  flowData.callFlows = callFlows.map(({ filename, flow }) => ({
+    filename,
+    nodes: flow.nodes,
+    edges: flow.edges
+  }));
+  flowData.mermaidDiagram = generateMermaidDiagram(flowData);
+
+  return { flowData, generation, skippedCalls };
+}
+
+// Ask the model for a short name and one-sentence summary of the calls.
+// Resolves to { name, description }, or null if the model gives nothing usable.
+async function suggestFlowDetails(transcriptions, flowData, llmConfig) {
+  const transcriptText = transcriptions
+    .map(t => `${t.filename}:\n${t.text || ''}`)
+    .join('\n\n')
+    .slice(0, 6000);
+  const steps = (flowData.nodes || []).map(node => `- ${node.content}`).join('\n');
+
+  const messages = [
+    { role: 'system', content: 'You name and summarize call flows for a library of voice agent scripts. You must respond ONLY with valid JSON, no other text.' },
+    {
+      role: 'user',
+      content: `Suggest a name and summary for this conversation flow.
+
+Flow steps:
+${steps}
+
+Transcript excerpt:
+${transcriptText}
+
+Return {"name": "...", "summary": "..."} where name has at most 8 words and says what the calls are about (for example "Overdue payment reminder"), and summary is one or two sentences describing the purpose and main outcomes. Write both in the language of the transcript.`
+    }
+  ];
+
+  try {
+    const completion = await completeJson(messages, { ...llmConfig, maxTokens: 300 });
+    const parsed = parseFlowJson(completion.content);
+    const name = typeof parsed.value?.name === 'string' ? parsed.value.name.trim().slice(0, 120) : '';
+    const description = typeof parsed.value?.summary === 'string' ? parsed.value.summary.trim().slice(0, 500) : '';
+
+    if (!name && !description) return null;
+    return { name: name || undefined, description: description || undefined };
+  } catch (error) {
+    console.error('Could not suggest flow name and summary:', error.message);
+    return null;
+  }
+}
+
+// Ask the model which route a caller's reply takes from a node.
+// Resolves to a nextActions key, or null when no route fits.
+async function classifyReply(node, transitions, reply, llmConfig) {
+  const routes = transitions.map(transition => `- "${transition.action}": ${transition.label}`).join('\n');
+  const hints = node.listenFor?.length ? `\nPhrases the agent listens for here: ${node.listenFor.join(', ')}\n` : '';
+
+  const messages = [
+    { role: 'system', content: 'You classify caller replies for a voice agent call flow. You must respond ONLY with valid JSON, no other text.' },
+    {
+      role: 'user',
+      content: `The agent said: "${node.fullPrompt}"
+The caller replied: "${reply}"
+
+Possible routes:
+${routes}
+${hints}
+Return {"route": "..."} with the key of the route the reply matches, or {"route": null} if none fits.`
+    }
+  ];
+
+  const completion = await completeJson(messages, { ...llmConfig, maxTokens: 100 });
+  const parsed = parseFlowJson(completion.content);
+  const route = parsed.value?.route;
+  return transitions.some(transition => transition.action === route) ? route : null;
+}
+
+// Ask the model to translate a flow's prompts, examples, retry prompts, listenFor
+// phrases, global instructions and error handling. Resolves to text shaped like
+// translatableText (lib/flow-languages.js); fails with error.code TRANSLATION_FAILED
+// when the answer leaves any node without a prompt.
+async function translateFlowText(flowData, language, llmConfig) {
+  const source = translatableText(localizeFlow(flowData));
+  const target = `${languageName(language)} (${language})`;
+
+  const messages = [
+    { role: 'system', content: 'You translate voice agent call scripts. You must respond ONLY with valid JSON, no other text.' },
+    {
+      role: 'user',
+      content: `Translate this call flow from ${languageName(baseLanguage(flowData))} into ${target}.
+
+- Return the same JSON structure with the same node IDs and keys. Translate only the text values
+- Keep placeholders in square brackets, such as [Customer Name], exactly as they are
+- Write natural spoken language for a phone call, keeping the tone and formality of the original
+- listenFor lists what callers say. Give the phrases callers would actually use in ${languageName(language)}, not word-for-word translations
+
+${JSON.stringify(source, null, 2)}`
+    }
+  ];
+
+  const completion = await completeJson(messages, llmConfig);
+  const parsed = parseFlowJson(completion.content);
+  const text = matchTranslatableText(source, parsed.value);
+
+  const missing = flowData.nodes.filter(node => !text.nodes[node.id]?.fullPrompt?.trim()).map(node => node.id);
+  if (missing.length > 0) {
+    const error = new Error(`The model's ${languageName(language)} translation has no prompt for: ${missing.join(', ')}`);
+    error.code = 'TRANSLATION_FAILED';
+    throw error;
+  }
+
+  return text;
+}
 
-async function analyzeConversationFlow(transcriptions) {
+// Label each diarized speaker as agent, customer, IVR or third party. The model
+// decides when it answers with a usable mapping; the heuristic fills in otherwise.
+// Resolves to { [speaker]: { role, confidence, source } }.
+async function classifySpeakerRoles(transcription, llmConfig) {
+  const heuristic = classifySpeakersHeuristic(transcription);
+  if (Object.keys(heuristic).length < 2) return heuristic;
+
+  const excerpt = (transcription.utterances || [])
+    .filter(utterance => utterance.text?.trim())
+    .slice(0, 40)
+    .map(utterance => `Speaker ${utterance.speaker}: ${utterance.text}`)
+    .join('\n')
+    .slice(0, 6000);
+
+  const messages = [
+    { role: 'system', content: 'You identify the speakers in call center recordings. You must respond ONLY with valid JSON, no other text.' },
+    {
+      role: 'user',
+      content: `Label each speaker in this call transcript with one role:
+- "agent": the company's representative or voice agent running the call
+- "customer": the person the call is with
+- "ivr": recorded menus, hold messages or voicemail greetings
+- "third_party": anyone else, such as a relative answering for the customer
+
+Transcript:
+${excerpt}
+
+Return {"speakers": {"A": {"role": "agent", "confidence": 0.9}, ...}} with every speaker label and a confidence between 0 and 1.`
+    }
+  ];
+
+  try {
+    const completion = await completeJson(messages, { ...llmConfig, maxTokens: 300 });
+    const parsed = parseFlowJson(completion.content);
+    return normalizeSpeakerRoles(transcription, parsed.value?.speakers, heuristic, 'llm');
+  } catch (error) {
+    console.error(`Could not classify speakers of ${transcription.filename}:`, error.message);
+    return heuristic;
+  }
+}
+
+async function analyzeConversationFlow(transcriptions, llmConfig = resolveLlmConfig()) {
   let transcriptText = '';
   let hasSpeakerSeparation = false;
+  let hasSpeakerRoles = false;
 
   try {
     console.log('Analyzing conversation flow for', transcriptions.length, 'transcription(s)');
@@ -315,7 +2720,9 @@ async function analyzeConversationFlow(transcriptions) {
       hasSpeakerSeparation = uniqueSpeakers.size > 1;
 
       if (hasSpeakerSeparation) {
-        transcriptText = allUtterances.map(u => `Speaker ${u.speaker}: ${u.text}`).join('\n');
+        // Lines carry the speaker's role when one was assigned, e.g. "Agent (speaker A): ..."
+        transcriptText = transcriptions.map(formatTranscriptWithRoles).filter(Boolean).join('\n');
+        hasSpeakerRoles = transcriptions.some(t => Object.keys(t.speakerRoles || {}).length > 0);
         console.log('Using speaker-separated utterances:', allUtterances.length, 'speakers:', uniqueSpeakers.size);
       } else {
         // All same speaker - need to infer conversation structure
@@ -351,47 +2758,13 @@ async function analyzeConversationFlow(transcriptions) {
 
   // If no speaker separation, try to split the conversation manually
   if (!hasSpeakerSeparation && transcriptText) {
-    const sentences = transcriptText
-      .split(/[.?!]+/)
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
+    const sentences = inferSentenceRoles(transcriptText);
 
     if (sentences.length > 0) {
-      // Reconstruct with inferred speakers based on patterns
-      const inferredConversation = sentences.map((sentence, index) => {
-        // Common agent patterns (Spanish and English)
-        const agentPatterns = [
-          /hablo de parte de/i,
-          /me comunico con/i,
-          /le llamo por/i,
-          /dejar[é|e] registro/i,
-          /necesita ayuda/i,
-          /puede realizar/i,
-          /calling from/i,
-          /this is.*from/i,
-          /can help you/i
-        ];
-
-        // Common customer patterns
-        const customerPatterns = [
-          /s[í|i] se[ñ|n]orita/i,
-          /s[í|i] se[ñ|n]or/i,
-          /un gusto/i,
-          /okay/i,
-          /yes/i,
-          /no problem/i
-        ];
-
-        const isAgent = agentPatterns.some(pattern => pattern.test(sentence));
-        const isCustomer = customerPatterns.some(pattern => pattern.test(sentence));
-
-        // Default to alternating if unclear
-        const speaker = isAgent ? 'Agent' : isCustomer ? 'Customer' : (index % 2 === 0 ? 'Agent' : 'Customer');
-
-        return `${speaker}: ${sentence}`;
-      }).join('\n');
-
-      transcriptText = inferredConversation;
+      // Reconstruct with speakers inferred from content patterns
+      transcriptText = sentences
+        .map(sentence => `${roleLabel(sentence.role)}: ${sentence.text}`)
+        .join('\n');
       console.log('Inferred conversation structure from content patterns');
     }
   }
@@ -399,6 +2772,7 @@ async function analyzeConversationFlow(transcriptions) {
   const prompt = `Analyze this conversation transcript and create a structured voice AI agent flow following industry best practices.
 
 ${!hasSpeakerSeparation ? 'NOTE: This transcript does not have speaker separation. Please analyze the content to identify conversation turns between agent and customer based on context clues like greetings, questions, confirmations, etc.' : ''}
+${hasSpeakerRoles ? 'NOTE: Each line is labelled with the speaker\'s role. Build the agent\'s steps from the Agent lines only; IVR lines are recorded menus or messages and Third party lines come from someone answering for the customer.' : ''}
 
 Transcript:
 ${transcriptText}
@@ -464,176 +2838,102 @@ CRITICAL REQUIREMENTS:
 - End gracefully regardless of outcome
 - Extract actual patterns and phrases from the transcript`;
 
+  const messages = [
+    { role: 'system', content: 'You are an expert voice AI agent designer. You must respond ONLY with valid JSON, no other text.' },
+    { role: 'user', content: prompt + '\n\nRemember: Respond ONLY with valid JSON.' }
+  ];
+
+  let generation = null;
+  let flowData;
+  let errors = [];
+
   try {
-    console.log('Sending request to OpenAI...');
     console.log('Prompt length:', prompt.length, 'characters');
 
-    let response;
-    try {
-      // Try GPT-4 first (without json_object format which might cause issues)
-      response = await openai.chat.completions.create({
-        model: 'gpt-4-0125-preview',  // Using GPT-4 Turbo latest stable version
-        messages: [
-          { role: 'system', content: 'You are an expert voice AI agent designer. You must respond ONLY with valid JSON, no other text.' },
-          { role: 'user', content: prompt + '\n\nRemember: Respond ONLY with valid JSON.' }
-        ],
-        temperature: 0.3,  // Lower temperature for more consistent output
-        max_tokens: 4000  // Ensure we have enough tokens for response
-      });
-      console.log('GPT-4 response received successfully');
-    } catch (gpt4Error) {
-      console.error('GPT-4 failed, trying GPT-3.5:', gpt4Error.message);
-
-      // Fallback to GPT-3.5
-      try {
-        response = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',  // Use standard GPT-3.5
-          messages: [
-            { role: 'system', content: 'You are an expert at analyzing conversations. Respond ONLY with valid JSON.' },
-            { role: 'user', content: prompt.substring(0, 3000) + '\n\nRespond ONLY with valid JSON.' }  // Shorter prompt for GPT-3.5
-          ],
-          temperature: 0.3,
-          max_tokens: 2000
-        });
-        console.log('GPT-3.5 fallback successful');
-      } catch (gpt35Error) {
-        console.error('Both GPT-4 and GPT-3.5 failed');
-        console.error('GPT-3.5 error:', gpt35Error.message);
-        console.error('Error response:', gpt35Error.response?.data);
-        console.error('Error status:', gpt35Error.response?.status);
-
-        // Log the API key status for debugging (safely)
-        const apiKeySet = !!process.env.OPENAI_API_KEY;
-        const keyPrefix = process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 10) : 'Not set';
-        console.error('OpenAI API Key configured:', apiKeySet, 'Prefix:', keyPrefix);
-
-        throw gpt35Error;
+    // Ask for the flow, then feed validation errors back for a bounded number of repairs
+    for (let attempt = 0; attempt <= FLOW_REPAIR_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        console.log(`Requesting flow repair (attempt ${attempt} of ${FLOW_REPAIR_ATTEMPTS})`);
       }
-    }
 
-    // Check if we got a valid response
-    if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-      console.error('Invalid OpenAI response structure:', response);
-      throw new Error('Invalid response from OpenAI API');
-    }
+      const completion = await completeJson(messages, llmConfig, { schema: flowSchema });
+      generation = completion.generation;
 
-    const messageContent = response.choices[0].message.content;
-    console.log('OpenAI response received, length:', messageContent?.length || 0);
+      const messageContent = completion.content;
+      console.log('LLM response received, length:', messageContent?.length || 0);
 
-    // Try to parse the JSON response
-    let flowData;
-    try {
-      flowData = JSON.parse(messageContent);
-    } catch (parseError) {
-      console.error('Failed to parse OpenAI response as JSON.');
-      console.error('First 500 chars of response:', messageContent?.substring(0, 500));
-      console.error('Parse error:', parseError.message);
-
-      // Try to extract JSON from the response if it's wrapped in text
-      const jsonMatch = messageContent?.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          flowData = JSON.parse(jsonMatch[0]);
-          console.log('Successfully extracted JSON from response');
-        } catch (secondParseError) {
-          console.error('Failed to extract JSON from response:', secondParseError.message);
+      const parsed = parseFlowJson(messageContent);
+      if (parsed.error) {
+        errors = [`Response is not valid JSON: ${parsed.error}`];
+      } else {
+        const validation = validateFlow(parsed.value);
+        errors = validation.errors;
+        if (validation.valid) {
+          flowData = parsed.value;
+          break;
         }
       }
 
-      // If still no valid data, return a fallback flow
-      if (!flowData) {
-        // Return a fallback flow if parsing fails
-        return {
-        nodes: [
-          {
-            id: 'node1',
-            type: 'greeting',
-            speaker: 'agent',
-            content: 'Greeting',
-            fullPrompt: 'Start the conversation with a greeting',
-            examples: ['Hello', 'Good day'],
-            listenFor: ['Hello', 'Hi'],
-            nextActions: { positive: 'node2' }
-          },
-          {
-            id: 'node2',
-            type: 'question',
-            speaker: 'agent',
-            content: 'Main Topic',
-            fullPrompt: 'Discuss the main topic',
-            examples: [],
-            listenFor: [],
-            nextActions: { positive: 'node3' }
-          },
-          {
-            id: 'node3',
-            type: 'farewell',
-            speaker: 'agent',
-            content: 'Closing',
-            fullPrompt: 'End the conversation',
-            examples: ['Goodbye', 'Thank you'],
-            listenFor: [],
-            nextActions: {}
-          }
-        ],
-        edges: [
-          { from: 'node1', to: 'node2' },
-          { from: 'node2', to: 'node3' }
-        ],
-        prompts: {
-          node1: 'Start with a greeting',
-          node2: 'Discuss main topic',
-          node3: 'Close conversation'
-        },
-        globalInstructions: 'Be helpful and professional',
-        errorHandling: 'Ask for clarification if needed'
-      };
-      }
+      console.error('Generated flow failed validation:', errors);
+      messages.push(
+        { role: 'assistant', content: messageContent || '' },
+        {
+          role: 'user',
+          content: `Your response does not match the required flow JSON schema:\n- ${errors.join('\n- ')}\n\nReturn the complete corrected JSON flow. Respond ONLY with valid JSON.`
+        }
+      );
     }
+  } catch (error) {
+    console.error('Error analyzing conversation:', error);
+    throw error;
+  }
 
-    console.log('Generated flow data:', JSON.stringify(flowData, null, 2));
+  if (!flowData) {
+    const error = new Error(`The model did not produce a valid flow after ${FLOW_REPAIR_ATTEMPTS} repair attempt(s)`);
+    error.code = 'FLOW_VALIDATION_FAILED';
+    error.details = { validationErrors: errors, llm: generation };
+    throw error;
+  }
 
-    const mermaidDiagram = generateMermaidDiagram(flowData);
+  if (generation) {
+    generation.repairAttempts = (messages.length - 2) / 2;
+  }
 
-    console.log('Generated Mermaid diagram:', mermaidDiagram);
+  console.log('Generated flow data:', JSON.stringify(flowData, null, 2));
 
-    return {
-      ...flowData,
-      mermaidDiagram
-    };
-  } catch (error) {
-    console.error('Error analyzing conversation:', error);
+  const mermaidDiagram = generateMermaidDiagram(flowData);
+
+  console.log('Generated Mermaid diagram:', mermaidDiagram);
+
+  return {
+    ...flowData,
+    mermaidDiagram,
+    generation
+  };
+}
 
-    // Check if it's an OpenAI API error
-    if (error.response) {
-      console.error('OpenAI API error response:', error.response.data || error.response);
-      console.error('OpenAI API status:', error.response.status);
-    } else if (error.message) {
-      console.error('Error message:', error.message);
+// Parse the model's JSON, extracting it from surrounding text if needed
+function parseFlowJson(messageContent) {
+  try {
+    return { value: JSON.parse(messageContent) };
+  } catch (parseError) {
+    console.error('Failed to parse LLM response as JSON.');
+    console.error('First 500 chars of response:', messageContent?.substring(0, 500));
+    console.error('Parse error:', parseError.message);
+
+    // Try to extract JSON from the response if it's wrapped in text
+    const jsonMatch = messageContent?.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      try {
+        const value = JSON.parse(jsonMatch[0]);
+        console.log('Successfully extracted JSON from response');
+        return { value };
+      } catch (secondParseError) {
+        console.error('Failed to extract JSON from response:', secondParseError.message);
+      }
     }
 
-    // Return a basic flow structure to prevent frontend errors
-    return {
-      nodes: [
-        {
-          id: 'error',
-          type: 'greeting',
-          speaker: 'agent',
-          content: 'Error Processing',
-          fullPrompt: 'An error occurred processing the conversation. Please try again.',
-          examples: [],
-          listenFor: [],
-          nextActions: {}
-        }
-      ],
-      edges: [],
-      prompts: {
-        error: 'An error occurred processing the conversation. Please check the logs and try again.'
-      },
-      globalInstructions: 'Error occurred during processing',
-      errorHandling: 'Please check server logs for details',
-      mermaidDiagram: 'graph TD\n    Error[Error Processing Conversation]'
-    };
+    return { error: parseError.message };
   }
 }
 
@@ -650,23 +2950,17 @@ function generateMermaidDiagram(flowData) {
       return 'flowchart LR\n    Start([Empty Flow])';
     }
 
-    // Start with frontmatter config for theme
-    let diagram = `%%{init: {'theme':'base', 'themeVariables': {'primaryColor':'#ffffff','primaryTextColor':'#1e293b','primaryBorderColor':'#2563eb','lineColor':'#6b7280','secondaryColor':'#dbeafe','tertiaryColor':'#fef3c7','background':'#ffffff','darkMode':false,'fontFamily':'Inter, sans-serif'}}}%%\n`;
+    // Theme (init directive and node type classDefs) from lib/mermaid-theme.js
+    let diagram = `${mermaidInitDirective()}\n`;
     diagram += 'flowchart LR\n';
     const nodeMap = new Map();
     const validNodes = [];
     const nodeClasses = []; // Track which nodes get which class
 
-    // Professional voice AI flow style definitions with proper Mermaid syntax
     diagram += '    %% Define styles for different node types\n';
-    diagram += '    classDef default fill:#ffffff,stroke:#2563eb,stroke-width:2px,color:#1e293b\n';
-    diagram += '    classDef greeting fill:#dbeafe,stroke:#2563eb,stroke-width:3px,color:#1e40af,font-weight:bold\n';
-    diagram += '    classDef verification fill:#fef3c7,stroke:#f59e0b,stroke-width:2px,color:#92400e\n';
-    diagram += '    classDef main fill:#ffffff,stroke:#2563eb,stroke-width:2px,color:#1e293b\n';
-    diagram += '    classDef decision fill:#f3e8ff,stroke:#9333ea,stroke-width:3px,color:#581c87,font-weight:bold\n';
-    diagram += '    classDef success fill:#d1fae5,stroke:#10b981,stroke-width:3px,color:#14532d,font-weight:bold\n';
-    diagram += '    classDef failure fill:#fee2e2,stroke:#ef4444,stroke-width:3px,color:#7f1d1d,font-weight:bold\n';
-    diagram += '    classDef farewell fill:#e0e7ff,stroke:#6366f1,stroke-width:2px,color:#312e81\n';
+    mermaidClassDefs().forEach(line => {
+      diagram += `    ${line}\n`;
+    });
     diagram += '\n';
 
     // First pass: create valid node IDs and filter valid nodes
@@ -778,6 +3072,7 @@ function generateMermaidDiagram(flowData) {
 
         if (fromId && toId) {
           // Add edge with improved condition label
+          let label = '';
           if (edge.condition) {
             let condition = edge.condition
               .replace(/[\r\n\t]+/g, ' ')
@@ -798,10 +3093,22 @@ function generateMermaidDiagram(flowData) {
               condition = condition.substring(0, 12) + '...';
             }
 
-            diagram += `    ${fromId} -->|${condition}| ${toId}\n`;
-          } else {
-            diagram += `    ${fromId} --> ${toId}\n`;
+            label = condition;
+          }
+
+          // Consolidated flows show how many calls took each branch,
+          // with branches taken by most calls drawn thicker
+          const showFrequency = flowData.callCount > 1 && edge.callCount;
+          if (showFrequency) {
+            label = `${label} ${edge.callCount}/${flowData.callCount}`.trim();
           }
+          const arrow = showFrequency && edge.callCount / flowData.callCount > 0.5 ? '==>' : '-->';
+
+          diagram += label
+            ? `    ${fromId} ${arrow}|${label}| ${toId}\n`
+            : `    ${fromId} ${arrow} ${toId}\n`;
+        } else {
+          console.warn(`Skipping edge ${edge.from} -> ${edge.to}: endpoint not found in nodes (see flow lint)`);
         }
       });
     }
@@ -1,3 +1,69 @@
+-- Accounts: users belong to workspaces with a role (viewer, editor or admin), and
+-- every flow belongs to one workspace
+CREATE TABLE IF NOT EXISTS users (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  password_hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+  UNIQUE (workspace_id, user_id)
+);
+
+-- Browser sign-ins; only a hash of the cookie token is stored
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Keys for scripts, each scoped to one workspace with its own role
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- First-run setup: insert a user only while there are none. The table lock makes
+-- concurrent setup requests wait for each other, so only one creates the first admin.
+-- Only the service role may call it.
+CREATE OR REPLACE FUNCTION create_first_user(user_email TEXT, user_name TEXT, user_password_hash TEXT)
+RETURNS SETOF users
+LANGUAGE plpgsql SET search_path = public AS $$
+BEGIN
+  LOCK TABLE users IN EXCLUSIVE MODE;
+  IF EXISTS (SELECT 1 FROM users) THEN
+    RETURN;
+  END IF;
+  RETURN QUERY INSERT INTO users (email, name, password_hash)
+    VALUES (user_email, user_name, user_password_hash) RETURNING *;
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION create_first_user(TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
 -- Create conversation_flows table
 CREATE TABLE IF NOT EXISTS conversation_flows (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -9,9 +75,49 @@ CREATE TABLE IF NOT EXISTS conversation_flows (
   transcriptions JSONB,
   flow_data JSONB,
   mermaid_diagram TEXT,
-  metadata JSONB
+  metadata JSONB,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  campaign TEXT,
+  node_count INTEGER NOT NULL DEFAULT 0,
+  languages TEXT[] NOT NULL DEFAULT '{}',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  search_text TEXT NOT NULL DEFAULT '',
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', search_text)) STORED,
+  workspace_id UUID REFERENCES workspaces(id)
 );
 
+-- Soft delete: flows with deleted_at set are in the trash
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Campaign or client a flow belongs to (free text, filterable like tags)
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS campaign TEXT;
+
+-- Workspace a flow belongs to. Flows from before workspaces are given to the first
+-- workspace when the first admin signs up
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id);
+
+-- Search, filter and sort columns, written by the app alongside flow_data
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS node_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS search_text TEXT NOT NULL DEFAULT '';
+ALTER TABLE conversation_flows ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('simple', search_text)) STORED;
+
+-- Fill the search columns for flows stored before they existed
+UPDATE conversation_flows SET
+  node_count = COALESCE(jsonb_array_length(flow_data->'nodes'), 0),
+  languages = COALESCE(ARRAY(SELECT lower(jsonb_array_elements_text(metadata->'languages'))), '{}'),
+  search_text = concat_ws(E'\n', name, description, (
+    SELECT string_agg(concat_ws(E'\n', node->>'content', node->>'fullPrompt'), E'\n')
+    FROM jsonb_array_elements(flow_data->'nodes') AS node
+  ))
+WHERE search_text = '' AND jsonb_typeof(flow_data->'nodes') = 'array';
+
+-- The language filter is lowercase, so the index is too ("pt-BR" is stored as "pt-br")
+UPDATE conversation_flows SET languages = ARRAY(SELECT lower(language) FROM unnest(languages) AS language)
+WHERE languages::text <> lower(languages::text);
+
 -- Create audio_files table for storing file references
 CREATE TABLE IF NOT EXISTS audio_files (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -38,23 +144,157 @@ CREATE TABLE IF NOT EXISTS prompts (
   metadata JSONB
 );
 
+-- Create flow_versions table: an immutable snapshot of every change to a flow
+CREATE TABLE IF NOT EXISTS flow_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  flow_id UUID REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  author TEXT NOT NULL,
+  change_note TEXT,
+  name TEXT NOT NULL,
+  description TEXT,
+  campaign TEXT,
+  tags TEXT[],
+  flow_data JSONB,
+  mermaid_diagram TEXT,
+  UNIQUE (flow_id, version)
+);
+
+-- Campaign and tags of each version. NULL tags mark versions saved before they were
+-- recorded; rolling back to those keeps the flow's current campaign and tags
+ALTER TABLE flow_versions ADD COLUMN IF NOT EXISTS campaign TEXT;
+ALTER TABLE flow_versions ADD COLUMN IF NOT EXISTS tags TEXT[];
+
+-- Create pii_originals table: values redacted from a flow's transcriptions, kept only
+-- when PII_KEEP_ORIGINALS is on. RLS is enabled below with no policies, so the anon
+-- and authenticated roles cannot read it; only the service role key used by the server can.
+CREATE TABLE IF NOT EXISTS pii_originals (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  flow_id UUID NOT NULL REFERENCES conversation_flows(id) ON DELETE CASCADE,
+  transcript_index INTEGER NOT NULL,
+  filename TEXT,
+  entities JSONB NOT NULL
+);
+
+-- Versions are never edited once written
+CREATE OR REPLACE FUNCTION prevent_flow_version_update() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'flow_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS flow_versions_immutable ON flow_versions;
+CREATE TRIGGER flow_versions_immutable
+  BEFORE UPDATE ON flow_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_flow_version_update();
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_conversation_flows_created_at ON conversation_flows(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_deleted_at ON conversation_flows(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_updated_at ON conversation_flows(updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_name ON conversation_flows(name);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_node_count ON conversation_flows(node_count);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_languages ON conversation_flows USING GIN (languages);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_tags ON conversation_flows USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_campaign ON conversation_flows(lower(campaign));
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_search ON conversation_flows USING GIN (search_vector);
 CREATE INDEX IF NOT EXISTS idx_audio_files_flow_id ON audio_files(flow_id);
 CREATE INDEX IF NOT EXISTS idx_prompts_flow_id ON prompts(flow_id);
+CREATE INDEX IF NOT EXISTS idx_flow_versions_flow_id ON flow_versions(flow_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_pii_originals_flow_id ON pii_originals(flow_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_flows_workspace_id ON conversation_flows(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_workspace_id ON api_keys(workspace_id);
 
 -- Enable Row Level Security
 ALTER TABLE conversation_flows ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audio_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE prompts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE flow_versions ENABLE ROW LEVEL SECURITY;
+-- No policies on these: they are for the server's service role only
+ALTER TABLE pii_originals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+
+-- Policies from earlier versions of this file gave everyone access to everything
+DROP POLICY IF EXISTS "Enable read access for all users" ON conversation_flows;
+DROP POLICY IF EXISTS "Enable insert for all users" ON conversation_flows;
+DROP POLICY IF EXISTS "Enable update for all users" ON conversation_flows;
+DROP POLICY IF EXISTS "Enable delete for all users" ON conversation_flows;
+DROP POLICY IF EXISTS "Enable read access for all users" ON audio_files;
+DROP POLICY IF EXISTS "Enable insert for all users" ON audio_files;
+DROP POLICY IF EXISTS "Enable delete for all users" ON audio_files;
+DROP POLICY IF EXISTS "Enable read access for all users" ON prompts;
+DROP POLICY IF EXISTS "Enable insert for all users" ON prompts;
+DROP POLICY IF EXISTS "Enable delete for all users" ON prompts;
+DROP POLICY IF EXISTS "Enable read access for all users" ON flow_versions;
+DROP POLICY IF EXISTS "Enable insert for all users" ON flow_versions;
+DROP POLICY IF EXISTS "Enable delete for all users" ON flow_versions;
+
+-- The server uses the service role key, which bypasses RLS, and checks workspaces and
+-- roles itself. The policies below scope everyone else to their workspaces: auth.uid()
+-- must be the id of a users row with a membership (create users with their Supabase
+-- Auth id to use them). The anon key gets no rows at all.
 
--- Create policies for public access (you can modify these based on your auth needs)
-CREATE POLICY "Enable read access for all users" ON conversation_flows FOR SELECT USING (true);
-CREATE POLICY "Enable insert for all users" ON conversation_flows FOR INSERT WITH CHECK (true);
-CREATE POLICY "Enable update for all users" ON conversation_flows FOR UPDATE USING (true);
+-- Role of the signed-in user in a workspace, or NULL
+CREATE OR REPLACE FUNCTION workspace_role(target UUID) RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT role FROM workspace_members WHERE workspace_id = target AND user_id = auth.uid()
+$$;
 
-CREATE POLICY "Enable read access for all users" ON audio_files FOR SELECT USING (true);
-CREATE POLICY "Enable insert for all users" ON audio_files FOR INSERT WITH CHECK (true);
+-- Role of the signed-in user in a flow's workspace, or NULL
+CREATE OR REPLACE FUNCTION flow_role(target UUID) RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+  SELECT workspace_role(workspace_id) FROM conversation_flows WHERE id = target
+$$;
 
-CREATE POLICY "Enable read access for all users" ON prompts FOR SELECT USING (true);
-CREATE POLICY "Enable insert for all users" ON prompts FOR INSERT WITH CHECK (true);
\ No newline at end of file
+DROP POLICY IF EXISTS "Members read their memberships" ON workspace_members;
+CREATE POLICY "Members read their memberships" ON workspace_members FOR SELECT USING (user_id = auth.uid());
+DROP POLICY IF EXISTS "Members read their workspaces" ON workspaces;
+CREATE POLICY "Members read their workspaces" ON workspaces FOR SELECT USING (workspace_role(id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Members read flows" ON conversation_flows;
+DROP POLICY IF EXISTS "Editors add flows" ON conversation_flows;
+DROP POLICY IF EXISTS "Editors update flows" ON conversation_flows;
+DROP POLICY IF EXISTS "Admins delete flows" ON conversation_flows;
+CREATE POLICY "Members read flows" ON conversation_flows FOR SELECT USING (workspace_role(workspace_id) IS NOT NULL);
+CREATE POLICY "Editors add flows" ON conversation_flows FOR INSERT WITH CHECK (workspace_role(workspace_id) IN ('editor', 'admin'));
+CREATE POLICY "Editors update flows" ON conversation_flows FOR UPDATE
+  USING (workspace_role(workspace_id) IN ('editor', 'admin'))
+  WITH CHECK (workspace_role(workspace_id) IN ('editor', 'admin'));
+CREATE POLICY "Admins delete flows" ON conversation_flows FOR DELETE USING (workspace_role(workspace_id) = 'admin');
+
+DROP POLICY IF EXISTS "Members read audio files" ON audio_files;
+DROP POLICY IF EXISTS "Editors add audio files" ON audio_files;
+DROP POLICY IF EXISTS "Admins delete audio files" ON audio_files;
+CREATE POLICY "Members read audio files" ON audio_files FOR SELECT USING (flow_role(flow_id) IS NOT NULL);
+CREATE POLICY "Editors add audio files" ON audio_files FOR INSERT WITH CHECK (flow_role(flow_id) IN ('editor', 'admin'));
+CREATE POLICY "Admins delete audio files" ON audio_files FOR DELETE USING (flow_role(flow_id) = 'admin');
+
+DROP POLICY IF EXISTS "Members read prompts" ON prompts;
+DROP POLICY IF EXISTS "Editors add prompts" ON prompts;
+DROP POLICY IF EXISTS "Editors delete prompts" ON prompts;
+CREATE POLICY "Members read prompts" ON prompts FOR SELECT USING (flow_role(flow_id) IS NOT NULL);
+CREATE POLICY "Editors add prompts" ON prompts FOR INSERT WITH CHECK (flow_role(flow_id) IN ('editor', 'admin'));
+-- Prompts are replaced wholesale when a flow is edited
+CREATE POLICY "Editors delete prompts" ON prompts FOR DELETE USING (flow_role(flow_id) IN ('editor', 'admin'));
+
+DROP POLICY IF EXISTS "Members read versions" ON flow_versions;
+DROP POLICY IF EXISTS "Editors add versions" ON flow_versions;
+DROP POLICY IF EXISTS "Admins delete versions" ON flow_versions;
+CREATE POLICY "Members read versions" ON flow_versions FOR SELECT USING (flow_role(flow_id) IS NOT NULL);
+CREATE POLICY "Editors add versions" ON flow_versions FOR INSERT WITH CHECK (flow_role(flow_id) IN ('editor', 'admin'));
+-- Versions only go away when their flow is purged
+CREATE POLICY "Admins delete versions" ON flow_versions FOR DELETE USING (flow_role(flow_id) = 'admin');
+
+-- Recordings live under <flow id>/ in the private audio-files bucket
+DROP POLICY IF EXISTS "Members read recordings" ON storage.objects;
+CREATE POLICY "Members read recordings" ON storage.objects FOR SELECT USING (
+  bucket_id = 'audio-files'
+  AND flow_role(((storage.foldername(name))[1])::uuid) IS NOT NULL
+);